@@ -4,21 +4,111 @@
  * Lorenzo's Claude Code Plugin CLI
  *
  * Commands:
- *   install   - Install plugin to ~/.claude/
+ *   install   - Install plugin to ~/.claude/ (or <repo>/.claude/ with --project)
  *   update    - Update existing installation
  *   uninstall - Remove plugin from ~/.claude/
  *   doctor    - Verify installation and dependencies
+ *   backup    - List, restore or prune ~/.claude backups
+ *   mcp       - List and check MCP servers
+ *   use       - Switch to (or list) stored plugin versions
+ *   rollback  - Switch back to the previously active version
+ *   validate  - Check a plugin's components, hooks and manifests
  *   version   - Show version information
  */
 
 const fs = require("fs");
-const path = require("path");
 const os = require("os");
+const path = require("path");
+
+const backups = require("../scripts/lib/backups");
+const doctorChecks = require("../scripts/lib/doctor");
+const integrity = require("../scripts/lib/integrity");
+const mcpServers = require("../scripts/lib/mcp");
+const { isBinary, unifiedDiff } = require("../scripts/lib/merge");
+const ownership = require("../scripts/lib/ownership");
+const selection = require("../scripts/lib/selection");
+const validation = require("../scripts/lib/validate");
+const versions = require("../scripts/lib/versions");
+const reporters = require("../scripts/lib/reporters");
+const { extractTarball } = require("../scripts/lib/tarball");
+const { formatPath, resolveClaudeDir } = require("../scripts/lib/utils");
 
-const CLAUDE_DIR = path.join(os.homedir(), ".claude");
-const PLUGIN_SOURCE = path.join(__dirname, "..");
+const PLUGIN_NAME = "lorenzos-claude-code";
 const VERSION = require("../package.json").version;
 
+// Where install and update copy from: this package, unless --from points at
+// another checkout or an `npm pack` tarball (see prepareSource)
+let PLUGIN_SOURCE = path.join(__dirname, "..");
+let SOURCE = null;
+
+// Directories copied from the package's .claude/ into ~/.claude/
+const COMPONENTS = [
+  "commands",
+  "agents",
+  "skills",
+  "hooks",
+  "rules",
+  "memory",
+  "profiles",
+];
+
+// Directories snapshotted into ~/.claude/.backup-<timestamp> before install
+const BACKED_UP_COMPONENTS = ["commands", "agents", "skills", "hooks"];
+
+// Plan actions that write to ~/.claude (see ownership.planInstall)
+const CHANGE_ACTIONS = new Set([
+  "create",
+  "update",
+  "merge",
+  "conflict",
+  "remove",
+]);
+
+// Default number of snapshots `backup prune` keeps
+const DEFAULT_BACKUP_KEEP = 5;
+
+// Exit codes, stable for scripts (documented in README.md):
+//   0 success
+//   1 check failed: doctor or validate found problems, or --check found
+//     pending changes
+//   2 usage error: unknown command, bad option value, scope or profile
+//   3 the package's own plugin source is missing (reinstall the package)
+//   4 requested item not found (e.g. a backup or backup component)
+//   5 unexpected error (I/O failure, unreadable manifest, ...)
+//   6 integrity check failed: the source does not match its checksums
+const EXIT = {
+  OK: 0,
+  CHECK_FAILED: 1,
+  USAGE: 2,
+  SOURCE_MISSING: 3,
+  NOT_FOUND: 4,
+  ERROR: 5,
+  INTEGRITY: 6,
+};
+
+// With --json, human output is suppressed: messages and each command's
+// results are collected here and printed as one document by exit().
+let JSON_MODE = false;
+const report = {};
+const messages = [];
+
+function record(data) {
+  Object.assign(report, data);
+}
+
+function exit(code) {
+  if (JSON_MODE) {
+    process.stdout.write(
+      JSON.stringify(
+        { ...report, messages, ok: code === EXIT.OK, exitCode: code },
+        null,
+        2,
+      ) + "\n",
+    );
+  }
+  process.exit(code);
+}
+
 // ANSI colors for terminal output
 const colors = {
   reset: "\x1b[0m",
@@ -31,156 +121,673 @@ const colors = {
 };
 
 function log(message, color = "") {
+  if (JSON_MODE) return;
   console.log(`${color}${message}${colors.reset}`);
 }
 
+function status(level, symbol, color, message) {
+  if (JSON_MODE) {
+    messages.push({ level, message });
+    return;
+  }
+  log(`  ${symbol} ${message}`, color);
+}
+
 function success(message) {
-  log(`  ✓ ${message}`, colors.green);
+  status("success", "✓", colors.green, message);
 }
 
 function warn(message) {
-  log(`  ⚠ ${message}`, colors.yellow);
+  status("warning", "⚠", colors.yellow, message);
 }
 
 function error(message) {
-  log(`  ✗ ${message}`, colors.red);
+  status("error", "✗", colors.red, message);
 }
 
 function info(message) {
-  log(`  → ${message}`, colors.cyan);
+  status("info", "→", colors.cyan, message);
 }
 
 function heading(message) {
   log(`\n${message}`, colors.bright);
 }
 
+// Claude directory being operated on: ~/.claude by default, <repo>/.claude
+// for --scope project / --project, or --target. Set once by useClaudeDir().
+let CLAUDE_DIR;
+let PLUGIN_DIR;
+let PRISTINE_DIR;
+let SETTINGS_PATH;
+let DISPLAY_DIR;
+
+function useClaudeDir(dir) {
+  CLAUDE_DIR = dir;
+  PLUGIN_DIR = path.join(CLAUDE_DIR, "plugins", PLUGIN_NAME);
+  PRISTINE_DIR = path.join(PLUGIN_DIR, ownership.PRISTINE_DIR);
+  SETTINGS_PATH = path.join(CLAUDE_DIR, "settings.json");
+  DISPLAY_DIR = formatPath(CLAUDE_DIR);
+}
+
 /**
- * Copy directory recursively with proper handling
+ * Parse the arguments that follow the command name. `--name value` and
+ * `--name=value` set options.name; flags in BOOLEAN_FLAGS never consume the
+ * next argument. Dashed names become camelCase (`--max-days` → maxDays).
  */
-function copyDirSync(src, dest, options = {}) {
-  const { overwrite = true, filter = () => true } = options;
+const BOOLEAN_FLAGS = new Set([
+  "dry-run",
+  "check",
+  "all",
+  "fix",
+  "allow-plugins",
+]);
+
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  const camel = (name) => name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
 
-  if (!fs.existsSync(src)) {
-    throw new Error(`Source directory does not exist: ${src}`);
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--") || arg === "--") {
+      args.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf("=");
+    if (eq !== -1) {
+      options[camel(arg.slice(2, eq))] = arg.slice(eq + 1);
+      continue;
+    }
+    const name = arg.slice(2);
+    const next = argv[i + 1];
+    if (
+      !BOOLEAN_FLAGS.has(name) &&
+      next !== undefined &&
+      !next.startsWith("-")
+    ) {
+      options[camel(name)] = next;
+      i++;
+    } else {
+      options[camel(name)] = true;
+    }
   }
 
-  if (!fs.existsSync(dest)) {
-    fs.mkdirSync(dest, { recursive: true });
+  return { args, options };
+}
+
+/**
+ * Read a non-negative integer option, exiting with a usage error otherwise
+ */
+function intOption(options, name, fallback) {
+  if (options[name] === undefined) return fallback;
+  const value = Number(options[name]);
+  if (!Number.isInteger(value) || value < 0) {
+    error(
+      `--${name.replace(/[A-Z]/g, (c) => "-" + c.toLowerCase())} must be a non-negative integer`,
+    );
+    exit(EXIT.USAGE);
   }
+  return value;
+}
 
-  const entries = fs.readdirSync(src, { withFileTypes: true });
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
 
-  for (const entry of entries) {
-    const srcPath = path.join(src, entry.name);
-    const destPath = path.join(dest, entry.name);
+/**
+ * Source directories for every installed component, keyed by destination
+ */
+function getSourceComponents(sourceClaude, sourcePlugin) {
+  const components = COMPONENTS.map((name) => ({
+    dest: name,
+    src: path.join(sourceClaude, name),
+  }));
+  components.push({
+    dest: path.posix.join("plugins", PLUGIN_NAME),
+    src: sourcePlugin,
+  });
+  return components;
+}
 
-    if (!filter(srcPath, entry)) {
-      continue;
+/**
+ * Resolve and verify the package to install from. `--from` accepts a
+ * checkout or an `npm pack` tarball, which is extracted to a temporary
+ * directory removed on exit. A package that ships checksums must match them
+ * exactly; one from --from must ship them. `snapshot` installs a stored
+ * version instead (see `lcc use`). Sets PLUGIN_SOURCE and returns the source
+ * as recorded in the manifest.
+ */
+function prepareSource(options, snapshot = null) {
+  if (SOURCE) return SOURCE;
+  let type = "package";
+  let origin = PLUGIN_SOURCE;
+  if (snapshot) {
+    type = "snapshot";
+    origin = PLUGIN_SOURCE = snapshot;
+  } else if (options.from !== undefined) {
+    if (options.from === true) {
+      error("--from requires a path to a directory or .tgz");
+      exit(EXIT.USAGE);
     }
-
-    if (entry.isDirectory()) {
-      copyDirSync(srcPath, destPath, options);
+    origin = path.resolve(options.from);
+    if (!fs.existsSync(origin)) {
+      error(`--from: ${options.from} not found`);
+      exit(EXIT.NOT_FOUND);
+    }
+    if (fs.statSync(origin).isDirectory()) {
+      type = "directory";
+      // An extracted npm pack keeps everything under package/
+      const packed = path.join(origin, "package");
+      PLUGIN_SOURCE = fs.existsSync(path.join(packed, "package.json"))
+        ? packed
+        : origin;
     } else {
-      if (fs.existsSync(destPath) && !overwrite) {
-        continue;
+      type = "tarball";
+      const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "lcc-from-"));
+      process.on("exit", () =>
+        fs.rmSync(tmp, { recursive: true, force: true }),
+      );
+      try {
+        PLUGIN_SOURCE = extractTarball(origin, tmp);
+      } catch (e) {
+        error(`Cannot extract ${formatPath(origin)}: ${e.message}`);
+        exit(EXIT.INTEGRITY);
       }
-      fs.copyFileSync(srcPath, destPath);
     }
   }
+
+  let version = null;
+  try {
+    version = JSON.parse(
+      fs.readFileSync(path.join(PLUGIN_SOURCE, "package.json"), "utf8"),
+    ).version;
+  } catch {
+    // reported below
+  }
+  if (!version) {
+    error(`${formatPath(origin)} is not a plugin package (no package.json)`);
+    exit(EXIT.SOURCE_MISSING);
+  }
+
+  // The package's own git checkout (npm run install:local) is the source
+  // being worked on; a checksums file left by an earlier npm pack is stale
+  const checkout =
+    type === "package" && fs.existsSync(path.join(PLUGIN_SOURCE, ".git"));
+  const { checksums, problems } = checkout
+    ? { checksums: null, problems: [] }
+    : integrity.verifyPackage(PLUGIN_SOURCE, { version });
+  if (problems.length) {
+    record({ integrity: problems });
+    for (const p of problems) {
+      error(`${p.problem}: ${p.file}${p.detail ? ` (${p.detail})` : ""}`);
+    }
+    error(
+      `${formatPath(origin)} does not match ${integrity.CHECKSUMS_FILE} - refusing to install`,
+    );
+    exit(EXIT.INTEGRITY);
+  }
+  if (!checksums && (type === "directory" || type === "tarball")) {
+    error(
+      `${formatPath(origin)} has no ${integrity.CHECKSUMS_FILE}; pack it with npm pack, or run node scripts/generate-checksums.js in the checkout`,
+    );
+    exit(EXIT.INTEGRITY);
+  }
+
+  SOURCE = {
+    type,
+    path: origin,
+    version,
+    checksums: checksums
+      ? ownership.hashFile(
+          path.join(PLUGIN_SOURCE, ...integrity.CHECKSUMS_FILE.split("/")),
+        )
+      : null,
+    verified: Boolean(checksums),
+  };
+  record({ source: SOURCE });
+  return SOURCE;
+}
+
+/**
+ * Load the ownership manifest from the last install. Installs that predate
+ * the manifest are recognised by the copied plugin.json and treated as
+ * owning everything the current release ships.
+ */
+function readPreviousManifest(sourceFiles) {
+  const previous = ownership.readManifest(PLUGIN_DIR);
+  if (previous) return previous;
+  if (fs.existsSync(path.join(PLUGIN_DIR, "plugin.json"))) {
+    return ownership.legacyManifest(sourceFiles, SOURCE.version);
+  }
+  return null;
+}
+
+/**
+ * Report merges, conflicts and files left alone because the user owns or
+ * edited them, followed by a one-line summary
+ */
+function reportOwnership(actions) {
+  for (const action of actions) {
+    switch (action.type) {
+      case "merge":
+        success(`Merged your changes into ${action.key}`);
+        break;
+      case "conflict":
+        if (action.sideFiles) {
+          error(
+            `Conflict in ${action.key}: kept your copy, new release written to ${action.key}.new`,
+          );
+        } else {
+          error(`Conflict in ${action.key}: resolve the <<<<<<< markers`);
+        }
+        break;
+      case "keep":
+        info(`Kept your changes to ${action.key} (unchanged in this release)`);
+        break;
+      case "skip":
+        warn(`Skipped ${action.key} (exists and is not owned by the plugin)`);
+        break;
+      case "orphan":
+        warn(`Kept ${action.key} (no longer shipped, modified locally)`);
+        break;
+      case "remove":
+        info(`Removed ${action.key} (no longer shipped)`);
+        break;
+    }
+  }
+
+  const counts = ownership.summarize(actions);
+  if (counts.merge || counts.keep || counts.conflict) {
+    log("");
+    log(
+      `  ${counts.merge || 0} merged, ${counts.keep || 0} kept, ${counts.conflict || 0} conflicted`,
+      counts.conflict ? colors.yellow : colors.dim,
+    );
+  }
 }
 
 /**
- * Remove directory recursively
+ * Pick the files to install. `--profile`, `--only` and `--exclude` set a new
+ * selection, `--all` clears it, and otherwise the one saved in the manifest
+ * by the previous install is reused so `update` keeps the same subset.
  */
-function removeDirSync(dir) {
-  if (fs.existsSync(dir)) {
-    fs.rmSync(dir, { recursive: true, force: true });
+function selectSourceFiles(sourceFiles, previous, options) {
+  let chosen = null;
+  if (options.all) {
+    chosen = null;
+  } else if (options.profile || options.only || options.exclude) {
+    const pluginJson = JSON.parse(
+      fs.readFileSync(
+        path.join(PLUGIN_SOURCE, ".claude-plugin", "plugin.json"),
+        "utf8",
+      ),
+    );
+    try {
+      chosen = selection.resolveSelection({
+        profiles: pluginJson.profiles,
+        profile: options.profile === true ? undefined : options.profile,
+        only: options.only,
+        exclude: options.exclude,
+      });
+    } catch (e) {
+      error(e.message);
+      exit(EXIT.USAGE);
+    }
+  } else if (previous && previous.selection) {
+    chosen = previous.selection;
+    info(`Using saved selection: ${describeSelection(chosen)}`);
   }
+
+  const { files, unmatched } = selection.filterSourceFiles(
+    sourceFiles,
+    chosen,
+    { always: [path.posix.join("plugins", PLUGIN_NAME)] },
+  );
+  // Only flag patterns typed on the command line; profiles may name
+  // components a trimmed-down release does not ship
+  const typed = [
+    ...selection.parseList(options.only),
+    ...selection.parseList(options.exclude),
+  ];
+  for (const pattern of unmatched.filter((p) => typed.includes(p))) {
+    warn(`"${pattern}" does not match any plugin file`);
+  }
+  warnDanglingHooks(sourceFiles, files);
+  return { files, selection: chosen };
+}
+
+function describeSelection(chosen) {
+  const parts = [];
+  if (chosen.profile) parts.push(`profile ${chosen.profile}`);
+  if (chosen.only.length) parts.push(`only ${chosen.only.join(",")}`);
+  if (chosen.exclude.length) parts.push(`exclude ${chosen.exclude.join(",")}`);
+  return parts.join("; ");
 }
 
 /**
- * Install the plugin to ~/.claude/
+ * hooks.json wires hook scripts by path, so excluding a script it still
+ * references leaves a hook that fails on every run.
  */
-function install() {
-  heading("Installing Lorenzo's Claude Code Plugin v" + VERSION);
+function warnDanglingHooks(allFiles, selected) {
+  const hooksJson = selected.get("hooks/hooks.json");
+  if (!hooksJson) return;
+  const config = fs.readFileSync(hooksJson, "utf8");
+  for (const key of allFiles.keys()) {
+    if (
+      key.startsWith("hooks/") &&
+      !selected.has(key) &&
+      config.includes(key)
+    ) {
+      warn(`hooks/hooks.json still references excluded ${key}`);
+    }
+  }
+}
 
+/**
+ * Work out everything an install or update would do, without writing:
+ * which components get backed up, what happens to every plugin file, and
+ * whether a default settings.json is created.
+ */
+function planInstallation(options = {}) {
   const sourceClaude = path.join(PLUGIN_SOURCE, ".claude");
   const sourcePlugin = path.join(PLUGIN_SOURCE, ".claude-plugin");
 
   // Check source exists
   if (!fs.existsSync(sourceClaude)) {
     error("Plugin source not found. Please reinstall the package.");
-    process.exit(1);
+    exit(EXIT.SOURCE_MISSING);
   }
 
-  // Create .claude directory if needed
-  if (!fs.existsSync(CLAUDE_DIR)) {
-    fs.mkdirSync(CLAUDE_DIR, { recursive: true });
-    info("Created ~/.claude directory");
+  const allFiles = ownership.collectSourceFiles(
+    getSourceComponents(sourceClaude, sourcePlugin),
+  );
+  const previous = readPreviousManifest(allFiles);
+  const { files: sourceFiles, selection: chosen } = selectSourceFiles(
+    allFiles,
+    previous,
+    options,
+  );
+  const actions = ownership.planInstall({
+    claudeDir: CLAUDE_DIR,
+    sourceFiles,
+    previous,
+    version: SOURCE.version,
+    pristineDir: PRISTINE_DIR,
+  });
+  const changes = actions.filter((a) => CHANGE_ACTIONS.has(a.type));
+  const settings = planSettings();
+  const selectionChanged =
+    JSON.stringify(chosen) !==
+    JSON.stringify((previous && previous.selection) || null);
+
+  return {
+    previous,
+    actions,
+    selection: chosen,
+    // Only snapshot when something is about to change
+    backup: changes.length
+      ? BACKED_UP_COMPONENTS.filter((name) =>
+          fs.existsSync(path.join(CLAUDE_DIR, name)),
+        )
+      : [],
+    settings,
+    pending: changes.length > 0 || settings !== null || selectionChanged,
+  };
+}
+
+/**
+ * Plan actions as reported by --json: what happens to each file, without
+ * source paths or file contents
+ */
+function serializeActions(actions) {
+  return actions.map((action) => {
+    const out = { type: action.type, key: action.key };
+    if (action.conflicts) out.conflicts = action.conflicts;
+    if (action.sideFiles) out.sideFiles = true;
+    return out;
+  });
+}
+
+/**
+ * Decide how settings.json enables the plugin: "create" a default file,
+ * "merge" the enabledPlugins entry into an existing one (leaving every other
+ * key alone), or null when nothing is needed. An explicit `false` is the
+ * user's choice and is respected.
+ */
+function planSettings() {
+  if (!fs.existsSync(SETTINGS_PATH)) return "create";
+  let settings;
+  try {
+    settings = JSON.parse(fs.readFileSync(SETTINGS_PATH, "utf8"));
+  } catch (e) {
+    warn(`${formatPath(SETTINGS_PATH)} is invalid JSON - leaving it alone`);
+    return null;
   }
+  const enabled = settings.enabledPlugins || {};
+  return enabled[PLUGIN_NAME] === undefined ? "merge" : null;
+}
 
-  // Backup existing if present
-  const backupDir = path.join(CLAUDE_DIR, ".backup-" + Date.now());
-  const existingDirs = ["commands", "agents", "skills", "hooks"];
-  let hasExisting = false;
+function applySettings(mode) {
+  const settings = mode === "merge" ? readSettings() : {};
+  settings.enabledPlugins = {
+    ...settings.enabledPlugins,
+    [PLUGIN_NAME]: true,
+  };
+  writeSettings(settings);
+}
 
-  for (const dir of existingDirs) {
-    if (fs.existsSync(path.join(CLAUDE_DIR, dir))) {
-      hasExisting = true;
-      break;
+function readSettings() {
+  if (!fs.existsSync(SETTINGS_PATH)) return {};
+  return JSON.parse(fs.readFileSync(SETTINGS_PATH, "utf8"));
+}
+
+function writeSettings(settings) {
+  fs.mkdirSync(CLAUDE_DIR, { recursive: true });
+  fs.writeFileSync(SETTINGS_PATH, JSON.stringify(settings, null, 2) + "\n");
+}
+
+/**
+ * Print a plan with a unified diff for every text file that changes
+ */
+function printPlan(actions, extra = {}) {
+  heading("Plan (dry run - nothing was written)");
+
+  const symbols = {
+    create: "+",
+    update: "~",
+    merge: "~",
+    conflict: "!",
+    remove: "-",
+  };
+  for (const action of actions) {
+    if (!symbols[action.type]) continue;
+    log(`  ${symbols[action.type]} ${action.type.padEnd(8)} ${action.key}`);
+
+    if (
+      action.type === "remove" ||
+      (action.type === "conflict" && action.sideFiles)
+    ) {
+      continue;
+    }
+    const before = fs.existsSync(action.dest)
+      ? fs.readFileSync(action.dest)
+      : Buffer.alloc(0);
+    const after =
+      action.content !== undefined
+        ? Buffer.from(action.content)
+        : fs.readFileSync(action.src);
+    if (isBinary(before) || isBinary(after)) {
+      log("      (binary file)", colors.dim);
+      continue;
+    }
+    const diff = unifiedDiff(before.toString("utf8"), after.toString("utf8"), {
+      fromFile: `a/${action.key}`,
+      toFile: `b/${action.key}`,
+    });
+    for (const line of diff.replace(/\n$/, "").split("\n")) {
+      const color = /^(---|\+\+\+) /.test(line)
+        ? colors.bright
+        : line.startsWith("+")
+          ? colors.green
+          : line.startsWith("-")
+            ? colors.red
+            : colors.dim;
+      log(`      ${line}`, color);
     }
   }
 
-  if (hasExisting) {
-    warn("Existing configuration found - creating backup");
-    fs.mkdirSync(backupDir, { recursive: true });
-    for (const dir of existingDirs) {
-      const srcDir = path.join(CLAUDE_DIR, dir);
-      if (fs.existsSync(srcDir)) {
-        copyDirSync(srcDir, path.join(backupDir, dir));
-      }
+  for (const action of actions) {
+    if (action.type === "conflict" && action.sideFiles) {
+      log(`  + create   ${action.key}.new`);
+      if (action.base) log(`  + create   ${action.key}.orig`);
     }
+  }
+  if (extra.backup && extra.backup.length) {
+    log(
+      `  * backup   ${extra.backup.join(", ")} -> ${DISPLAY_DIR}/.backup-<timestamp>`,
+    );
+  }
+  if (extra.settings === "create") {
+    log("  + create   settings.json (enables lorenzos-claude-code)");
+  } else if (extra.settings === "merge") {
+    log(
+      "  ~ merge    settings.json (adds enabledPlugins.lorenzos-claude-code)",
+    );
+  }
+  for (const line of extra.notes || []) {
+    log(`  ${line}`, colors.dim);
+  }
+  log("");
+}
+
+/**
+ * Exit for --dry-run/--check: with --check, a non-empty plan fails so
+ * scripted rollouts can gate on "already up to date"
+ */
+function finishDryRun(pending, options) {
+  if (options.check && pending) {
+    error("Changes pending (--check)");
+    exit(EXIT.CHECK_FAILED);
+  }
+  success(pending ? "Plan complete" : "Nothing to do - already up to date");
+  log("");
+}
+
+/**
+ * Install the plugin to ~/.claude/ (or the selected scope). `verb` names
+ * the operation in the heading ("Updating" for lcc update).
+ */
+function install(options = {}, verb = "Installing") {
+  const source = prepareSource(options);
+  heading(`${verb} Lorenzo's Claude Code Plugin v${source.version}`);
+  info(`Target: ${DISPLAY_DIR}`);
+  if (source.type !== "package") {
+    info(`Source: ${formatPath(source.path)} (${source.type})`);
+  }
+  if (source.verified) {
+    success(`Package verified against ${integrity.CHECKSUMS_FILE}`);
+  }
+
+  const plan = planInstallation(options);
+  record({
+    dryRun: Boolean(options.dryRun || options.check),
+    selection: plan.selection,
+    settings: plan.settings,
+    backup: { components: plan.backup, path: null },
+    actions: serializeActions(plan.actions),
+    summary: ownership.summarize(plan.actions),
+  });
+
+  if (options.dryRun || options.check) {
+    printPlan(plan.actions, {
+      ...plan,
+      notes: plan.selection
+        ? [`selection ${describeSelection(plan.selection)}`]
+        : [],
+    });
+    finishDryRun(plan.pending, options);
+    return;
+  }
+
+  // Create .claude directory if needed
+  if (!fs.existsSync(CLAUDE_DIR)) {
+    fs.mkdirSync(CLAUDE_DIR, { recursive: true });
+    info(`Created ${DISPLAY_DIR} directory`);
+  }
+
+  // Backup existing if present
+  const backupDir = backups.createBackup(CLAUDE_DIR, plan.backup);
+  report.backup.path = backupDir;
+  if (backupDir) {
+    warn("Existing configuration found - creating backup");
     success(`Backup created at ${backupDir}`);
   }
 
-  // Copy plugin files
+  // Copy plugin files, tracking which ones the plugin owns
   info("Installing commands, agents, skills, and hooks...");
 
-  const componentsToCopy = [
-    { name: "commands", src: path.join(sourceClaude, "commands") },
-    { name: "agents", src: path.join(sourceClaude, "agents") },
-    { name: "skills", src: path.join(sourceClaude, "skills") },
-    { name: "hooks", src: path.join(sourceClaude, "hooks") },
-    { name: "rules", src: path.join(sourceClaude, "rules") },
-    { name: "memory", src: path.join(sourceClaude, "memory") },
-    { name: "profiles", src: path.join(sourceClaude, "profiles") },
-  ];
-
-  for (const component of componentsToCopy) {
-    if (fs.existsSync(component.src)) {
-      copyDirSync(component.src, path.join(CLAUDE_DIR, component.name));
-      success(`Installed ${component.name}`);
+  // Everything from here on writes to the live install (use and rollback
+  // included). Keep a copy of what it touches, stored versions aside, so a
+  // failure at any step leaves the previous install rather than a mix of two.
+  const saved = backups.stash(
+    CLAUDE_DIR,
+    [...COMPONENTS, path.join("plugins", PLUGIN_NAME), "settings.json"],
+    { skip: [path.join(PLUGIN_DIR, versions.VERSIONS_DIR)] },
+  );
+  try {
+    const manifest = ownership.applyInstall({
+      claudeDir: CLAUDE_DIR,
+      actions: plan.actions,
+      previous: plan.previous,
+      version: source.version,
+      pristineDir: PRISTINE_DIR,
+    });
+    if (plan.selection) {
+      manifest.selection = plan.selection;
+    }
+    manifest.source = source;
+    const previousVersion = plan.previous && plan.previous.version;
+    manifest.previousVersion =
+      previousVersion && previousVersion !== source.version
+        ? previousVersion
+        : (plan.previous && plan.previous.previousVersion) || null;
+    ownership.writeManifest(PLUGIN_DIR, manifest);
+    const snapshot = versions.storeSnapshot(
+      PLUGIN_DIR,
+      PLUGIN_SOURCE,
+      source.version,
+      { checksums: source.verified },
+    );
+    record({ snapshot });
+    // Create settings, or enable the plugin in existing ones
+    if (plan.settings) {
+      applySettings(plan.settings);
     }
+  } catch (e) {
+    saved.restore();
+    warn("Install failed - the previous installation was restored");
+    throw e;
   }
+  saved.discard();
 
-  // Copy plugin manifest
-  if (fs.existsSync(sourcePlugin)) {
-    const pluginDir = path.join(CLAUDE_DIR, "plugins", "lorenzos-claude-code");
-    fs.mkdirSync(pluginDir, { recursive: true });
-    copyDirSync(sourcePlugin, pluginDir);
-    success("Installed plugin manifest");
+  for (const name of [...COMPONENTS, path.posix.join("plugins", PLUGIN_NAME)]) {
+    const count = plan.actions.filter(
+      (a) => a.key.startsWith(name + "/") && a.type !== "remove",
+    ).length;
+    if (count > 0) {
+      success(`Installed ${name} (${count} files)`);
+    }
   }
+  reportOwnership(plan.actions);
 
-  // Create/update settings if needed
-  const settingsPath = path.join(CLAUDE_DIR, "settings.json");
-  if (!fs.existsSync(settingsPath)) {
-    const defaultSettings = {
-      enabledPlugins: {
-        "lorenzos-claude-code": true,
-      },
-    };
-    fs.writeFileSync(settingsPath, JSON.stringify(defaultSettings, null, 2));
-    success("Created default settings.json");
+  if (plan.settings) {
+    success(
+      plan.settings === "create"
+        ? "Created default settings.json"
+        : "Enabled plugin in existing settings.json",
+    );
   }
 
   heading("Installation Complete!");
@@ -190,141 +797,761 @@ function install() {
   log("    2. Try /component-new to create a React component");
   log("    3. Run `lorenzo-claude doctor` to verify installation");
   log("");
+  if (options.scope === "project" || options.project) {
+    gitignoreTip();
+  }
 }
 
 /**
- * Update existing installation
+ * Project installs put backups inside the repository; suggest ignoring them
+ * unless the repo's .gitignore already does.
  */
-function update() {
-  heading("Updating Lorenzo's Claude Code Plugin to v" + VERSION);
+function gitignoreTip() {
+  const gitignore = path.join(path.dirname(CLAUDE_DIR), ".gitignore");
+  const content = fs.existsSync(gitignore)
+    ? fs.readFileSync(gitignore, "utf8")
+    : "";
+  if (/^\/?(\.claude\/)?\.backup-\*/m.test(content)) return;
+  info("Tip: add `.claude/.backup-*` to .gitignore to keep backups out of git");
+  log("");
+}
 
-  // Just reinstall - install handles backup
-  install();
+/**
+ * Update existing installation
+ */
+function update(options = {}) {
+  // Install handles backup and three-way merges of locally edited files
+  install(options, "Updating");
 }
 
 /**
  * Remove the plugin from ~/.claude/
  */
-function uninstall() {
+function uninstall(options = {}) {
   heading("Uninstalling Lorenzo's Claude Code Plugin");
 
-  const componentsToRemove = [
-    "commands",
-    "agents",
-    "skills",
-    "hooks",
-    "rules",
-    "memory",
-    "profiles",
-    path.join("plugins", "lorenzos-claude-code"),
+  const sourceFiles = ownership.collectSourceFiles(
+    getSourceComponents(
+      path.join(PLUGIN_SOURCE, ".claude"),
+      path.join(PLUGIN_SOURCE, ".claude-plugin"),
+    ),
+  );
+  // Without a manifest, fall back to the files this release ships: only
+  // identical copies are removed, so nothing user-authored is lost.
+  const previous =
+    ownership.readManifest(PLUGIN_DIR) ||
+    ownership.legacyManifest(sourceFiles, VERSION);
+
+  const actions = ownership.planUninstall({ claudeDir: CLAUDE_DIR, previous });
+  // The plugin's own records go too: pristine copies, stored versions and
+  // the manifest. They are part of the plan so --dry-run and --json list them.
+  const manifestPath = path.join(PLUGIN_DIR, ownership.MANIFEST_FILE);
+  const records = [
+    PRISTINE_DIR,
+    path.join(PLUGIN_DIR, versions.VERSIONS_DIR),
+    manifestPath,
+  ].filter((file) => fs.existsSync(file));
+  const plan = [
+    ...actions,
+    ...records.map((file) => ({
+      type: "remove",
+      key: path.relative(CLAUDE_DIR, file).split(path.sep).join("/"),
+    })),
   ];
+  record({
+    dryRun: Boolean(options.dryRun || options.check),
+    actions: serializeActions(plan),
+    summary: ownership.summarize(plan),
+  });
+
+  if (options.dryRun || options.check) {
+    const notes = actions
+      .filter((a) => a.type === "keep")
+      .map((a) => `kept     ${a.key} (modified locally)`);
+    printPlan(plan, { notes });
+    finishDryRun(
+      plan.some((a) => a.type === "remove"),
+      options,
+    );
+    return;
+  }
+
+  ownership.applyUninstall({ claudeDir: CLAUDE_DIR, actions });
+  for (const file of records) {
+    fs.rmSync(file, { recursive: true, force: true });
+  }
+  ownership.removeEmptyParents(manifestPath, CLAUDE_DIR);
 
-  for (const component of componentsToRemove) {
-    const componentPath = path.join(CLAUDE_DIR, component);
-    if (fs.existsSync(componentPath)) {
-      removeDirSync(componentPath);
-      success(`Removed ${component}`);
+  const removed = actions.filter((a) => a.type === "remove").length;
+  success(`Removed ${removed} plugin files`);
+  for (const action of actions) {
+    if (action.type === "keep") {
+      warn(`Kept locally modified ${action.key}`);
     }
   }
 
   heading("Uninstall Complete!");
   log("");
-  log("  Your ~/.claude/settings.json was preserved.");
+  log(
+    `  Your own commands, agents and ${DISPLAY_DIR}/settings.json were preserved.`,
+  );
   log("  Remove manually if no longer needed.");
   log("");
 }
 
 /**
- * Verify installation and check dependencies
+ * Check installation health. With --fix, repair the broken pieces from the
+ * package source and check again; --fix --dry-run only lists the repairs.
  */
-function doctor() {
+function doctor(options = {}) {
   heading("Claude Code Plugin Health Check");
 
   let issues = 0;
+  const environment = [];
 
   // Check Node version
   const nodeVersion = process.versions.node.split(".")[0];
+  const nodeCheck = {
+    type: "node",
+    name: "node",
+    key: null,
+    message: `Node.js v${process.versions.node} (>= 18 required)`,
+  };
   if (parseInt(nodeVersion) >= 18) {
     success(`Node.js v${process.versions.node} (>= 18 required)`);
+    environment.push({ ...nodeCheck, status: "ok" });
   } else {
     error(`Node.js v${process.versions.node} is too old (>= 18 required)`);
+    environment.push({ ...nodeCheck, status: "invalid" });
     issues++;
   }
 
-  // Check ~/.claude exists
+  // Check the Claude directory exists
+  const dirCheck = {
+    type: "directory",
+    name: DISPLAY_DIR,
+    key: null,
+    message: CLAUDE_DIR,
+  };
   if (fs.existsSync(CLAUDE_DIR)) {
-    success("~/.claude directory exists");
+    success(`${DISPLAY_DIR} directory exists`);
+    environment.push({ ...dirCheck, status: "ok" });
   } else {
-    error("~/.claude directory not found");
+    error(`${DISPLAY_DIR} directory not found`);
+    environment.push({ ...dirCheck, status: "missing" });
     issues++;
   }
 
-  // Check components
-  const components = [
-    { name: "commands", expected: 14 },
-    { name: "agents", expected: 6 },
-    { name: "skills", expected: 3 },
-    { name: "hooks", expected: 15 }, // hooks.json + 14 hook scripts
-  ];
+  // Check every item the installed plugin.json and hooks.json declare
+  let result = checkPlugin();
+  let counts = reportFindings(result.findings);
 
-  for (const component of components) {
-    const componentPath = path.join(CLAUDE_DIR, component.name);
-    if (fs.existsSync(componentPath)) {
-      const files = fs
-        .readdirSync(componentPath, { recursive: true })
-        .filter(
-          (f) =>
-            f.endsWith(".md") ||
-            f.endsWith(".json") ||
-            f.endsWith(".js") ||
-            f.endsWith(".sh"),
-        );
-
-      if (files.length >= component.expected * 0.5) {
-        success(`${component.name}: ${files.length} files found`);
-      } else {
-        warn(
-          `${component.name}: Only ${files.length} files (expected ~${component.expected})`,
-        );
-      }
-    } else {
-      error(`${component.name}: Directory not found`);
-      issues++;
+  if (options.fix && (counts.issues || counts.repairable)) {
+    if (repair(result, options) && !options.dryRun) {
+      heading("After repair");
+      result = checkPlugin();
+      counts = reportFindings(result.findings);
     }
   }
-
-  // Check hooks.json
-  const hooksJson = path.join(CLAUDE_DIR, "hooks", "hooks.json");
-  if (fs.existsSync(hooksJson)) {
-    try {
-      JSON.parse(fs.readFileSync(hooksJson, "utf8"));
-      success("hooks.json is valid JSON");
-    } catch (e) {
-      error("hooks.json is invalid JSON");
-      issues++;
-    }
-  } else {
-    warn("hooks.json not found");
-  }
+  issues += counts.issues;
+  record({
+    installedVersion: result.plugin ? result.plugin.version : null,
+    checks: [...environment, ...result.findings].map((finding) => ({
+      ...finding,
+      severity: doctorChecks.severityOf(finding.status),
+    })),
+    issues,
+    warnings: counts.warnings,
+  });
 
   // Summary
   heading("Summary");
   if (issues === 0) {
     log("");
-    success("All checks passed! Plugin is healthy.");
+    if (counts.warnings) {
+      warn(
+        `${counts.warnings} warning(s). Run 'lorenzo-claude update' to refresh.`,
+      );
+    } else {
+      success("All checks passed! Plugin is healthy.");
+    }
     log("");
   } else {
     log("");
-    error(`${issues} issue(s) found. Run 'lorenzo-claude install' to fix.`);
+    error(
+      options.fix && !options.dryRun
+        ? `${issues} issue(s) remain. Run 'lorenzo-claude install' to reinstall.`
+        : `${issues} issue(s) found. Run 'lorenzo-claude doctor --fix' to repair.`,
+    );
     log("");
-    process.exit(1);
+    exit(EXIT.CHECK_FAILED);
   }
 }
 
+function checkPlugin() {
+  const result = doctorChecks.checkInstallation({
+    claudeDir: CLAUDE_DIR,
+    pluginDir: PLUGIN_DIR,
+    version: VERSION,
+  });
+  if (result.plugin) {
+    success(`Plugin v${result.plugin.version} installed`);
+    if (result.manifest && result.manifest.selection) {
+      info(`Selection: ${describeSelection(result.manifest.selection)}`);
+    }
+    const source = result.manifest && result.manifest.source;
+    if (source && source.type === "snapshot") {
+      info(
+        source.version === VERSION
+          ? `Switched to v${source.version} with lcc use`
+          : `Switched to v${source.version} with lcc use; lcc update returns to v${VERSION}`,
+      );
+    } else if (source && source.type !== "package") {
+      info(
+        `Installed from ${formatPath(source.path)} (${source.type}${source.verified ? ", checksums verified" : ""})`,
+      );
+    }
+  }
+  return result;
+}
+
+/**
+ * Print findings: healthy items as one count per type, problems one by one
+ */
+function reportFindings(findings) {
+  const okCounts = {};
+  for (const finding of findings) {
+    if (finding.status === "ok") {
+      okCounts[finding.type] = (okCounts[finding.type] || 0) + 1;
+    }
+  }
+  const labels = {
+    command: "commands",
+    agent: "agents",
+    skill: "skills",
+    hooks: "hooks.json",
+    hook: "hook scripts",
+  };
+  for (const [type, count] of Object.entries(okCounts)) {
+    success(`${labels[type] || type}: ${count} OK`);
+  }
+
+  const counts = { issues: 0, warnings: 0, repairable: 0 };
+  for (const finding of findings) {
+    if (doctorChecks.ERROR_STATUSES.has(finding.status)) {
+      error(`${finding.status}: ${finding.message}`);
+      counts.issues++;
+    } else if (doctorChecks.WARNING_STATUSES.has(finding.status)) {
+      warn(`${finding.status}: ${finding.message}`);
+      counts.warnings++;
+      if (finding.status === "permissions") counts.repairable++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Point PLUGIN_SOURCE at the package the active install came from, at the
+ * version it recorded: the stored snapshot after `lcc use` (or when this
+ * release is not the installed one), the re-verified directory or tarball
+ * after `install --from`. Returns `{ version }`, or `{ version, unavailable }`
+ * saying why files cannot be restored.
+ */
+function prepareRepairSource(manifest, options) {
+  const source = manifest && manifest.source;
+  if (!source) {
+    prepareSource(options);
+    return { version: VERSION };
+  }
+  const { version } = source;
+  if (source.type === "directory" || source.type === "tarball") {
+    if (!fs.existsSync(source.path)) {
+      return {
+        version,
+        unavailable: `${formatPath(source.path)} (installed with --from) no longer exists - reinstall with lcc install --from <package>`,
+      };
+    }
+    const prepared = prepareSource({ ...options, from: source.path });
+    if (prepared.version !== version) {
+      return {
+        version,
+        unavailable: `${formatPath(source.path)} is now v${prepared.version}, not the installed v${version} - reinstall with lcc install --from <package>`,
+      };
+    }
+    return { version };
+  }
+  if (source.type === "snapshot" || version !== VERSION) {
+    const snapshot = versions.findSnapshot(PLUGIN_DIR, version);
+    if (!snapshot) {
+      return {
+        version,
+        unavailable: `v${version} is not stored in ${formatPath(PLUGIN_DIR)} - run lcc install to reinstall`,
+      };
+    }
+    prepareSource(options, snapshot.path);
+    return { version };
+  }
+  prepareSource(options);
+  return { version };
+}
+
+/**
+ * Repair what doctor found, printing each action. Returns true when
+ * anything was (or, with --dry-run, would be) changed.
+ */
+function repair(result, options) {
+  heading(
+    options.dryRun ? "Repairs (dry run - nothing was written)" : "Repairing",
+  );
+
+  const { version, unavailable } = prepareRepairSource(
+    result.manifest,
+    options,
+  );
+  const sourceFiles = unavailable
+    ? new Map()
+    : ownership.collectSourceFiles(
+        getSourceComponents(
+          path.join(PLUGIN_SOURCE, ".claude"),
+          path.join(PLUGIN_SOURCE, ".claude-plugin"),
+        ),
+      );
+  const repairs = doctorChecks.planRepairs(result.findings, sourceFiles, {
+    unavailable,
+  });
+  const describe = {
+    restore: (r) =>
+      r.broken
+        ? `Restored ${r.key} from v${version} (broken copy kept as ${r.key}.orig)`
+        : `Restored missing ${r.key} from v${version}`,
+    chmod: (r) => `Made ${r.key} executable`,
+    enable: () => `Enabled ${PLUGIN_NAME} in settings.json`,
+  };
+
+  for (const r of repairs.filter((r) => r.type === "manual")) {
+    warn(`Cannot repair automatically: ${r.message}`);
+  }
+  const actions = repairs.filter((r) => r.type !== "manual");
+  record({
+    repairs: repairs.map((r) => ({
+      type: r.type,
+      key: r.key,
+      applied: r.type !== "manual" && !options.dryRun,
+      ...(r.message ? { message: r.message } : {}),
+    })),
+  });
+  if (actions.length === 0) {
+    info("Nothing to repair automatically");
+    return false;
+  }
+  if (options.dryRun) {
+    for (const r of actions) info(describe[r.type](r));
+    return true;
+  }
+
+  fs.mkdirSync(CLAUDE_DIR, { recursive: true });
+  const manifest = doctorChecks.applyRepairs({
+    claudeDir: CLAUDE_DIR,
+    repairs: actions,
+    manifest: result.manifest,
+    version,
+    pristineDir: PRISTINE_DIR,
+  });
+  // Installs without a manifest keep relying on the legacy fallback
+  if (result.manifest) {
+    ownership.writeManifest(PLUGIN_DIR, manifest);
+  }
+  if (actions.some((r) => r.type === "enable")) {
+    applySettings(fs.existsSync(SETTINGS_PATH) ? "merge" : "create");
+  }
+  for (const r of actions) success(describe[r.type](r));
+  return true;
+}
+
+/**
+ * Switch the active plugin files to a stored version, or list the stored
+ * versions when none is given. Switching is an install from the snapshot,
+ * so local edits are merged and the saved selection is kept.
+ */
+function use(args, options) {
+  const version = args[0];
+  const manifest = ownership.readManifest(PLUGIN_DIR);
+  const active = manifest ? manifest.version : null;
+  const stored = versions.listSnapshots(PLUGIN_DIR);
+
+  if (!version) {
+    heading("Stored versions");
+    record({
+      active,
+      versions: stored.map((s) => ({
+        version: s.version,
+        path: s.path,
+        active: s.version === active,
+        storedAt: s.storedAt.toISOString(),
+      })),
+    });
+    if (stored.length === 0) {
+      info("No stored versions yet - they are kept from the next install on");
+      log("");
+      return;
+    }
+    for (const s of stored) {
+      const marker = s.version === active ? " (active)" : "";
+      log(
+        `  ${s.version.padEnd(12)} ${s.storedAt.toISOString().slice(0, 10)}${marker}`,
+      );
+    }
+    log("");
+    return;
+  }
+
+  let snapshot;
+  try {
+    snapshot = versions.findSnapshot(PLUGIN_DIR, version);
+  } catch (e) {
+    error(e.message);
+    exit(EXIT.USAGE);
+  }
+  if (!snapshot) {
+    error(`v${version} is not stored in ${formatPath(PLUGIN_DIR)}`);
+    if (stored.length) {
+      info(`Stored: ${stored.map((s) => s.version).join(", ")}`);
+    }
+    info(`Install it once with: lcc install --from <v${version} package>`);
+    exit(EXIT.NOT_FOUND);
+  }
+  record({ from: active, to: version });
+  prepareSource(options, snapshot.path);
+  install(options);
+}
+
+/**
+ * Return to the version that was active before the last switch
+ */
+function rollback(options) {
+  const manifest = ownership.readManifest(PLUGIN_DIR);
+  if (!manifest || !manifest.previousVersion) {
+    error("Nothing to roll back to: no earlier version was installed here");
+    exit(EXIT.NOT_FOUND);
+  }
+  info(
+    `Rolling back from v${manifest.version} to v${manifest.previousVersion}`,
+  );
+  use([manifest.previousVersion], options);
+}
+
+/**
+ * List, restore or prune the ~/.claude/.backup-<timestamp> snapshots
+ */
+function backup(args, options) {
+  const subcommand = args[0] || "list";
+
+  switch (subcommand) {
+    case "list":
+    case "ls":
+      backupList();
+      break;
+    case "restore":
+      backupRestore(args[1], options);
+      break;
+    case "prune":
+      backupPrune(options);
+      break;
+    default:
+      error(`Unknown backup command: ${subcommand}`);
+      log("  Usage: lorenzo-claude backup list|restore|prune");
+      exit(EXIT.USAGE);
+  }
+}
+
+function backupEntry(snapshot) {
+  return {
+    name: snapshot.name,
+    path: snapshot.path,
+    createdAt: snapshot.mtime.toISOString(),
+    size: snapshot.size,
+    components: snapshot.components,
+  };
+}
+
+function backupList() {
+  heading("Backups");
+
+  const snapshots = backups.listBackups(CLAUDE_DIR);
+  record({ backups: snapshots.map(backupEntry) });
+  if (snapshots.length === 0) {
+    info(`No backups found in ${DISPLAY_DIR}`);
+    log("");
+    return;
+  }
+
+  for (const snapshot of snapshots) {
+    log(
+      `  ${snapshot.name}  ${snapshot.mtime.toISOString()}  ${formatBytes(snapshot.size)}`,
+    );
+    log(`    ${snapshot.components.join(", ") || "(empty)"}`, colors.dim);
+  }
+  log("");
+  log(`  ${snapshots.length} backup(s)`, colors.dim);
+  log("");
+}
+
+function backupRestore(id, options) {
+  if (!id) {
+    error(
+      "Usage: lorenzo-claude backup restore <name|timestamp|latest> [--component <name>]",
+    );
+    exit(EXIT.USAGE);
+  }
+
+  heading(`Restoring backup ${id}`);
+
+  const snapshot = backups.findBackup(CLAUDE_DIR, id);
+  if (!snapshot) {
+    error(`Backup not found: ${id}`);
+    exit(EXIT.NOT_FOUND);
+  }
+  if (
+    typeof options.component === "string" &&
+    !snapshot.components.includes(options.component)
+  ) {
+    error(`Backup ${snapshot.name} does not contain ${options.component}`);
+    exit(EXIT.NOT_FOUND);
+  }
+
+  let result;
+  try {
+    result = backups.restoreBackup(CLAUDE_DIR, id, {
+      component:
+        typeof options.component === "string" ? options.component : undefined,
+    });
+  } catch (e) {
+    error(e.message);
+    exit(EXIT.ERROR);
+  }
+  record({ restore: result });
+
+  for (const name of result.components) {
+    success(`Restored ${name} from ${result.backup}`);
+  }
+  if (result.replacedBy) {
+    info(`Replaced files saved as ${result.replacedBy}`);
+  }
+  log("");
+}
+
+function backupPrune(options) {
+  const keep = intOption(options, "keep", DEFAULT_BACKUP_KEEP);
+  const maxDays = intOption(options, "maxDays", Infinity);
+
+  heading("Pruning backups");
+
+  const removed = backups.pruneBackups(CLAUDE_DIR, { keep, maxDays });
+  record({ removed: removed.map(backupEntry) });
+  for (const snapshot of removed) {
+    success(`Removed ${snapshot.name} (${formatBytes(snapshot.size)})`);
+  }
+  if (removed.length === 0) {
+    info("Nothing to prune");
+  }
+  log("");
+}
+
+/**
+ * Inspect the MCP servers plugin.json declares: list them, or check they
+ * can start on this machine
+ */
+function mcp(args, options) {
+  const subcommand = args[0] || "list";
+  const pluginDir = fs.existsSync(path.join(PLUGIN_DIR, "plugin.json"))
+    ? PLUGIN_DIR
+    : path.join(PLUGIN_SOURCE, ".claude-plugin");
+
+  let servers;
+  try {
+    servers = mcpServers.declaredServers(
+      JSON.parse(fs.readFileSync(path.join(pluginDir, "plugin.json"), "utf8")),
+      mcpServers.readRequirements(pluginDir),
+    );
+  } catch (e) {
+    error(
+      `Cannot read the MCP servers in ${formatPath(pluginDir)}: ${e.message}`,
+    );
+    exit(EXIT.ERROR);
+  }
+
+  let settings;
+  try {
+    settings = readSettings();
+  } catch (e) {
+    error(`${formatPath(SETTINGS_PATH)} is invalid JSON: ${e.message}`);
+    exit(EXIT.ERROR);
+  }
+
+  switch (subcommand) {
+    case "list":
+    case "ls":
+      mcpList(servers);
+      break;
+    case "check":
+      mcpCheck(servers, settings);
+      break;
+    default:
+      error(`Unknown mcp command: ${subcommand}`);
+      log("  Usage: lorenzo-claude mcp list|check");
+      exit(EXIT.USAGE);
+  }
+}
+
+function mcpList(servers) {
+  heading("MCP Servers");
+
+  record({ servers });
+  for (const server of servers) {
+    log(`  ● ${server.name.padEnd(12)} ${server.description}`, colors.green);
+    log(`    ${[server.command, ...server.args].join(" ")}`, colors.dim);
+  }
+  log("");
+  log(
+    "  Claude Code starts these while the plugin is enabled; use /mcp in Claude Code to turn one off",
+    colors.dim,
+  );
+  log("");
+}
+
+function mcpCheck(servers, settings) {
+  heading("MCP Server Check");
+
+  const results = servers.map((server) =>
+    mcpServers.checkServer(server, { settings }),
+  );
+  record({ servers: results });
+
+  let failures = 0;
+  for (const result of results) {
+    if (result.ok) {
+      success(`${result.name}: ${result.command} -> ${result.resolved}`);
+      continue;
+    }
+    failures++;
+    if (!result.resolved) {
+      error(`${result.name}: command "${result.command}" not found on PATH`);
+    }
+    if (result.missingEnv.length) {
+      error(
+        `${result.name}: missing environment variable ${result.missingEnv.join(", ")}`,
+      );
+    }
+  }
+  log("");
+  if (failures) {
+    error(`${failures} server(s) cannot start`);
+    exit(EXIT.CHECK_FAILED);
+  }
+  success("All MCP servers are ready");
+  log("");
+}
+
+/**
+ * Run the validation rules (see scripts/lib/validate.js) against the plugin
+ * at args[0] (or --root) and print one report, grouped by file. Errors fail the run;
+ * warnings and info findings do not. `--format json|sarif|junit` prints that
+ * document on stdout instead (see scripts/lib/reporters.js), in place of the
+ * --json envelope.
+ */
+function validate(args, options) {
+  const format = options.format || "text";
+  if (!reporters.FORMATS.includes(format)) {
+    error(
+      `Unknown format "${format}" (expected ${reporters.FORMATS.join(", ")})`,
+    );
+    exit(EXIT.USAGE);
+  }
+  if (options.root && args[0]) {
+    error("Pass the plugin either as [path] or as --root, not both");
+    exit(EXIT.USAGE);
+  }
+  const root = path.resolve(options.root || args[0] || ".");
+  if (!fs.existsSync(root)) {
+    error(`Not found: ${root}`);
+    exit(EXIT.NOT_FOUND);
+  }
+  let config;
+  try {
+    config = validation.loadConfig(root, options.config, {
+      allowPlugins: Boolean(options.allowPlugins),
+    });
+  } catch (e) {
+    error(e.message);
+    exit(EXIT.USAGE);
+  }
+
+  const result = validation.runValidation(root, config);
+  const code = result.counts.error ? EXIT.CHECK_FAILED : EXIT.OK;
+  if (format !== "text") {
+    JSON_MODE = false;
+    const formatters = {
+      json: reporters.formatJson,
+      sarif: (r) =>
+        reporters.formatSarif(r, {
+          version: VERSION,
+          informationUri: require("../package.json").homepage,
+        }),
+      junit: reporters.formatJunit,
+    };
+    process.stdout.write(formatters[format](result));
+    exit(code);
+  }
+  record({
+    root,
+    config: result.config,
+    rules: result.rules,
+    findings: result.findings.map((f) => ({
+      ...f,
+      file: path.relative(root, f.file) || ".",
+    })),
+    counts: result.counts,
+  });
+
+  heading(`Validating ${formatPath(root)}`);
+  if (result.config) info(`Using ${formatPath(result.config)}`);
+  const symbols = {
+    error: ["✗", colors.red],
+    warning: ["⚠", colors.yellow],
+    info: ["ℹ", colors.cyan],
+  };
+  let current = null;
+  for (const finding of result.findings) {
+    const file = path.relative(root, finding.file) || ".";
+    if (file !== current) {
+      current = file;
+      log("");
+      log(file, colors.bright);
+    }
+    const [symbol, color] = symbols[finding.severity];
+    const where = finding.line ? `${finding.line}:${finding.column || 1}` : "";
+    log(
+      `  ${color}${symbol}${colors.reset} ${where.padEnd(7)} ${finding.message}  ${colors.dim}(${finding.rule})${colors.reset}`,
+    );
+  }
+
+  const { counts } = result;
+  log("");
+  const summary = `${counts.error} error(s), ${counts.warning} warning(s), ${counts.info} info, from ${result.rules.length} rules`;
+  if (counts.error) {
+    error(summary);
+    exit(EXIT.CHECK_FAILED);
+  }
+  if (counts.warning) warn(summary);
+  else success(summary);
+  log("");
+}
+
 /**
  * Show version
  */
 function showVersion() {
+  record({ node: process.versions.node });
   log(`Lorenzo's Claude Code Plugin v${VERSION}`);
 }
 
@@ -340,55 +1567,179 @@ function showHelp() {
   log("");
   log("Commands:");
   log("  install     Install plugin to ~/.claude/");
-  log("  update      Update existing installation");
+  log("  update      Update existing installation, merging local edits");
   log("  uninstall   Remove plugin from ~/.claude/");
   log("  doctor      Verify installation health");
+  log("  backup      List, restore or prune ~/.claude backups");
+  log("  mcp         List and check the plugin's MCP servers");
+  log("  use         Switch to a stored version (no argument: list them)");
+  log("  rollback    Switch back to the previously active version");
+  log("  validate    Check a plugin's components, hooks and manifests");
   log("  version     Show version information");
   log("  help        Show this help message");
   log("");
   log("Aliases:");
   log("  lcc         Short alias for lorenzo-claude");
   log("");
+  log("Global options:");
+  log("  --json      Print one JSON document instead of colored output");
+  log("");
+  log("Exit codes:");
+  log(
+    "  0 ok, 1 check failed (doctor issues, validate errors, --check pending),",
+  );
+  log(
+    "  2 usage error, 3 plugin source missing, 4 not found, 5 unexpected error,",
+  );
+  log("  6 integrity check failed (--from source does not match checksums)");
+  log("");
+  log(
+    "Scope (install, update, uninstall, doctor, backup, mcp, use, rollback):",
+  );
+  log("  --scope user|project  ~/.claude (default) or <repo>/.claude");
+  log("  --project [dir]       Same as --scope project, for the repo at dir");
+  log("  --target <path>       Operate on an explicit Claude directory");
+  log("");
+  log("Options for install, update, uninstall, use and rollback:");
+  log("  --dry-run   Print the plan (with diffs) without writing anything");
+  log("  --check     Like --dry-run, but exit 1 if the plan is not empty");
+  log("");
+  log("Options for install and update:");
+  log(
+    "  --from <path>       Install offline from a checkout or npm pack .tgz,",
+  );
+  log("                      verified against its checksums file");
+  log("");
+  log("Selecting components (install, update; remembered for later updates):");
+  log("  --only <list>       Install only these, e.g. commands,skills");
+  log("  --exclude <list>    Skip these, e.g. hooks/status-line.js");
+  log("  --profile <name>    Install a bundle from plugin.json profiles");
+  log("  --all               Forget a saved selection and install everything");
+  log("");
+  log("Options for doctor:");
+  log("  --fix       Restore broken plugin files, re-enable the plugin and");
+  log("              fix hook script permissions (add --dry-run to preview)");
+  log("");
+  log("Options for validate [path] (default: the current directory):");
+  log("  --root <dir>     Same as [path]");
+  log("  --config <file>  Rule settings (default: <path>/lcc.config.json)");
+  log(
+    "  --allow-plugins  Load the rule plugins the config names (runs their code)",
+  );
+  log("  --format <name>  text (default), json, sarif or junit, on stdout");
+  log("");
+  log("Backup commands:");
+  log(
+    "  backup list                          Show snapshots with size and contents",
+  );
+  log("  backup restore <name|latest>         Restore a snapshot");
+  log(
+    "    --component <name>                 Restore only one component (e.g. commands)",
+  );
+  log(
+    `  backup prune [--keep N] [--max-days N]  Delete old snapshots (default keep ${DEFAULT_BACKUP_KEEP})`,
+  );
+  log("");
+  log("MCP commands:");
+  log("  mcp list                   Declared servers and their commands");
+  log(
+    "  mcp check                  Check commands are on PATH and env vars set",
+  );
+  log("");
   log("Examples:");
   log("  npx @gr8monk3ys/claude-code-plugin install");
   log("  lorenzo-claude doctor");
-  log("  lcc update");
-  log("");
-}
-
-// Main CLI handler
-const command = process.argv[2];
-
-switch (command) {
-  case "install":
-  case "i":
-    install();
-    break;
-  case "update":
-  case "u":
-    update();
-    break;
-  case "uninstall":
-  case "remove":
-    uninstall();
-    break;
-  case "doctor":
-  case "check":
-    doctor();
-    break;
-  case "version":
-  case "-v":
-  case "--version":
-    showVersion();
-    break;
-  case "help":
-  case "-h":
-  case "--help":
-  case undefined:
-    showHelp();
-    break;
-  default:
-    error(`Unknown command: ${command}`);
-    showHelp();
-    process.exit(1);
+  log("  lcc doctor --fix");
+  log("  lcc doctor --json");
+  log("  lcc update --dry-run");
+  log("  lcc install --project");
+  log("  lcc install --from ./gr8monk3ys-claude-code-plugin-4.1.0.tgz");
+  log("  lcc install --profile minimal");
+  log("  lcc install --exclude commands/workflow/babysit.md");
+  log("  lcc backup restore latest --component commands");
+  log("  lcc mcp check");
+  log("  lcc use 4.0.0");
+  log("  lcc rollback --dry-run");
+  log("  lcc validate ./my-plugin");
+  log("  lcc validate --format sarif > lcc.sarif");
+  log("");
+}
+
+// Main CLI handler. --json is global, so it may appear anywhere.
+const argv = process.argv.slice(2);
+JSON_MODE = argv.includes("--json");
+const cliArgs = argv.filter((arg) => arg !== "--json");
+const command = cliArgs[0];
+const { args, options } = parseArgs(cliArgs.slice(1));
+record({ command: command || "help", version: VERSION });
+
+try {
+  useClaudeDir(
+    resolveClaudeDir({
+      scope: options.scope,
+      project: options.project,
+      target: options.target,
+    }),
+  );
+  record({ claudeDir: CLAUDE_DIR });
+} catch (e) {
+  error(e.message);
+  exit(EXIT.USAGE);
+}
+
+try {
+  switch (command) {
+    case "install":
+    case "i":
+      install(options);
+      break;
+    case "update":
+    case "u":
+      update(options);
+      break;
+    case "uninstall":
+    case "remove":
+      uninstall(options);
+      break;
+    case "doctor":
+    case "check":
+      doctor(options);
+      break;
+    case "backup":
+    case "backups":
+      backup(args, options);
+      break;
+    case "mcp":
+      mcp(args, options);
+      break;
+    case "use":
+      use(args, options);
+      break;
+    case "rollback":
+      rollback(options);
+      break;
+    case "validate":
+    case "lint":
+      validate(args, options);
+      break;
+    case "version":
+    case "-v":
+    case "--version":
+      showVersion();
+      break;
+    case "help":
+    case "-h":
+    case "--help":
+    case undefined:
+      showHelp();
+      break;
+    default:
+      error(`Unknown command: ${command}`);
+      showHelp();
+      exit(EXIT.USAGE);
+  }
+} catch (e) {
+  error(e.message);
+  exit(EXIT.ERROR);
 }
+exit(EXIT.OK);
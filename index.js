@@ -0,0 +1,50 @@
+'use strict'
+
+// Programmatic entry point for plugin authors: the validation engine behind
+// `lcc validate` and the generator behind scripts/sync-manifest.js, both
+// working on any package laid out like this one (.claude/,
+// .claude-plugin/plugin.json, package.json).
+//
+//   const { validate, syncManifest } = require('@gr8monk3ys/claude-code-plugin')
+//   const { findings, counts } = validate('./my-plugin')
+//   const { results } = syncManifest({ root: './my-plugin', check: true })
+
+const path = require('node:path')
+const reporters = require('./scripts/lib/reporters')
+const rules = require('./scripts/lib/rules')
+const schema = require('./scripts/lib/schema')
+const { syncManifest } = require('./scripts/lib/sync')
+const { CONFIG_FILE, loadConfig, loadPlugin, runValidation } = require('./scripts/lib/validate')
+
+/**
+ * Run the validation rules against the plugin at `root`, with settings from
+ * `config` (a path; default `<root>/lcc.config.json` when present). Rule
+ * plugins the config lists run as code and need `allowPlugins: true`.
+ * Returns the runValidation result; format it with `reporters`.
+ */
+function validate(root, { config, allowPlugins } = {}) {
+  const resolved = path.resolve(root)
+  return runValidation(resolved, loadConfig(resolved, config, { allowPlugins }))
+}
+
+/**
+ * Regenerate (or with `check: true`, verify) the manifest of the plugin at
+ * `root`, default the current directory. Returns the syncManifest result.
+ */
+function sync({ root = process.cwd(), ...options } = {}) {
+  return syncManifest({ ...options, root: path.resolve(root) })
+}
+
+module.exports = {
+  validate,
+  syncManifest: sync,
+  loadConfig,
+  loadPlugin,
+  runValidation,
+  rules,
+  reporters,
+  CONFIG_FILE,
+  validateTree: schema.validateTree,
+  validateFrontmatter: schema.validateFrontmatter,
+  formatIssue: schema.formatIssue,
+}
@@ -9,69 +9,103 @@
  * - Testing framework (Jest, Vitest, Playwright)
  * - Styling approach (Tailwind, CSS Modules, etc.)
  * - Package manager (npm, yarn, pnpm, bun)
+ * - Versions from node_modules or the lockfile, the Next.js router, React
+ *   Server Components and the Tailwind CSS config style
+ * - Monorepo workspaces, each detected on its own (see lib/workspaces.js)
+ * - Conventions to follow when adding files: component directory, file
+ *   naming, export style, test placement, path aliases and the Supabase
+ *   client helpers (see lib/conventions.js)
  *
- * Usage: node scripts/detect-project.js [project-path]
+ * Indicator `patterns` are globs matched against a bounded walk of the
+ * project's files that honours .gitignore (see lib/walk.js). In a monorepo
+ * the root walk leaves out the workspaces, and all the walks share one
+ * budget.
+ *
+ * More categories and indicators can be declared in
+ * ~/.claude/detect-indicators.json or <project>/.claude/detect-indicators.json
+ * (see lib/indicators.js).
+ *
+ * Usage: node scripts/detect-project.js [project-path] [options]
+ *   --workspace <name>  Only the workspace with this name or path
+ *   --file <path>       Say which workspace this file belongs to
+ *                       (default: the one containing the working directory)
+ *   --context           Print the markdown context block
+ *   --simple            Print only the detected names
  *
  * Output: JSON object with detected project configuration
  */
 
 const fs = require('fs')
 const path = require('path')
-
-const projectPath = process.argv[2] || process.cwd()
+const { resolveVersions, majorVersion } = require('./lib/lockfiles')
+const { listWorkspaces, workspaceFor } = require('./lib/workspaces')
+const { loadIndicators } = require('./lib/indicators')
+const { createBudget, walkFiles, matchFiles, readHead } = require('./lib/walk')
+const { detectConventions } = require('./lib/conventions')
 
 // Detection indicators
 const INDICATORS = {
   framework: {
     nextjs: {
+      displayName: 'Next.js',
       files: ['next.config.js', 'next.config.mjs', 'next.config.ts'],
       packages: ['next'],
       confidence: 'high'
     },
     nuxt: {
+      displayName: 'Nuxt 3',
       files: ['nuxt.config.ts', 'nuxt.config.js'],
       packages: ['nuxt'],
       confidence: 'high'
     },
     angular: {
+      displayName: 'Angular',
       files: ['angular.json'],
       packages: ['@angular/core'],
       confidence: 'high'
     },
     sveltekit: {
+      displayName: 'SvelteKit',
       files: ['svelte.config.js', 'svelte.config.ts'],
       packages: ['@sveltejs/kit'],
       confidence: 'high'
     },
     remix: {
+      displayName: 'Remix',
       files: ['remix.config.js', 'remix.config.ts'],
       packages: ['@remix-run/react'],
       confidence: 'high'
     },
     astro: {
+      displayName: 'Astro',
       files: ['astro.config.mjs', 'astro.config.ts'],
       packages: ['astro'],
       confidence: 'high'
     },
     vite: {
+      displayName: 'Vite',
       files: ['vite.config.ts', 'vite.config.js'],
       packages: ['vite'],
       confidence: 'medium'
     },
     gatsby: {
+      displayName: 'Gatsby',
       files: ['gatsby-config.js', 'gatsby-config.ts'],
       packages: ['gatsby'],
       confidence: 'high'
     },
     react: {
+      displayName: 'React',
       packages: ['react', 'react-dom'],
       confidence: 'low'
     },
     vue: {
+      displayName: 'Vue',
       packages: ['vue'],
       confidence: 'low'
     },
     svelte: {
+      displayName: 'Svelte',
       packages: ['svelte'],
       confidence: 'low'
     }
@@ -79,6 +113,7 @@ const INDICATORS = {
 
   database: {
     supabase: {
+      displayName: 'Supabase',
       files: ['supabase/config.toml'],
       directories: ['supabase/'],
       packages: ['@supabase/supabase-js'],
@@ -86,30 +121,36 @@ const INDICATORS = {
       confidence: 'high'
     },
     prisma: {
+      displayName: 'Prisma',
       files: ['prisma/schema.prisma'],
       packages: ['prisma', '@prisma/client'],
       confidence: 'high'
     },
     drizzle: {
+      displayName: 'Drizzle ORM',
       files: ['drizzle.config.ts', 'drizzle.config.js'],
       packages: ['drizzle-orm', 'drizzle-kit'],
       confidence: 'high'
     },
     mongoose: {
+      displayName: 'MongoDB (Mongoose)',
       packages: ['mongoose'],
       envVars: ['MONGODB_URI', 'MONGO_URL'],
       confidence: 'high'
     },
     typeorm: {
+      displayName: 'TypeORM',
       files: ['ormconfig.json', 'ormconfig.ts'],
       packages: ['typeorm'],
       confidence: 'high'
     },
     sequelize: {
+      displayName: 'Sequelize',
       packages: ['sequelize'],
       confidence: 'high'
     },
     kysely: {
+      displayName: 'Kysely',
       packages: ['kysely'],
       confidence: 'high'
     }
@@ -117,27 +158,33 @@ const INDICATORS = {
 
   testing: {
     vitest: {
+      displayName: 'Vitest',
       files: ['vitest.config.ts', 'vitest.config.js'],
       packages: ['vitest'],
       confidence: 'high'
     },
     jest: {
+      displayName: 'Jest',
       files: ['jest.config.js', 'jest.config.ts', 'jest.config.json'],
       packages: ['jest'],
       confidence: 'high'
     },
     playwright: {
+      displayName: 'Playwright',
       files: ['playwright.config.ts', 'playwright.config.js'],
       packages: ['@playwright/test', 'playwright'],
+      patterns: ['e2e/**/*.spec.{ts,js}', 'tests/e2e/**/*.spec.{ts,js}'],
       confidence: 'high'
     },
     cypress: {
+      displayName: 'Cypress',
       files: ['cypress.config.ts', 'cypress.config.js'],
       directories: ['cypress/'],
       packages: ['cypress'],
       confidence: 'high'
     },
     mocha: {
+      displayName: 'Mocha',
       files: ['.mocharc.json', '.mocharc.js'],
       packages: ['mocha'],
       confidence: 'high'
@@ -146,27 +193,33 @@ const INDICATORS = {
 
   styling: {
     tailwind: {
+      displayName: 'Tailwind CSS',
       files: ['tailwind.config.js', 'tailwind.config.ts'],
       packages: ['tailwindcss'],
       confidence: 'high'
     },
     'styled-components': {
+      displayName: 'Styled Components',
       packages: ['styled-components'],
       confidence: 'high'
     },
     emotion: {
+      displayName: 'Emotion',
       packages: ['@emotion/react', '@emotion/styled'],
       confidence: 'high'
     },
     'css-modules': {
+      displayName: 'CSS Modules',
       patterns: ['*.module.css', '*.module.scss'],
       confidence: 'medium'
     },
     sass: {
+      displayName: 'Sass/SCSS',
       packages: ['sass', 'node-sass'],
       confidence: 'medium'
     },
     unocss: {
+      displayName: 'UnoCSS',
       files: ['uno.config.ts', 'unocss.config.ts'],
       packages: ['unocss'],
       confidence: 'high'
@@ -175,30 +228,37 @@ const INDICATORS = {
 
   stateManagement: {
     zustand: {
+      displayName: 'Zustand',
       packages: ['zustand'],
       confidence: 'high'
     },
     redux: {
+      displayName: 'Redux Toolkit',
       packages: ['@reduxjs/toolkit', 'redux'],
       confidence: 'high'
     },
     jotai: {
+      displayName: 'Jotai',
       packages: ['jotai'],
       confidence: 'high'
     },
     recoil: {
+      displayName: 'Recoil',
       packages: ['recoil'],
       confidence: 'high'
     },
     pinia: {
+      displayName: 'Pinia',
       packages: ['pinia'],
       confidence: 'high'
     },
     mobx: {
+      displayName: 'MobX',
       packages: ['mobx', 'mobx-react'],
       confidence: 'high'
     },
     ngrx: {
+      displayName: 'NgRx',
       packages: ['@ngrx/store'],
       confidence: 'high'
     }
@@ -206,18 +266,22 @@ const INDICATORS = {
 
   packageManager: {
     pnpm: {
+      displayName: 'pnpm',
       files: ['pnpm-lock.yaml'],
       confidence: 'high'
     },
     yarn: {
+      displayName: 'Yarn',
       files: ['yarn.lock'],
       confidence: 'high'
     },
     bun: {
-      files: ['bun.lockb'],
+      displayName: 'Bun',
+      files: ['bun.lockb', 'bun.lock'],
       confidence: 'high'
     },
     npm: {
+      displayName: 'npm',
       files: ['package-lock.json'],
       confidence: 'high'
     }
@@ -225,24 +289,38 @@ const INDICATORS = {
 
   language: {
     typescript: {
+      displayName: 'TypeScript',
       files: ['tsconfig.json'],
       packages: ['typescript'],
       confidence: 'high'
     }
   },
 
+  tooling: {
+    storybook: {
+      displayName: 'Storybook',
+      directories: ['.storybook/'],
+      packages: ['storybook', '@storybook/react', '@storybook/nextjs', '@storybook/vue3'],
+      patterns: ['*.stories.{js,jsx,ts,tsx,mdx}'],
+      confidence: 'high'
+    }
+  },
+
   monorepo: {
     turborepo: {
+      displayName: 'Turborepo',
       files: ['turbo.json'],
       packages: ['turbo'],
       confidence: 'high'
     },
     nx: {
+      displayName: 'Nx',
       files: ['nx.json'],
       packages: ['nx'],
       confidence: 'high'
     },
     lerna: {
+      displayName: 'Lerna',
       files: ['lerna.json'],
       packages: ['lerna'],
       confidence: 'high'
@@ -250,27 +328,65 @@ const INDICATORS = {
   }
 }
 
+// Categories that describe the repository as a whole; a workspace shares
+// the root's package manager and monorepo tool
+const REPO_CATEGORIES = ['packageManager', 'monorepo']
+
+// Context block labels, in output order
+const LABELS = {
+  framework: 'Framework',
+  database: 'Database/ORM',
+  testing: 'Testing',
+  styling: 'Styling',
+  stateManagement: 'State Management',
+  tooling: 'Tooling',
+  language: 'Language',
+  packageManager: 'Package Manager',
+  monorepo: 'Monorepo'
+}
+
+// Score added per match of each kind of evidence, unless an indicator sets
+// its own `weights`
+const DEFAULT_WEIGHTS = {
+  files: 2,
+  directories: 2,
+  packages: 1,
+  envVars: 1,
+  patterns: 2
+}
+
+// What detection runs with when no config files add to it
+const BUILTINS = { indicators: INDICATORS, labels: LABELS, repoWide: REPO_CATEGORIES }
+
+// Where features are looked for, and how many files are read at most
+const SOURCE_DIRS = ['app', 'src', 'pages', 'components', 'lib', 'styles']
+const SCAN_LIMIT = 300
+// Matched paths quoted as evidence for a pattern
+const PATTERN_EXAMPLES = 3
+// Not a JavaScript project: nothing to report, but nothing went wrong either
+const NO_PACKAGE_JSON = 'No package.json found'
+
 // Helper functions
-function fileExists(filePath) {
+function fileExists(root, filePath) {
   try {
-    return fs.existsSync(path.join(projectPath, filePath))
+    return fs.existsSync(path.join(root, filePath))
   } catch {
     return false
   }
 }
 
-function directoryExists(dirPath) {
+function directoryExists(root, dirPath) {
   try {
-    const fullPath = path.join(projectPath, dirPath)
+    const fullPath = path.join(root, dirPath)
     return fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory()
   } catch {
     return false
   }
 }
 
-function readPackageJson() {
+function readPackageJson(root) {
   try {
-    const pkgPath = path.join(projectPath, 'package.json')
+    const pkgPath = path.join(root, 'package.json')
     if (fs.existsSync(pkgPath)) {
       return JSON.parse(fs.readFileSync(pkgPath, 'utf8'))
     }
@@ -290,11 +406,11 @@ function hasPackage(packageJson, packageName) {
   return packageName in deps
 }
 
-function checkEnvVars(envVars) {
+function checkEnvVars(root, envVars) {
   const envFiles = ['.env', '.env.local', '.env.development']
   for (const envFile of envFiles) {
     try {
-      const envPath = path.join(projectPath, envFile)
+      const envPath = path.join(root, envFile)
       if (fs.existsSync(envPath)) {
         const content = fs.readFileSync(envPath, 'utf8')
         for (const varName of envVars) {
@@ -310,18 +426,31 @@ function checkEnvVars(envVars) {
   return false
 }
 
-function detectCategory(category, packageJson) {
+// Evidence for a glob: how many files it matched, with a few of them
+function patternEvidence(pattern, matches) {
+  const examples = matches.slice(0, PATTERN_EXAMPLES).join(', ')
+  const count = `${matches.length} file${matches.length === 1 ? '' : 's'}`
+  return `pattern: ${pattern} (${count}${matches.length > PATTERN_EXAMPLES ? `, e.g. ${examples}` : `: ${examples}`})`
+}
+
+/**
+ * Score each indicator of a category against `root`. `scan` returns the
+ * walk patterns are matched against; detectIn shares one walk between
+ * categories.
+ */
+function detectCategory(category, packageJson, root, scan = () => walkFiles(root)) {
   const results = []
 
   for (const [name, indicator] of Object.entries(category)) {
+    const weights = { ...DEFAULT_WEIGHTS, ...indicator.weights }
     let score = 0
     const evidence = []
 
     // Check files
     if (indicator.files) {
       for (const file of indicator.files) {
-        if (fileExists(file)) {
-          score += 2
+        if (fileExists(root, file)) {
+          score += weights.files
           evidence.push(`file: ${file}`)
         }
       }
@@ -330,8 +459,8 @@ function detectCategory(category, packageJson) {
     // Check directories
     if (indicator.directories) {
       for (const dir of indicator.directories) {
-        if (directoryExists(dir)) {
-          score += 2
+        if (directoryExists(root, dir)) {
+          score += weights.directories
           evidence.push(`directory: ${dir}`)
         }
       }
@@ -341,7 +470,7 @@ function detectCategory(category, packageJson) {
     if (indicator.packages) {
       for (const pkg of indicator.packages) {
         if (hasPackage(packageJson, pkg)) {
-          score += 1
+          score += weights.packages
           evidence.push(`package: ${pkg}`)
         }
       }
@@ -349,12 +478,23 @@ function detectCategory(category, packageJson) {
 
     // Check environment variables
     if (indicator.envVars) {
-      if (checkEnvVars(indicator.envVars)) {
-        score += 1
+      if (checkEnvVars(root, indicator.envVars)) {
+        score += weights.envVars
         evidence.push(`env: ${indicator.envVars.join(' or ')}`)
       }
     }
 
+    // Check file patterns
+    if (indicator.patterns) {
+      for (const pattern of indicator.patterns) {
+        const matches = matchFiles(scan().files, pattern)
+        if (matches.length) {
+          score += weights.patterns
+          evidence.push(patternEvidence(pattern, matches))
+        }
+      }
+    }
+
     if (score > 0) {
       results.push({
         name,
@@ -375,124 +515,352 @@ function getBestMatch(results) {
   return results[0]
 }
 
-function detectProject() {
-  const packageJson = readPackageJson()
+// Run the given categories against one directory, then resolve the versions
+// of what was found and the features and conventions that depend on them.
+// The directory is walked once, skipping the `exclude` directories and
+// drawing on `budget`; `scan` says how many files were seen and whether the
+// walk stopped early.
+function detectIn(root, packageJson, categories, { indicators, repoRoot = root, exclude, budget }) {
+  let walked = null
+  const scan = () => walked || (walked = walkFiles(root, { exclude, budget }))
+  const detected = {}
+  const all = {}
+  for (const category of categories) {
+    const results = detectCategory(indicators[category], packageJson, root, scan)
+    all[category] = results
+
+    const best = getBestMatch(results)
+    if (best) {
+      detected[category] = best.name
+    }
+  }
+  const versions = detectVersions(root, packageJson, detected, { indicators, repoRoot })
+  const features = detectFeatures(root, detected, versions, scan)
+  const conventions = detectConventions(root, scan().files, { supabase: detected.database === 'supabase' })
+  return {
+    detected,
+    versions,
+    features,
+    conventions,
+    all,
+    scan: { files: walked.files.length, truncated: walked.truncated, ...(walked.reason ? { reason: walked.reason } : {}) }
+  }
+}
+
+// The packages of every detected indicator, plus React and Tailwind CSS,
+// whose versions decide what gets scaffolded
+function detectVersions(root, packageJson, detected, { indicators, repoRoot }) {
+  const names = new Set(['react', 'tailwindcss'])
+  for (const [category, name] of Object.entries(detected)) {
+    for (const pkg of indicators[category][name].packages || []) names.add(pkg)
+  }
+  return resolveVersions(root, packageJson, [...names], { repoRoot })
+}
+
+// Up to SCAN_LIMIT files with one of `extensions` under the SOURCE_DIRS
+function sourceFiles(root, scan, extensions) {
+  return scan().files
+    .filter(file => SOURCE_DIRS.includes(file.split('/')[0]) && extensions.includes(path.extname(file)))
+    .slice(0, SCAN_LIMIT)
+    .map(file => path.join(root, file))
+}
+
+/**
+ * Facts that change what should be generated: the Next.js router (`app`,
+ * `pages` or `app+pages`), React Server Components (with the number of
+ * files starting with 'use client' / 'use server') and the Tailwind CSS
+ * major version and config style (`css` for v4's `@import "tailwindcss"`,
+ * `js` for tailwind.config.*)
+ */
+function detectFeatures(root, detected, versions, scan) {
+  const features = {}
+
+  if (detected.framework === 'nextjs') {
+    const app = directoryExists(root, 'app') || directoryExists(root, 'src/app')
+    const pages = directoryExists(root, 'pages') || directoryExists(root, 'src/pages')
+    if (app || pages) features.router = app && pages ? 'app+pages' : app ? 'app' : 'pages'
+  }
+
+  if (versions.react) {
+    const directives = { useClient: 0, useServer: 0 }
+    for (const file of sourceFiles(root, scan, ['.js', '.jsx', '.ts', '.tsx', '.mjs'])) {
+      const match = readHead(file, 512).match(/^(?:\s|\/\/[^\n]*\n|\/\*[\s\S]*?\*\/)*['"]use (client|server)['"]/)
+      if (match) directives[match[1] === 'client' ? 'useClient' : 'useServer']++
+    }
+    const appRouter = features.router === 'app' || features.router === 'app+pages'
+    features.reactServerComponents = {
+      enabled: appRouter || directives.useClient + directives.useServer > 0,
+      reactMajor: majorVersion(versions.react),
+      ...directives
+    }
+  }
+
+  if (versions.tailwindcss) {
+    const configFile = ['tailwind.config.js', 'tailwind.config.ts', 'tailwind.config.cjs', 'tailwind.config.mjs'].find(f => fileExists(root, f))
+    let cssFirst = null
+    let directives = null
+    for (const file of sourceFiles(root, scan, ['.css'])) {
+      const css = readHead(file, 4096)
+      if (!cssFirst && /@import\s+['"]tailwindcss['"]|@theme\b/.test(css)) cssFirst = path.relative(root, file)
+      if (!directives && /@tailwind\s+(base|components|utilities)/.test(css)) directives = path.relative(root, file)
+    }
+    const major = majorVersion(versions.tailwindcss) || (cssFirst ? 4 : directives ? 3 : null)
+    features.tailwind = {
+      major,
+      config: cssFirst ? 'css' : configFile ? 'js' : null,
+      ...(configFile ? { configFile } : {}),
+      ...(cssFirst || directives ? { stylesheet: (cssFirst || directives).split(path.sep).join('/') } : {})
+    }
+  }
+
+  return features
+}
+
+/**
+ * Detect the project at `projectPath` and, in a monorepo, each workspace.
+ * `workspace` narrows the result to one workspace (by name or path); `file`
+ * (default: the working directory) picks the workspace reported as
+ * `current`. Indicators from the detect-indicators.json files in `homeDir`
+ * (default: the user's home) and the project are merged over the built-ins.
+ */
+function detectProject(projectPath, { workspace, file, homeDir } = {}) {
+  const packageJson = readPackageJson(projectPath)
 
   if (!packageJson) {
     return {
-      error: 'No package.json found',
+      error: NO_PACKAGE_JSON,
+      path: projectPath
+    }
+  }
+
+  let config
+  try {
+    config = loadIndicators(BUILTINS, projectPath, { homeDir })
+  } catch (err) {
+    return {
+      error: err.message,
       path: projectPath
     }
   }
+  const { indicators } = config
 
+  // One walk budget for the whole repository, so a monorepo costs no more
+  // than a single package; each workspace is walked on its own, not as part
+  // of the root
+  const budget = createBudget()
+  const workspaces = listWorkspaces(projectPath)
   const detection = {
     path: projectPath,
     name: packageJson.name || 'unknown',
     version: packageJson.version || 'unknown',
-    detected: {},
-    all: {}
+    ...(config.files.length ? { indicatorFiles: config.files } : {}),
+    ...detectIn(projectPath, packageJson, Object.keys(indicators), { indicators, exclude: workspaces.map(ws => ws.path), budget })
   }
 
-  // Detect each category
-  for (const [category, indicators] of Object.entries(INDICATORS)) {
-    const results = detectCategory(indicators, packageJson)
-    detection.all[category] = results
+  const workspaceCategories = Object.keys(indicators).filter(c => !config.repoWide.includes(c))
+  if (workspaces.length) {
+    detection.workspaces = workspaces.map(ws => {
+      const wsPackageJson = readPackageJson(ws.dir) || {}
+      return {
+        name: ws.name,
+        path: ws.path,
+        version: wsPackageJson.version || 'unknown',
+        ...detectIn(ws.dir, wsPackageJson, workspaceCategories, { indicators, repoRoot: projectPath, budget })
+      }
+    })
+    detection.workspaceSource = workspaces[0].source
 
-    const best = getBestMatch(results)
-    if (best) {
-      detection.detected[category] = best.name
+    const current = workspaceFor(workspaces, projectPath, file || process.cwd())
+    if (current) {
+      detection.current = { workspace: current.name, path: current.path }
+      if (file) detection.current.file = path.relative(projectPath, path.resolve(projectPath, file)).split(path.sep).join('/')
+    }
+  }
+
+  if (workspace) {
+    const match = (detection.workspaces || []).find(ws => ws.name === workspace || ws.path === workspace.replace(/\/+$/, ''))
+    if (!match) {
+      return {
+        error: `No workspace named ${workspace}`,
+        path: projectPath,
+        workspaces: (detection.workspaces || []).map(ws => ws.name)
+      }
     }
+    // The repository's package manager and monorepo tool, with their versions
+    const repoDetected = {}
+    const repoVersions = {}
+    for (const category of config.repoWide) {
+      const name = detection.detected[category]
+      if (!name) continue
+      repoDetected[category] = name
+      for (const pkg of indicators[category][name].packages || []) {
+        if (detection.versions[pkg]) repoVersions[pkg] = detection.versions[pkg]
+      }
+    }
+    const scoped = {
+      path: path.join(projectPath, match.path),
+      name: match.name,
+      version: match.version,
+      workspace: match.path,
+      repository: { path: projectPath, name: detection.name },
+      detected: { ...match.detected, ...repoDetected },
+      versions: { ...repoVersions, ...match.versions },
+      features: match.features,
+      conventions: match.conventions,
+      all: match.all,
+      scan: match.scan
+    }
+    scoped.context = generateContext(scoped, config)
+    return scoped
   }
 
   // Add additional context
-  detection.context = generateContext(detection)
+  detection.context = generateContext(detection, config)
 
   return detection
 }
 
-function generateContext(detection) {
+// Resolved (or else declared) version of a detected indicator's package
+function versionOf(detection, indicator) {
+  const versions = detection.versions || {}
+  const pkg = (indicator.packages || []).find(p => versions[p])
+  return pkg ? versions[pkg].installed || versions[pkg].declared : null
+}
+
+// Display name and version of what was detected for `category`
+function describe(detection, category, { indicators }) {
+  const name = detection.detected[category]
+  const indicator = (indicators[category] && indicators[category][name]) || {}
+  const version = versionOf(detection, indicator)
+  return `${indicator.displayName || name}${version ? ` ${version}` : ''}`
+}
+
+const ROUTERS = {
+  app: 'App Router (`app/`)',
+  pages: 'Pages Router (`pages/`)',
+  'app+pages': 'App Router (`app/`) and Pages Router (`pages/`)'
+}
+
+// One line per workspace: what it is built with
+function summarize(detection, config) {
+  const parts = Object.keys(config.labels)
+    .filter(category => detection.detected[category] && !config.repoWide.includes(category))
+    .map(category => describe(detection, category, config) +
+      (category === 'framework' && detection.features && detection.features.router ? ` (${ROUTERS[detection.features.router].split(' (')[0]})` : ''))
+  return parts.length ? parts.join(', ') : 'nothing detected'
+}
+
+const TEST_PLACEMENTS = {
+  colocated: 'next to the code they test',
+  __tests__: 'in `__tests__/` directories',
+  tests: 'under a top-level tests directory'
+}
+
+function quoted(paths) {
+  return paths.map(p => `\`${p}\``).join(', ')
+}
+
+// Context lines for detected conventions, marking the weakly supported ones
+function describeConventions(conventions) {
+  const lines = []
+  const push = (label, convention, text) => {
+    lines.push(`- **${label}:** ${text}${convention.confidence === 'low' ? ' (low confidence)' : ''}`)
+  }
+  const { componentDir, fileNaming, exports, tests, pathAliases, supabaseClient } = conventions
+  if (componentDir) {
+    push('Components', componentDir, `\`${componentDir.value}/\` (${componentDir.matches} of ${componentDir.total} component files)`)
+  }
+  if (fileNaming) {
+    push('File names', fileNaming, `${fileNaming.value}, e.g. ${quoted(fileNaming.evidence.slice(0, 2))}`)
+  }
+  if (exports) {
+    push('Exports', exports, `${exports.value} exports (${exports.matches} of ${exports.total} components)`)
+  }
+  if (tests) {
+    push('Tests', tests, `\`*${tests.suffix}\` files ${TEST_PLACEMENTS[tests.value]}, e.g. ${quoted(tests.evidence.slice(0, 2))}`)
+  }
+  if (pathAliases) {
+    const aliases = Object.entries(pathAliases.value).map(([alias, targets]) => `\`${alias}\` → ${quoted([].concat(targets))}`)
+    push('Path aliases', pathAliases, `${aliases.join(', ')} (${pathAliases.evidence[0]})`)
+  }
+  if (supabaseClient) {
+    push('Supabase clients', supabaseClient, `${quoted(supabaseClient.files)}; import these instead of calling createClient directly`)
+  }
+  return lines
+}
+
+/**
+ * The markdown context block for a detection. `config` supplies the
+ * indicators' display names and the category labels (default: the
+ * built-ins).
+ */
+function generateContext(detection, config = BUILTINS) {
   const d = detection.detected
   const lines = []
 
   lines.push('## Project Context (Auto-detected)')
   lines.push('')
 
-  if (d.framework) {
-    const frameworkNames = {
-      nextjs: 'Next.js',
-      nuxt: 'Nuxt 3',
-      angular: 'Angular',
-      sveltekit: 'SvelteKit',
-      remix: 'Remix',
-      astro: 'Astro',
-      vite: 'Vite',
-      gatsby: 'Gatsby',
-      react: 'React',
-      vue: 'Vue',
-      svelte: 'Svelte'
-    }
-    lines.push(`- **Framework:** ${frameworkNames[d.framework] || d.framework}`)
+  if (detection.workspace) {
+    lines.push(`- **Workspace:** ${detection.name} (\`${detection.workspace}\`) in ${detection.repository.name}`)
   }
 
-  if (d.database) {
-    const dbNames = {
-      supabase: 'Supabase',
-      prisma: 'Prisma',
-      drizzle: 'Drizzle ORM',
-      mongoose: 'MongoDB (Mongoose)',
-      typeorm: 'TypeORM',
-      sequelize: 'Sequelize',
-      kysely: 'Kysely'
+  const features = detection.features || {}
+  // In a monorepo, what the workspaces use is listed per workspace below
+  const monorepo = Boolean(detection.workspaces && detection.workspaces.length)
+  for (const [category, label] of Object.entries(config.labels)) {
+    if (!d[category] || (monorepo && !config.repoWide.includes(category))) continue
+    if (category === 'monorepo' && detection.workspaces) {
+      lines.push(`- **${label}:** ${describe(detection, category, config)} (${detection.workspaces.length} workspaces from ${detection.workspaceSource})`)
+    } else if (category === 'styling' && d.styling === 'tailwind' && features.tailwind) {
+      const { configFile, stylesheet } = features.tailwind
+      const style = features.tailwind.config === 'css' ? `CSS-first config (\`${stylesheet}\`)` : features.tailwind.config === 'js' ? `JS config (\`${configFile}\`)` : null
+      lines.push(`- **${label}:** ${describe(detection, category, config)}${style ? `, ${style}` : ''}`)
+    } else {
+      lines.push(`- **${label}:** ${describe(detection, category, config)}`)
     }
-    lines.push(`- **Database/ORM:** ${dbNames[d.database] || d.database}`)
-  }
-
-  if (d.testing) {
-    const testNames = {
-      vitest: 'Vitest',
-      jest: 'Jest',
-      playwright: 'Playwright',
-      cypress: 'Cypress',
-      mocha: 'Mocha'
+    if (category === 'framework' && features.router) {
+      lines.push(`- **Router:** ${ROUTERS[features.router]}`)
     }
-    lines.push(`- **Testing:** ${testNames[d.testing] || d.testing}`)
-  }
-
-  if (d.styling) {
-    const styleNames = {
-      tailwind: 'Tailwind CSS',
-      'styled-components': 'Styled Components',
-      emotion: 'Emotion',
-      'css-modules': 'CSS Modules',
-      sass: 'Sass/SCSS',
-      unocss: 'UnoCSS'
+    if (category === 'framework' && features.reactServerComponents) {
+      const rsc = features.reactServerComponents
+      const react = detection.versions.react
+      const files = rsc.useClient + rsc.useServer
+        ? ` (${rsc.useClient} 'use client', ${rsc.useServer} 'use server' files)`
+        : ''
+      lines.push(`- **React:** ${react.installed || react.declared}, ${rsc.enabled ? `Server Components${files}` : 'no Server Components'}`)
     }
-    lines.push(`- **Styling:** ${styleNames[d.styling] || d.styling}`)
   }
 
-  if (d.stateManagement) {
-    const stateNames = {
-      zustand: 'Zustand',
-      redux: 'Redux Toolkit',
-      jotai: 'Jotai',
-      recoil: 'Recoil',
-      pinia: 'Pinia',
-      mobx: 'MobX',
-      ngrx: 'NgRx'
+  if (detection.workspaces) {
+    lines.push('')
+    lines.push('### Workspaces')
+    lines.push('')
+    for (const ws of detection.workspaces) {
+      lines.push(`- **${ws.name}** (\`${ws.path}\`): ${summarize(ws, config)}`)
     }
-    lines.push(`- **State Management:** ${stateNames[d.stateManagement] || d.stateManagement}`)
-  }
-
-  if (d.language === 'typescript') {
-    lines.push('- **Language:** TypeScript')
   }
 
-  if (d.packageManager) {
-    lines.push(`- **Package Manager:** ${d.packageManager}`)
+  // A monorepo root mixes its workspaces' conventions; those of the current
+  // workspace are shown instead
+  let conventions = detection.workspaces ? null : detection.conventions
+  if (detection.current) {
+    const ws = detection.workspaces.find(w => w.path === detection.current.path)
+    const subject = detection.current.file ? `\`${detection.current.file}\` belongs to` : 'You are working in'
+    lines.push('')
+    lines.push(
+      `**Current workspace:** ${subject} **${ws.name}** (\`${ws.path}\`), built with ${summarize(ws, config)}. ` +
+      `Use its package.json and conventions, not those of other workspaces.`
+    )
+    conventions = ws.conventions
   }
 
-  if (d.monorepo) {
-    lines.push(`- **Monorepo:** ${d.monorepo}`)
+  const conventionLines = describeConventions(conventions || {})
+  if (conventionLines.length) {
+    lines.push('')
+    lines.push('### Conventions')
+    lines.push('')
+    lines.push(...conventionLines)
   }
 
   lines.push('')
@@ -500,17 +868,58 @@ function generateContext(detection) {
   return lines.join('\n')
 }
 
-// Main execution
-const result = detectProject()
-
-// Output format based on args
-if (process.argv.includes('--context')) {
-  // Output just the context string for injection into prompts
-  console.log(result.context || '')
-} else if (process.argv.includes('--simple')) {
-  // Output simple key-value pairs
-  console.log(JSON.stringify(result.detected, null, 2))
-} else {
-  // Full output
-  console.log(JSON.stringify(result, null, 2))
+function parseArgs(argv) {
+  const options = { projectPath: null, context: false, simple: false, workspace: null, file: null }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--context') options.context = true
+    else if (arg === '--simple') options.simple = true
+    else if (arg === '--workspace' || arg === '--file') options[arg.slice(2)] = argv[++i] || null
+    else if (arg.startsWith('--workspace=') || arg.startsWith('--file=')) {
+      const [name, value] = arg.slice(2).split(/=(.*)/)
+      options[name] = value
+    } else if (!arg.startsWith('--') && !options.projectPath) options.projectPath = arg
+  }
+  options.projectPath = path.resolve(options.projectPath || process.cwd())
+  if (options.file) options.file = path.resolve(options.file)
+  return options
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2))
+  const result = detectProject(options.projectPath, options)
+
+  // Output format based on args
+  if (options.context) {
+    // Output just the context string for injection into prompts
+    if (!result.error) console.log(result.context)
+  } else if (options.simple) {
+    // Output simple key-value pairs
+    const simple = { ...result.detected }
+    if (result.workspaces) {
+      simple.workspaces = Object.fromEntries(result.workspaces.map(ws => [ws.name, ws.detected]))
+    }
+    console.log(JSON.stringify(result.error ? result : simple, null, 2))
+  } else {
+    // Full output
+    console.log(JSON.stringify(result, null, 2))
+  }
+  if (result.error && result.error !== NO_PACKAGE_JSON) {
+    // Also on stderr, where --context callers see it
+    console.error(`detect-project: ${result.error}`)
+    if (result.workspaces) console.error(`Workspaces: ${result.workspaces.join(', ') || 'none'}`)
+    process.exitCode = 1
+  }
+}
+
+if (require.main === module) {
+  main()
+}
+
+module.exports = {
+  INDICATORS,
+  detectCategory,
+  detectProject,
+  generateContext,
+  parseArgs
 }
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+'use strict'
+
+// Runs at `npm pack` / `npm publish` time (prepack). Records the sha256 of
+// every file under .claude/ and .claude-plugin/ so `lcc install --from`
+// can refuse a tarball or checkout that was altered after packing.
+//
+// Usage: generate-checksums.js [root]; the root defaults to the current
+// directory, which is the package root when npm runs the prepack script.
+
+const fs = require('node:fs')
+const path = require('node:path')
+const { CHECKSUMS_FILE, generateChecksums } = require('./lib/integrity')
+
+function main(argv = process.argv.slice(2)) {
+  if (argv.length > 1 || argv.some(arg => arg.startsWith('-'))) {
+    console.error('Usage: generate-checksums.js [root]')
+    return 2
+  }
+  const root = path.resolve(argv[0] || process.cwd())
+  let version
+  try {
+    version = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8')).version
+  } catch (e) {
+    console.error(`Cannot read ${path.join(root, 'package.json')}: ${e.message}`)
+    return 1
+  }
+  const checksums = generateChecksums(root, version)
+  const count = Object.keys(checksums.files).length
+  if (!count) {
+    console.error(`No files found under .claude/ or .claude-plugin/ in ${root}`)
+    return 1
+  }
+  fs.writeFileSync(path.join(root, ...CHECKSUMS_FILE.split('/')), JSON.stringify(checksums, null, 2) + '\n')
+  console.log(`wrote ${CHECKSUMS_FILE} (${count} files, v${version})`)
+  return 0
+}
+
+process.exitCode = main()
@@ -0,0 +1,178 @@
+'use strict'
+
+const fs = require('node:fs')
+const path = require('node:path')
+const { selectExpired } = require('./utils')
+
+// Snapshots live directly in the Claude dir as `.backup-<Date.now()>`, each
+// holding whole component directories (commands/, agents/, ...) as they were
+// before an install or restore replaced them.
+const BACKUP_PREFIX = '.backup-'
+
+function dirSize(dir) {
+  let total = 0
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name)
+    if (entry.isDirectory()) total += dirSize(full)
+    else if (entry.isFile()) total += fs.statSync(full).size
+  }
+  return total
+}
+
+function newBackupDir(claudeDir) {
+  let stamp = Date.now()
+  while (fs.existsSync(path.join(claudeDir, BACKUP_PREFIX + stamp))) stamp++
+  return path.join(claudeDir, BACKUP_PREFIX + stamp)
+}
+
+/**
+ * Copy the listed component directories that exist into a new snapshot.
+ * Returns the snapshot path, or null when there was nothing to back up.
+ */
+function createBackup(claudeDir, components) {
+  const present = components.filter(name => fs.existsSync(path.join(claudeDir, name)))
+  if (!present.length) return null
+  const backupDir = newBackupDir(claudeDir)
+  for (const name of present) {
+    fs.cpSync(path.join(claudeDir, name), path.join(backupDir, name), { recursive: true })
+  }
+  return backupDir
+}
+
+/**
+ * All snapshots, newest first, with their size and contained components.
+ */
+function listBackups(claudeDir) {
+  if (!fs.existsSync(claudeDir)) return []
+  const out = []
+  for (const entry of fs.readdirSync(claudeDir, { withFileTypes: true })) {
+    if (!entry.isDirectory() || !entry.name.startsWith(BACKUP_PREFIX)) continue
+    const stamp = Number(entry.name.slice(BACKUP_PREFIX.length))
+    if (!Number.isFinite(stamp)) continue
+    const dir = path.join(claudeDir, entry.name)
+    out.push({
+      name: entry.name,
+      path: dir,
+      mtime: new Date(stamp),
+      size: dirSize(dir),
+      components: fs.readdirSync(dir, { withFileTypes: true })
+        .filter(child => child.isDirectory())
+        .map(child => child.name)
+        .sort(),
+    })
+  }
+  out.sort((a, b) => b.mtime - a.mtime)
+  return out
+}
+
+/**
+ * Resolve a snapshot by directory name, bare timestamp, or `latest`.
+ */
+function findBackup(claudeDir, id) {
+  const backups = listBackups(claudeDir)
+  if (id === 'latest') return backups[0] || null
+  return backups.find(b => b.name === id || b.name === BACKUP_PREFIX + id) || null
+}
+
+/**
+ * Put a snapshot's component directories back in place. Every component is
+ * staged next to its destination first, then swapped in with renames; the
+ * directories being replaced move into a fresh snapshot, so a restore can
+ * itself be restored. If any swap fails, the ones already done are undone.
+ */
+function restoreBackup(claudeDir, id, { component } = {}) {
+  const backup = findBackup(claudeDir, id)
+  if (!backup) throw new Error(`Backup not found: ${id}`)
+  const components = component ? [component] : backup.components
+  for (const name of components) {
+    if (!backup.components.includes(name)) {
+      throw new Error(`Backup ${backup.name} does not contain ${name}`)
+    }
+  }
+
+  const stagingDir = path.join(claudeDir, `.restore-${Date.now()}`)
+  const replacedDir = newBackupDir(claudeDir)
+  const swapped = []
+  try {
+    for (const name of components) {
+      fs.cpSync(path.join(backup.path, name), path.join(stagingDir, name), { recursive: true })
+    }
+    for (const name of components) {
+      const dest = path.join(claudeDir, name)
+      const hadCurrent = fs.existsSync(dest)
+      if (hadCurrent) {
+        fs.mkdirSync(replacedDir, { recursive: true })
+        fs.renameSync(dest, path.join(replacedDir, name))
+      }
+      swapped.push({ name, hadCurrent })
+      fs.renameSync(path.join(stagingDir, name), dest)
+    }
+  } catch (err) {
+    for (const { name, hadCurrent } of swapped.reverse()) {
+      const dest = path.join(claudeDir, name)
+      fs.rmSync(dest, { recursive: true, force: true })
+      if (hadCurrent) fs.renameSync(path.join(replacedDir, name), dest)
+    }
+    fs.rmSync(replacedDir, { recursive: true, force: true })
+    throw err
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true })
+  }
+
+  return {
+    backup: backup.name,
+    components,
+    replacedBy: fs.existsSync(replacedDir) ? path.basename(replacedDir) : null,
+  }
+}
+
+// Empty `target`, or remove it, except for the `skip` paths inside it
+function clearExcept(target, skip) {
+  if (!skip.some(file => file.startsWith(target + path.sep))) {
+    fs.rmSync(target, { recursive: true, force: true })
+    return
+  }
+  for (const name of fs.readdirSync(target)) {
+    const child = path.join(target, name)
+    if (!skip.includes(child)) clearExcept(child, skip)
+  }
+}
+
+/**
+ * Copy the listed files and directories under `claudeDir` aside before a
+ * change made in several steps, leaving out the `skip` paths. Returns
+ * `{ restore, discard }`: restore puts everything back as it was, removing
+ * what did not exist, and both drop the copies.
+ */
+function stash(claudeDir, names, { skip = [] } = {}) {
+  const stashDir = path.join(claudeDir, `.stash-${Date.now()}`)
+  const skipped = skip.map(file => path.resolve(file))
+  for (const name of names) {
+    const target = path.join(claudeDir, name)
+    if (!fs.existsSync(target)) continue
+    fs.cpSync(target, path.join(stashDir, name), { recursive: true, filter: src => !skipped.includes(path.resolve(src)) })
+  }
+  const discard = () => fs.rmSync(stashDir, { recursive: true, force: true })
+  const restore = () => {
+    for (const name of names) {
+      const target = path.resolve(claudeDir, name)
+      if (fs.existsSync(target)) clearExcept(target, skipped)
+      const saved = path.join(stashDir, name)
+      if (fs.existsSync(saved)) fs.cpSync(saved, target, { recursive: true })
+    }
+    discard()
+  }
+  return { restore, discard }
+}
+
+/**
+ * Delete snapshots beyond the newest `keep` or older than `maxDays`, using
+ * the same retention rule as session cleanup.
+ */
+function pruneBackups(claudeDir, { keep, maxDays } = {}) {
+  const expired = selectExpired(listBackups(claudeDir), { keep, maxDays })
+  for (const backup of expired) fs.rmSync(backup.path, { recursive: true, force: true })
+  return expired
+}
+
+module.exports = { BACKUP_PREFIX, createBackup, listBackups, findBackup, restoreBackup, stash, pruneBackups }
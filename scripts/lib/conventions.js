@@ -0,0 +1,195 @@
+'use strict'
+
+const fs = require('node:fs')
+const path = require('node:path')
+const { readHead } = require('./walk')
+
+// Conventions a project follows, inferred from its files so scaffolding puts
+// new files where the existing ones are and shapes them alike. Each one is
+// `{ value, confidence, evidence }` plus what it counted: `matches` of
+// `total` files agree with `value`, and confidence is high when at least
+// HIGH_SHARE of MIN_SAMPLES or more agree, medium for a majority, else low.
+// `evidence` quotes up to SAMPLES of the agreeing files.
+const COMPONENT_EXTENSIONS = ['.tsx', '.jsx', '.vue', '.svelte']
+const CODE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs']
+const TEST_FILE = /\.(test|spec)\.[cm]?[jt]sx?$/
+const E2E_DIRS = ['e2e', 'cypress', 'playwright']
+const SAMPLES = 3
+const MIN_SAMPLES = 3
+const HIGH_SHARE = 0.8
+// Files read at most per convention that needs their content
+const READ_LIMIT = 100
+
+const NAMING = [
+  ['PascalCase', /^[A-Z][A-Za-z0-9]*$/],
+  ['kebab-case', /^[a-z][a-z0-9]*(?:-[a-z0-9]+)+$/],
+  ['camelCase', /^[a-z][a-z0-9]*(?:[A-Z][a-z0-9]*)+$/],
+  ['snake_case', /^[a-z][a-z0-9]*(?:_[a-z0-9]+)+$/],
+]
+
+function confidence(matches, total) {
+  if (total >= MIN_SAMPLES && matches / total >= HIGH_SHARE) return 'high'
+  return matches / total > 0.5 ? 'medium' : 'low'
+}
+
+// The most common value `classify` gives `files` (null ones left out), as a
+// convention
+function majority(files, classify) {
+  const groups = new Map()
+  for (const file of files) {
+    const value = classify(file)
+    if (value === null) continue
+    if (!groups.has(value)) groups.set(value, [])
+    groups.get(value).push(file)
+  }
+  if (!groups.size) return null
+  const total = [...groups.values()].reduce((sum, group) => sum + group.length, 0)
+  const [value, group] = [...groups.entries()].sort((a, b) => b[1].length - a[1].length)[0]
+  return { value, confidence: confidence(group.length, total), matches: group.length, total, evidence: group.slice(0, SAMPLES) }
+}
+
+// JSON with comments and trailing commas, as tsconfig.json allows
+function parseJsonc(text) {
+  let out = ''
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (char === '"') {
+      const start = i
+      for (i++; i < text.length && text[i] !== '"'; i++) if (text[i] === '\\') i++
+      out += text.slice(start, i + 1)
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++
+      out += '\n'
+    } else if (char === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2)
+      i = end === -1 ? text.length : end + 1
+    } else {
+      out += char
+    }
+  }
+  return JSON.parse(out.replace(/,(\s*[}\]])/g, '$1'))
+}
+
+function isComponentFile(file) {
+  const segments = file.split('/')
+  return segments.includes('components') &&
+    COMPONENT_EXTENSIONS.includes(path.extname(file)) &&
+    !TEST_FILE.test(file) &&
+    !/\.stories\.[^/]+$/.test(file)
+}
+
+// The name a component file gives its component: `Button` for
+// `Button.tsx`, `Button.client.tsx` and `Button/index.tsx`
+function componentName(file) {
+  const segments = file.split('/')
+  const base = segments[segments.length - 1].split('.')[0]
+  return base === 'index' ? segments[segments.length - 2] : base
+}
+
+function componentDir(components) {
+  return majority(components, file => {
+    const segments = file.split('/')
+    return segments.slice(0, segments.indexOf('components') + 1).join('/')
+  })
+}
+
+function fileNaming(components) {
+  return majority(components, file => {
+    const name = componentName(file)
+    const style = NAMING.find(([, regex]) => regex.test(name))
+    return style ? style[0] : null
+  })
+}
+
+function exportStyle(root, components) {
+  const readable = components.filter(file => ['.tsx', '.jsx'].includes(path.extname(file))).slice(0, READ_LIMIT)
+  return majority(readable, file => {
+    const source = readHead(path.join(root, file), 16384)
+    if (/^\s*export\s+default\b/m.test(source) || /^\s*export\s*\{[^}]*\bas\s+default\b/m.test(source)) return 'default'
+    if (/^\s*export\s+(?:async\s+)?(?:const|let|function|class)\s/m.test(source) || /^\s*export\s*\{/m.test(source)) return 'named'
+    return null
+  })
+}
+
+function testPlacement(files) {
+  const tests = files.filter(file => TEST_FILE.test(file) && !file.split('/').some(segment => E2E_DIRS.includes(segment)))
+  const result = majority(tests, file => {
+    const segments = file.split('/')
+    if (segments.includes('__tests__')) return '__tests__'
+    if (['test', 'tests'].includes(segments[0])) return 'tests'
+    return 'colocated'
+  })
+  if (!result) return null
+  return { ...result, suffix: majority(tests, file => file.match(TEST_FILE)[0]).value }
+}
+
+function pathAliases(root) {
+  for (const name of ['tsconfig.json', 'jsconfig.json']) {
+    let file = path.join(root, name)
+    // Follow relative `extends` until a config declares paths
+    for (let depth = 0; depth < 3 && fs.existsSync(file); depth++) {
+      let config
+      try {
+        config = parseJsonc(fs.readFileSync(file, 'utf8'))
+      } catch {
+        break
+      }
+      const options = config.compilerOptions || {}
+      if (options.paths && Object.keys(options.paths).length) {
+        return {
+          value: options.paths,
+          ...(options.baseUrl ? { baseUrl: options.baseUrl } : {}),
+          confidence: 'high',
+          evidence: [path.relative(root, file).split(path.sep).join('/')],
+        }
+      }
+      if (typeof config.extends !== 'string' || !config.extends.startsWith('.')) break
+      file = path.resolve(path.dirname(file), config.extends)
+      if (!path.extname(file)) file += '.json'
+    }
+  }
+  return null
+}
+
+// Where the project creates its Supabase clients: code importing a
+// @supabase package and calling one of its create*Client functions. The
+// supabase/ directory (migrations, edge functions) is not application code.
+function supabaseClient(root, files) {
+  const candidates = files
+    .filter(file => CODE_EXTENSIONS.includes(path.extname(file)) && !TEST_FILE.test(file) && !file.startsWith('supabase/'))
+    .sort((a, b) => Number(b.includes('supabase')) - Number(a.includes('supabase')))
+    .slice(0, READ_LIMIT)
+  const clients = candidates.filter(file => {
+    const source = readHead(path.join(root, file), 8192)
+    return /['"]@supabase\/[\w-]+['"]/.test(source) && /\bcreate\w*Client\s*\(/.test(source)
+  })
+  if (!clients.length) return null
+  const dirs = [...new Set(clients.map(file => path.posix.dirname(file)))]
+  return {
+    value: dirs.length === 1 ? dirs[0] : dirs,
+    files: clients,
+    confidence: dirs.length === 1 ? 'high' : 'medium',
+    evidence: clients.slice(0, SAMPLES),
+  }
+}
+
+/**
+ * Conventions of the project at `root`, from `files` (its walked paths, see
+ * walk.js): `componentDir`, `fileNaming`, `exports`, `tests` (with the test
+ * file `suffix`), `pathAliases` and, when `supabase` is set,
+ * `supabaseClient`. Conventions with nothing to go on are left out.
+ */
+function detectConventions(root, files, { supabase = false } = {}) {
+  const components = files.filter(isComponentFile)
+  const conventions = {
+    componentDir: componentDir(components),
+    fileNaming: fileNaming(components),
+    exports: exportStyle(root, components),
+    tests: testPlacement(files),
+    pathAliases: pathAliases(root),
+    supabaseClient: supabase ? supabaseClient(root, files) : null,
+  }
+  return Object.fromEntries(Object.entries(conventions).filter(([, convention]) => convention))
+}
+
+module.exports = { detectConventions, parseJsonc }
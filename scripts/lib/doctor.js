@@ -0,0 +1,295 @@
+'use strict'
+
+const fs = require('node:fs')
+const path = require('node:path')
+const { spawnSync } = require('node:child_process')
+const { parseFrontmatter, readHookEntries, hookScript } = require('./manifest')
+const { MANIFEST_FILE, fileState, hashFile, readManifest, storePristine } = require('./ownership')
+const { isSelected } = require('./selection')
+
+// Health checks for an installed plugin, driven by the plugin.json the install
+// copied into <claudeDir>/plugins/<name>/ rather than by expected counts.
+//
+// Each finding is `{ status, type, name, key, message }`:
+//   ok          - present and valid
+//   missing     - listed (or referenced from hooks.json) but not on disk
+//   invalid     - present but unparseable (frontmatter, JSON, JS syntax)
+//   disabled    - settings.json does not enable the plugin
+//   extra       - installed by the plugin but no longer listed
+//   stale       - installed from a different version than the one running
+//   permissions - hook script with a shebang that is not executable
+//   modified    - content no longer matches the hash recorded at install
+const ERROR_STATUSES = new Set(['missing', 'invalid', 'disabled'])
+const WARNING_STATUSES = new Set(['extra', 'stale', 'permissions', 'modified'])
+
+const CATEGORIES = [
+  ['commands', 'command'],
+  ['agents', 'agent'],
+  ['skills', 'skill'],
+]
+const HOOKS_JSON = 'hooks/hooks.json'
+const SCRIPT_EXTENSIONS = new Set(['.js', '.cjs', '.mjs'])
+
+// plugin.json paths are relative to the package (`.claude/commands/...`);
+// installed copies live at the same path under the Claude dir.
+function installKey(entryPath) {
+  return entryPath.replace(/^\.\//, '').replace(/^\.claude\//, '')
+}
+function fromKey(claudeDir, key) {
+  return path.join(claudeDir, ...key.split('/'))
+}
+
+/**
+ * `node --check` the script, so ESM and CommonJS hooks are both parsed the
+ * way Claude Code will run them. Returns null or a one-line error.
+ */
+function checkSyntax(file) {
+  const result = spawnSync(process.execPath, ['--check', file], { encoding: 'utf8' })
+  if (result.status === 0) return null
+  const lines = (result.stderr || '').split('\n')
+  const message = lines.find(line => /^\w*Error\b/.test(line)) || 'syntax check failed'
+  const location = lines[0].match(/:(\d+)$/)
+  return location ? `${message} (line ${location[1]})` : message
+}
+
+function checkEntries(claudeDir, plugin, selection, findings) {
+  const listed = new Set()
+  for (const [field, type] of CATEGORIES) {
+    for (const entry of Array.isArray(plugin[field]) ? plugin[field] : []) {
+      if (!entry || typeof entry.path !== 'string') continue
+      const key = installKey(entry.path)
+      listed.add(key)
+      if (!isSelected(key, selection)) continue
+      const file = fromKey(claudeDir, key)
+      const finding = { type, name: entry.name, key }
+      if (!fs.existsSync(file)) {
+        findings.push({ ...finding, status: 'missing', message: `${key} not found` })
+        continue
+      }
+      try {
+        parseFrontmatter(fs.readFileSync(file, 'utf8'))
+        findings.push({ ...finding, status: 'ok', message: key })
+      } catch (err) {
+        findings.push({ ...finding, status: 'invalid', message: `${key}: ${err.message}` })
+      }
+    }
+  }
+  return listed
+}
+
+function checkHooks(claudeDir, selection, findings) {
+  const referenced = new Set()
+  if (!isSelected(HOOKS_JSON, selection)) return referenced
+  const configFile = fromKey(claudeDir, HOOKS_JSON)
+  const finding = { type: 'hooks', name: 'hooks.json', key: HOOKS_JSON }
+  if (!fs.existsSync(configFile)) {
+    findings.push({ ...finding, status: 'missing', message: `${HOOKS_JSON} not found` })
+    return referenced
+  }
+  let config
+  try {
+    config = JSON.parse(fs.readFileSync(configFile, 'utf8'))
+  } catch (err) {
+    findings.push({ ...finding, status: 'invalid', message: `${HOOKS_JSON}: ${err.message}` })
+    return referenced
+  }
+  findings.push({ ...finding, status: 'ok', message: `${HOOKS_JSON} is valid JSON` })
+
+  for (const entry of readHookEntries(config)) {
+    const key = hookScript(entry.command)
+    if (!key || referenced.has(key)) continue
+    referenced.add(key)
+    const file = fromKey(claudeDir, key)
+    const hook = { type: 'hook', name: path.basename(key, path.extname(key)), key }
+    if (!fs.existsSync(file)) {
+      findings.push({ ...hook, status: 'missing', message: `${key} not found (referenced by ${entry.event} hook)` })
+      continue
+    }
+    const syntaxError = SCRIPT_EXTENSIONS.has(path.extname(key)) ? checkSyntax(file) : null
+    findings.push(syntaxError
+      ? { ...hook, status: 'invalid', message: `${key}: ${syntaxError}` }
+      : { ...hook, status: 'ok', message: key })
+    if (needsExecutable(file)) {
+      findings.push({ ...hook, status: 'permissions', message: `${key} has a shebang but is not executable` })
+    }
+  }
+  return referenced
+}
+
+function needsExecutable(file) {
+  if (process.platform === 'win32') return false
+  if ((fs.statSync(file).mode & 0o111) !== 0) return false
+  return fs.readFileSync(file, 'utf8').startsWith('#!')
+}
+
+function checkSettings(claudeDir, pluginName, findings) {
+  const file = path.join(claudeDir, 'settings.json')
+  const finding = { type: 'settings', name: 'settings.json', key: 'settings.json' }
+  if (!fs.existsSync(file)) {
+    findings.push({ ...finding, status: 'disabled', message: 'settings.json not found, so the plugin is not enabled' })
+    return
+  }
+  let settings
+  try {
+    settings = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (err) {
+    findings.push({ ...finding, status: 'invalid', message: `settings.json: ${err.message}` })
+    return
+  }
+  const enabled = settings.enabledPlugins && settings.enabledPlugins[pluginName]
+  findings.push(enabled === true
+    ? { ...finding, status: 'ok', message: `${pluginName} enabled in settings.json` }
+    : { ...finding, status: 'disabled', message: `enabledPlugins.${pluginName} is ${enabled === false ? 'false' : 'not set'} in settings.json` })
+}
+
+/**
+ * Owned files the current plugin.json and hooks.json no longer account for.
+ * Only top-level hook scripts count: anything deeper is a helper module.
+ */
+function checkExtras(manifest, listed, referenced, findings) {
+  for (const key of Object.keys(manifest.files)) {
+    const [top, ...rest] = key.split('/')
+    const category = CATEGORIES.find(([field]) => field === top)
+    if (category && key.endsWith('.md') && !listed.has(key)) {
+      findings.push({ type: category[1], name: path.basename(key, '.md'), key, status: 'extra', message: `${key} is installed but not listed in plugin.json` })
+    } else if (top === 'hooks' && rest.length === 1 && SCRIPT_EXTENSIONS.has(path.extname(key)) && !referenced.has(key)) {
+      findings.push({ type: 'hook', name: path.basename(key, path.extname(key)), key, status: 'extra', message: `${key} is installed but not referenced by hooks.json` })
+    }
+  }
+}
+
+/**
+ * Owned files whose content changed since the install recorded their hash:
+ * local edits, or tampering after a verified install. Files already reported
+ * as missing or invalid are skipped.
+ */
+function checkModified(claudeDir, manifest, findings) {
+  const reported = new Set(findings.filter(f => ERROR_STATUSES.has(f.status)).map(f => f.key))
+  const verified = manifest.source && manifest.source.verified
+  for (const [key, entry] of Object.entries(manifest.files)) {
+    if (reported.has(key) || !entry || !entry.sha256) continue
+    const state = fileState(claudeDir, key, entry)
+    if (!state.exists || !state.modified) continue
+    findings.push({
+      type: 'file',
+      name: key,
+      key,
+      status: 'modified',
+      message: `${key} differs from the ${verified ? 'verified ' : ''}v${entry.version} copy the install recorded`,
+    })
+  }
+}
+
+function checkVersions(plugin, pluginKey, manifest, version, findings) {
+  // A version chosen with `lcc use` is older on purpose
+  const pinned = manifest && manifest.source && manifest.source.type === 'snapshot'
+  if (version && plugin.version !== version && !pinned) {
+    findings.push({ type: 'plugin', name: plugin.name, key: pluginKey, status: 'stale', message: `installed v${plugin.version}, CLI is v${version} - run lcc update` })
+  }
+  if (!manifest) return
+  for (const [key, entry] of Object.entries(manifest.files)) {
+    if (entry.version && entry.version !== plugin.version) {
+      findings.push({ type: 'file', name: key, key, status: 'stale', message: `${key} is from v${entry.version}, plugin is v${plugin.version}` })
+    }
+  }
+}
+
+/**
+ * Check the installation in `claudeDir` for the plugin in `pluginDir`.
+ * `version` is the running CLI's version, used to spot an outdated install.
+ * Returns `{ plugin, manifest, findings }`; plugin is null when not installed.
+ */
+function checkInstallation({ claudeDir, pluginDir, version }) {
+  const findings = []
+  const pluginFile = path.join(pluginDir, 'plugin.json')
+  const pluginKey = path.relative(claudeDir, pluginFile).split(path.sep).join('/')
+  if (!fs.existsSync(pluginFile)) {
+    findings.push({ type: 'plugin', name: 'plugin.json', key: pluginKey, status: 'missing', message: `${pluginKey} not found - run lcc install` })
+    return { plugin: null, manifest: null, findings }
+  }
+  let plugin
+  try {
+    plugin = JSON.parse(fs.readFileSync(pluginFile, 'utf8'))
+  } catch (err) {
+    findings.push({ type: 'plugin', name: 'plugin.json', key: pluginKey, status: 'invalid', message: `${pluginKey}: ${err.message}` })
+    return { plugin: null, manifest: null, findings }
+  }
+  let manifest = null
+  try {
+    manifest = readManifest(pluginDir)
+  } catch (err) {
+    const manifestKey = path.posix.join(path.posix.dirname(pluginKey), MANIFEST_FILE)
+    findings.push({ type: 'plugin', name: MANIFEST_FILE, key: manifestKey, status: 'invalid', message: err.message })
+  }
+  const selection = manifest && manifest.selection
+
+  const listed = checkEntries(claudeDir, plugin, selection, findings)
+  const referenced = checkHooks(claudeDir, selection, findings)
+  checkSettings(claudeDir, plugin.name, findings)
+  if (manifest) {
+    checkExtras(manifest, listed, referenced, findings)
+    checkModified(claudeDir, manifest, findings)
+  }
+  checkVersions(plugin, pluginKey, manifest, version, findings)
+  return { plugin, manifest, findings }
+}
+
+function severityOf(status) {
+  if (ERROR_STATUSES.has(status)) return 'error'
+  if (WARNING_STATUSES.has(status)) return 'warning'
+  return 'ok'
+}
+
+/**
+ * Turn findings into targeted repairs, leaving healthy files alone:
+ *   restore - copy a missing or broken plugin file back from the package
+ *   chmod   - make a hook script executable
+ *   enable  - set enabledPlugins.<name> in settings.json
+ *   manual  - nothing safe to do automatically; `message` says why
+ * Extra and stale items are not repaired here; `lcc update` handles them,
+ * and modified files may be deliberate local edits, so they are left alone.
+ * `unavailable` says why the package cannot be restored from, making every
+ * restore manual.
+ */
+function planRepairs(findings, sourceFiles, { unavailable = null } = {}) {
+  const repairs = []
+  for (const finding of findings) {
+    const { status, key } = finding
+    if (finding.type === 'settings') {
+      if (status === 'disabled') repairs.push({ type: 'enable', key })
+      else if (status === 'invalid') repairs.push({ type: 'manual', key, message: `${finding.message} - fix the JSON by hand` })
+    } else if (status === 'permissions') {
+      repairs.push({ type: 'chmod', key })
+    } else if (status === 'missing' || status === 'invalid') {
+      if (unavailable) repairs.push({ type: 'manual', key, message: `${key}: ${unavailable}` })
+      else if (sourceFiles.has(key)) repairs.push({ type: 'restore', key, src: sourceFiles.get(key), broken: status === 'invalid' })
+      else repairs.push({ type: 'manual', key, message: `${key} is not shipped by this package - reinstall or remove the reference` })
+    }
+  }
+  return repairs
+}
+
+/**
+ * Apply restore and chmod repairs. A broken file is kept next to its
+ * replacement as `<file>.orig`, and restored files are re-recorded in the
+ * ownership manifest (and pristine copies) under `version`. `enable` and
+ * `manual` repairs are left to the caller. Returns the updated manifest.
+ */
+function applyRepairs({ claudeDir, repairs, manifest, version, pristineDir }) {
+  const files = { ...(manifest ? manifest.files : {}) }
+  for (const repair of repairs) {
+    const dest = fromKey(claudeDir, repair.key)
+    if (repair.type === 'restore') {
+      fs.mkdirSync(path.dirname(dest), { recursive: true })
+      if (repair.broken && fs.existsSync(dest)) fs.copyFileSync(dest, dest + '.orig')
+      fs.copyFileSync(repair.src, dest)
+      storePristine(pristineDir, repair.key, repair.src)
+      files[repair.key] = { sha256: hashFile(dest), version }
+    } else if (repair.type === 'chmod') {
+      fs.chmodSync(dest, fs.statSync(dest).mode | 0o111)
+    }
+  }
+  return { ...manifest, files }
+}
+
+module.exports = { ERROR_STATUSES, WARNING_STATUSES, severityOf, checkSyntax, checkInstallation, planRepairs, applyRepairs }
@@ -0,0 +1,99 @@
+'use strict'
+
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+const schema = require('./schema')
+
+// Detection indicators beyond the built-in ones in detect-project.js, from
+// ~/.claude/detect-indicators.json and then <project>/.claude/
+// detect-indicators.json, each merged over what came before:
+//
+//   {
+//     "categories": { "routing": { "label": "Routing" } },
+//     "indicators": {
+//       "routing": { "tanstack-router": { "displayName": "TanStack Router", "packages": ["@tanstack/react-router"] } },
+//       "database": { "acme-orm": { "displayName": "Acme ORM", "files": ["acme.config.ts"], "weights": { "files": 3 } } },
+//       "framework": { "vite": false }
+//     }
+//   }
+//
+// Fields given for a built-in indicator replace the built-in ones, and
+// `false` removes it. Files are checked against
+// schemas/detect-indicators.schema.json.
+const INDICATORS_FILE = 'detect-indicators.json'
+const EVIDENCE = ['files', 'directories', 'packages', 'envVars', 'patterns']
+
+function indicatorFiles(projectPath, homeDir = os.homedir()) {
+  return [
+    path.join(homeDir, '.claude', INDICATORS_FILE),
+    path.join(projectPath, '.claude', INDICATORS_FILE),
+  ].filter((file, i, all) => all.indexOf(file) === i && fs.existsSync(file))
+}
+
+function invalid(file, problems) {
+  const err = new Error(`Invalid ${file}:\n${problems.map(p => `  ${p}`).join('\n')}`)
+  err.file = file
+  return err
+}
+
+/**
+ * Merge the config in `file` over `base` (`{ indicators, labels,
+ * repoWide }`, left untouched). Throws, listing every problem with its
+ * line, when the file breaks the schema, adds a category without a label
+ * or an indicator with nothing to look for.
+ */
+function mergeIndicatorFile(base, file) {
+  const content = fs.readFileSync(file, 'utf8')
+  const issues = schema.validateJsonFile(file, content, 'detect-indicators')
+  if (issues.length) throw invalid(file, issues.map(item => schema.formatIssue(item, path.dirname(file))))
+
+  const config = JSON.parse(content)
+  const merged = {
+    indicators: Object.fromEntries(Object.entries(base.indicators).map(([c, entries]) => [c, { ...entries }])),
+    labels: { ...base.labels },
+    repoWide: [...base.repoWide],
+  }
+  const problems = []
+  for (const [category, settings] of Object.entries(config.categories || {})) {
+    if (settings.label) merged.labels[category] = settings.label
+    if (!merged.labels[category]) problems.push(`categories.${category}: new category "${category}" needs a label`)
+    if (settings.repoWide === true && !merged.repoWide.includes(category)) merged.repoWide.push(category)
+    if (settings.repoWide === false) merged.repoWide = merged.repoWide.filter(c => c !== category)
+    merged.indicators[category] = merged.indicators[category] || {}
+  }
+  for (const [category, entries] of Object.entries(config.indicators || {})) {
+    if (!merged.labels[category]) {
+      if (!(config.categories || {})[category]) problems.push(`indicators.${category}: new category "${category}" needs a label under categories`)
+      continue
+    }
+    const target = merged.indicators[category] = merged.indicators[category] || {}
+    for (const [name, indicator] of Object.entries(entries)) {
+      if (indicator === false) {
+        delete target[name]
+        continue
+      }
+      const next = { confidence: 'medium', ...target[name], ...indicator }
+      if (!EVIDENCE.some(key => next[key] && next[key].length)) {
+        problems.push(`indicators.${category}.${name}: needs at least one of ${EVIDENCE.join(', ')}`)
+        continue
+      }
+      target[name] = next
+    }
+  }
+  if (problems.length) throw invalid(file, problems)
+  return merged
+}
+
+/**
+ * The built-in indicators with every config file for `projectPath` merged
+ * over them, plus the files that were read
+ */
+function loadIndicators(builtins, projectPath, { homeDir } = {}) {
+  const files = indicatorFiles(projectPath, homeDir)
+  let merged = builtins
+  for (const file of files) merged = mergeIndicatorFile(merged, file)
+  return { ...merged, files }
+}
+
+module.exports = { INDICATORS_FILE, indicatorFiles, mergeIndicatorFile, loadIndicators }
@@ -0,0 +1,68 @@
+'use strict'
+
+const fs = require('node:fs')
+const path = require('node:path')
+const { hashFile, listFiles } = require('./ownership')
+
+// Written by scripts/generate-checksums.js when the package is packed. Keys
+// are package-relative paths with forward slashes. The file sits at the
+// package root, outside the directories install copies, so it is never
+// installed or listed in itself.
+const CHECKSUMS_FILE = 'checksums.json'
+const CHECKSUMMED_DIRS = ['.claude', '.claude-plugin']
+
+function packageFiles(root) {
+  const out = []
+  for (const dir of CHECKSUMMED_DIRS) {
+    for (const rel of listFiles(path.join(root, dir))) out.push(`${dir}/${rel}`)
+  }
+  return out.sort()
+}
+
+function generateChecksums(root, version) {
+  const files = {}
+  for (const file of packageFiles(root)) files[file] = hashFile(path.join(root, ...file.split('/')))
+  return { version, algorithm: 'sha256', files }
+}
+
+function readChecksums(root) {
+  const file = path.join(root, ...CHECKSUMS_FILE.split('/'))
+  if (!fs.existsSync(file)) return null
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (err) {
+    throw new Error(`Invalid ${CHECKSUMS_FILE}: ${err.message}`)
+  }
+}
+
+/**
+ * Verify a package against its checksums. Every file under the checksummed
+ * directories must be listed and match, and every listed file must exist,
+ * so nothing can be added, removed or altered after packing.
+ *
+ * Returns `{ checksums, problems }`, where each problem is
+ * `{ file, problem: 'mismatch' | 'missing' | 'unlisted' }`; checksums is null
+ * when the package has no checksums file.
+ */
+function verifyPackage(root, { version } = {}) {
+  const checksums = readChecksums(root)
+  if (!checksums) return { checksums: null, problems: [] }
+  if (checksums.algorithm !== 'sha256' || !checksums.files || typeof checksums.files !== 'object') {
+    throw new Error(`Unsupported ${CHECKSUMS_FILE} (expected sha256 file hashes)`)
+  }
+  const problems = []
+  if (version && checksums.version !== version) {
+    problems.push({ file: CHECKSUMS_FILE, problem: 'mismatch', detail: `checksums are for v${checksums.version}, package is v${version}` })
+  }
+  const present = new Set(packageFiles(root))
+  for (const [file, expected] of Object.entries(checksums.files)) {
+    if (!present.has(file)) problems.push({ file, problem: 'missing' })
+    else if (hashFile(path.join(root, ...file.split('/'))) !== expected) problems.push({ file, problem: 'mismatch' })
+  }
+  for (const file of present) {
+    if (!(file in checksums.files)) problems.push({ file, problem: 'unlisted' })
+  }
+  return { checksums, problems }
+}
+
+module.exports = { CHECKSUMS_FILE, packageFiles, generateChecksums, readChecksums, verifyPackage }
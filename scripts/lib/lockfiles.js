@@ -0,0 +1,210 @@
+'use strict'
+
+const fs = require('node:fs')
+const path = require('node:path')
+const { compareVersions } = require('./versions')
+
+// Installed versions of a project's dependencies, without running a package
+// manager: node_modules/<name>/package.json when dependencies are installed,
+// otherwise the lockfile at the repository root. Lockfiles are read with
+// small line scanners rather than full parsers, since only the version of a
+// few top-level packages is needed. The binary bun.lockb is searched for the
+// registry tarball URLs it keeps as strings.
+
+const LOCKFILES = ['package-lock.json', 'pnpm-lock.yaml', 'yarn.lock', 'bun.lock', 'bun.lockb']
+
+function readText(file, encoding = 'utf8') {
+  try {
+    return fs.readFileSync(file, encoding)
+  } catch {
+    return null
+  }
+}
+
+function cleanVersion(version) {
+  // pnpm appends peer suffixes: 15.0.3(react@19.0.0)
+  const match = String(version).match(/^v?(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)/)
+  return match ? match[1] : null
+}
+
+function fromPackageLock(content, name, importer) {
+  let lock
+  try {
+    lock = JSON.parse(content)
+  } catch {
+    return null
+  }
+  if (lock.packages) {
+    const keys = importer ? [`${importer}/node_modules/${name}`, `node_modules/${name}`] : [`node_modules/${name}`]
+    for (const key of keys) {
+      if (lock.packages[key] && lock.packages[key].version) return cleanVersion(lock.packages[key].version)
+    }
+  }
+  const legacy = lock.dependencies && lock.dependencies[name]
+  return legacy && legacy.version ? cleanVersion(legacy.version) : null
+}
+
+function unquote(text) {
+  return text.trim().replace(/^['"]|['"]$/g, '')
+}
+
+// pnpm-lock.yaml: importers.<importer>.(dev)dependencies.<name>.version
+// (lockfile v6+), or top-level dependencies.<name> (v5 and older)
+function fromPnpmLock(content, name, importer = '.') {
+  const lines = content.split(/\r?\n/)
+  const hasImporters = lines.some(line => line === 'importers:')
+  let inImporter = !hasImporters
+  let inDeps = false
+  let depsIndent = hasImporters ? 4 : 0
+  let found = false
+  for (const line of lines) {
+    if (!line.trim() || line.trimStart().startsWith('#')) continue
+    const indent = line.length - line.trimStart().length
+    const text = line.trim()
+    if (hasImporters && indent === 2 && text.endsWith(':')) {
+      inImporter = unquote(text.slice(0, -1)) === importer
+      inDeps = false
+      continue
+    }
+    if (hasImporters && indent === 0 && text !== 'importers:') {
+      inImporter = false
+      continue
+    }
+    if (!inImporter) continue
+    if (indent === depsIndent && /^(dependencies|devDependencies|optionalDependencies):/.test(text)) {
+      inDeps = true
+      continue
+    }
+    if (indent <= depsIndent) {
+      inDeps = false
+      continue
+    }
+    if (!inDeps) continue
+    const entry = text.match(/^(['"]?)(.+?)\1:\s*(.*)$/)
+    if (indent === depsIndent + 2 && entry) {
+      found = entry[2] === name
+      if (found && entry[3]) return cleanVersion(unquote(entry[3]))
+      continue
+    }
+    if (found && indent === depsIndent + 4 && text.startsWith('version:')) {
+      return cleanVersion(unquote(text.slice('version:'.length)))
+    }
+  }
+  return null
+}
+
+// yarn.lock (classic and Berry): `"next@^15.0.0", next@^15.0.3:` headers
+// followed by an indented `version "15.0.3"` or `version: 15.0.3`
+function fromYarnLock(content, name, declared) {
+  let candidates = null
+  let best = null
+  for (const line of content.split(/\r?\n/)) {
+    if (line && !/^\s/.test(line) && line.endsWith(':')) {
+      const specs = line.slice(0, -1).split(',').map(unquote)
+      const ours = specs.filter(spec => spec.slice(0, spec.lastIndexOf('@')) === name)
+      candidates = ours.length ? ours : null
+      continue
+    }
+    const version = candidates && line.match(/^\s+version:?\s+"?([^"\s]+)"?/)
+    if (version) {
+      const exact = declared && candidates.some(spec => {
+        const range = spec.slice(spec.lastIndexOf('@') + 1)
+        return range === declared || range === `npm:${declared}`
+      })
+      if (exact) return cleanVersion(version[1])
+      if (!best) best = cleanVersion(version[1])
+      candidates = null
+    }
+  }
+  return best
+}
+
+// bun.lock: JSON with trailing commas; packages.<name>[0] is "name@version"
+function fromBunLock(content, name) {
+  let lock
+  try {
+    lock = JSON.parse(content.replace(/,(\s*[}\]])/g, '$1'))
+  } catch {
+    return null
+  }
+  const entry = lock.packages && lock.packages[name]
+  return Array.isArray(entry) ? cleanVersion(String(entry[0]).slice(String(entry[0]).lastIndexOf('@') + 1)) : null
+}
+
+// bun.lockb stores versions as numbers, but also each package's tarball URL
+// (.../next/-/next-15.0.3.tgz) as a string. A package deduplicated into
+// several versions has several URLs: prefer the one in the declared major.
+function fromBunLockb(content, name, declared) {
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  const basename = name.slice(name.lastIndexOf('/') + 1)
+  const url = new RegExp(`/${escape(name)}/-/${escape(basename)}-(\\d+\\.\\d+\\.\\d+(?:-[0-9A-Za-z.-]+)?)\\.tgz`, 'g')
+  const found = [...new Set([...content.matchAll(url)].map(match => match[1]))].sort(compareVersions).reverse()
+  const major = majorVersion({ declared })
+  return found.find(version => majorVersion({ installed: version }) === major) || found[0] || null
+}
+
+const READERS = {
+  'package-lock.json': (content, name, { importer }) => fromPackageLock(content, name, importer),
+  'pnpm-lock.yaml': (content, name, { importer }) => fromPnpmLock(content, name, importer || '.'),
+  'yarn.lock': (content, name, { declared }) => fromYarnLock(content, name, declared),
+  'bun.lock': (content, name) => fromBunLock(content, name),
+  'bun.lockb': (content, name, { declared }) => fromBunLockb(content, name, declared),
+}
+
+/**
+ * Versions of `names` for the package at `dir` (whose package.json is
+ * `packageJson`), in a repository rooted at `repoRoot` (default `dir`).
+ * Returns `{ [name]: { declared, installed, source } }` for every name the
+ * package.json declares: `declared` is its range, `installed` the resolved
+ * version or null, and `source` where that came from (node_modules or a
+ * lockfile name).
+ */
+function resolveVersions(dir, packageJson, names, { repoRoot = dir } = {}) {
+  const deps = {
+    ...(packageJson && packageJson.peerDependencies),
+    ...(packageJson && packageJson.devDependencies),
+    ...(packageJson && packageJson.dependencies),
+  }
+  const importer = path.relative(repoRoot, dir).split(path.sep).join('/')
+  const lockfiles = LOCKFILES
+    .map(file => ({ file, content: readText(path.join(repoRoot, file), file === 'bun.lockb' ? 'latin1' : 'utf8') }))
+    .filter(lock => lock.content !== null)
+
+  const versions = {}
+  for (const name of names) {
+    if (!(name in deps)) continue
+    const declared = String(deps[name])
+    let installed = null
+    let source = null
+    for (const base of [...new Set([dir, repoRoot])]) {
+      const manifest = readText(path.join(base, 'node_modules', name, 'package.json'))
+      if (!manifest) continue
+      try {
+        installed = cleanVersion(JSON.parse(manifest).version)
+        source = 'node_modules'
+      } catch {
+        // Unreadable: try the lockfiles
+      }
+      if (installed) break
+    }
+    for (const lock of lockfiles) {
+      if (installed) break
+      installed = READERS[lock.file](lock.content, name, { importer: importer || null, declared })
+      if (installed) source = lock.file
+    }
+    versions[name] = { declared, installed, source }
+  }
+  return versions
+}
+
+/**
+ * Major version of a resolved version or, failing that, of the lowest
+ * version a declared range allows (`^15.0.0`, `~4.1`, `>=3`); null for
+ * ranges like `latest` or `workspace:*`
+ */
+function majorVersion({ installed, declared } = {}) {
+  const match = String(installed || declared || '').match(/(\d+)(?:\.\d+)*/)
+  return match ? Number(match[1]) : null
+}
+
+module.exports = { LOCKFILES, resolveVersions, majorVersion, cleanVersion }
@@ -2,32 +2,21 @@
 
 const fs = require('node:fs')
 const path = require('node:path')
+const { parseYaml, yamlError } = require('./yaml')
 
+// Frontmatter is parsed as YAML (see yaml.js); errors report the line and
+// column in the file, counting the opening `---` as line 1.
 function parseFrontmatter(content) {
   const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---/)
   if (!match) {
     throw new Error('Missing YAML frontmatter (expected --- ... --- block at top of file)')
   }
-  const block = match[1]
-  const out = {}
-  const lines = block.split(/\r?\n/)
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i]
-    const kv = line.match(/^([A-Za-z0-9_-]+):\s*(.*)$/)
-    if (!kv) continue
-    const key = kv[1]
-    let value = kv[2]
-    if (value === '|' || value === '>') {
-      for (let j = i + 1; j < lines.length; j++) {
-        const cont = lines[j]
-        if (!/^\s/.test(cont)) break
-        const stripped = cont.trim()
-        if (stripped) { value = stripped; break }
-      }
-    }
-    out[key] = value.trim()
+  const data = parseYaml(match[1], { firstLine: 2 })
+  if (data === null) return {}
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Frontmatter must be a mapping of keys to values (line 2, column 1)')
   }
-  return out
+  return data
 }
 function scanCategory(dir) {
   const out = []
@@ -38,9 +27,15 @@ function scanCategory(dir) {
       if (entry.isDirectory()) walk(full)
       else if (entry.isFile() && entry.name.endsWith('.md')) {
         const content = fs.readFileSync(full, 'utf8')
-        const fm = parseFrontmatter(content)
-        const name = fm.name || path.basename(entry.name, '.md')
-        out.push({ name, description: fm.description || '', path: full })
+        let fm
+        try {
+          fm = parseFrontmatter(content)
+        } catch (err) {
+          throw new Error(`${full}: ${err.message}`)
+        }
+        const name = fm.name ? String(fm.name) : path.basename(entry.name, '.md')
+        const description = typeof fm.description === 'string' ? fm.description.trim() : ''
+        out.push({ name, description, path: full })
       }
     }
   }
@@ -48,6 +43,48 @@ function scanCategory(dir) {
   out.sort((a, b) => a.name.localeCompare(b.name))
   return out
 }
+// Hook scripts open with a metadata header: YAML in `//` comments between
+// `// ---` lines, after the shebang, parsed like frontmatter:
+//
+//   #!/usr/bin/env node
+//   // ---
+//   // event: PostToolUse
+//   // matcher: Write|Edit
+//   // description: Formats edited files with Prettier
+//   // ---
+//
+// `event` may be a list. A script without one (the status line, a shared
+// helper) is not a hook, and hooks.json must not run it. A script with no
+// header at all reads as null: it is listed without a description, its
+// wiring is not checked, and `lcc validate` warns about it (hook-header).
+const HEADER_FENCE = /^\/\/ ?---\s*$/
+
+function readHookHeader(content) {
+  const lines = content.split(/\r?\n/)
+  let start = lines[0] && lines[0].startsWith('#!') ? 1 : 0
+  while (start < lines.length && !lines[start].trim()) start++
+  if (!HEADER_FENCE.test(lines[start] || '')) return null
+  const end = lines.findIndex((line, i) => i > start && HEADER_FENCE.test(line))
+  if (end === -1) throw yamlError('Unterminated hook metadata header', start + 1, 1)
+  const body = lines.slice(start + 1, end).map((line, i) => {
+    if (!line.startsWith('//')) throw yamlError('Hook metadata header lines must start with //', start + i + 2, 1)
+    return line.replace(/^\/\/ ?/, '')
+  })
+  return { text: body.join('\n'), firstLine: start + 2 }
+}
+
+function parseHookHeader(content) {
+  const header = readHookHeader(content)
+  if (!header) return null
+  const { text, firstLine } = header
+  const data = parseYaml(text, { firstLine })
+  if (data === null) return {}
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw yamlError('Hook metadata header must be a mapping of keys to values', firstLine, 1)
+  }
+  return data
+}
+
 function scanHooks(dir) {
   if (!fs.existsSync(dir)) return []
   const out = []
@@ -55,7 +92,26 @@ function scanHooks(dir) {
     if (!entry.isFile()) continue
     if (!entry.name.endsWith('.js')) continue
     const name = path.basename(entry.name, '.js')
-    out.push({ name, path: path.join(dir, entry.name) })
+    const full = path.join(dir, entry.name)
+    let header
+    try {
+      header = parseHookHeader(fs.readFileSync(full, 'utf8'))
+    } catch (err) {
+      // Reported per file by the schema rule; the other scripts still scan
+      header = null
+    }
+    if (!header) {
+      out.push({ name, path: full, header: false, events: [], description: '' })
+      continue
+    }
+    out.push({
+      name,
+      path: full,
+      header: true,
+      events: [].concat(header.event || []).map(String),
+      matcher: typeof header.matcher === 'string' ? header.matcher : undefined,
+      description: typeof header.description === 'string' ? header.description.trim() : '',
+    })
   }
   out.sort((a, b) => a.name.localeCompare(b.name))
   return out
@@ -74,15 +130,83 @@ function scanMonitors(dir) {
     .filter(entry => entry && typeof entry.name === 'string')
     .map(entry => ({
       name: entry.name,
+      command: typeof entry.command === 'string' ? entry.command : '',
       description: typeof entry.description === 'string' ? entry.description : '',
     }))
   out.sort((a, b) => a.name.localeCompare(b.name))
   return out
 }
-function buildPluginJson({ base, version, commands, agents, skills, repoRoot }) {
+// hooks.json lists hooks as `{ hooks: [{ event, matcher, command, description }] }`;
+// Claude Code's settings format nests them as `{ hooks: { Event: [{ matcher,
+// hooks: [{ type, command }] }] } }`. Both normalise to the flat list.
+function readHookEntries(config) {
+  const hooks = config && config.hooks
+  if (Array.isArray(hooks)) return hooks.filter(h => h && typeof h.command === 'string')
+  const out = []
+  for (const [event, groups] of Object.entries(hooks || {})) {
+    for (const group of Array.isArray(groups) ? groups : []) {
+      for (const hook of (group && group.hooks) || []) {
+        if (hook && typeof hook.command === 'string') out.push({ event, matcher: group.matcher, command: hook.command })
+      }
+    }
+  }
+  return out
+}
+// Script a hook command runs, relative to the Claude dir (`hooks/auto-format.js`),
+// whether written as ./.claude/hooks/..., ${CLAUDE_PLUGIN_ROOT}/hooks/... or bare.
+function hookScript(command) {
+  const match = command.match(/(?:^|[\s"'/}])(hooks\/[\w./-]+\.(?:c|m)?js)\b/)
+  return match ? match[1] : null
+}
+/**
+ * Cross-check hook script headers against hooks.json: every event a header
+ * declares must run the script, with the declared matcher, and every
+ * hooks.json entry that runs a script must point at one that exists and
+ * declares that event. `config` is the parsed hooks.json. Returns
+ * `{ file, message }` problems; commands that run no hooks/ script, and
+ * scripts without a readable header, are not checked.
+ */
+function checkHookWiring(hooks, config, configFile) {
+  const problems = []
+  const entries = readHookEntries(config)
+  const byKey = new Map(hooks.map(hook => [`hooks/${path.basename(hook.path)}`, hook]))
+  for (const [key, hook] of byKey) {
+    if (hook.header === false) continue
+    for (const event of hook.events) {
+      const wired = entries.filter(e => e.event === event && hookScript(e.command) === key)
+      if (!wired.length) {
+        problems.push({ file: hook.path, message: `declares ${event}, but hooks.json does not run ${key} for it` })
+      }
+      for (const entry of wired) {
+        if (hook.matcher !== undefined && (entry.matcher || '') !== hook.matcher) {
+          problems.push({
+            file: configFile,
+            message: `${event} runs ${key} with matcher "${entry.matcher || ''}", but its header declares "${hook.matcher}"`,
+          })
+        }
+      }
+    }
+  }
+  for (const entry of entries) {
+    const key = hookScript(entry.command)
+    if (!key) continue
+    const hook = byKey.get(key)
+    if (!hook) problems.push({ file: configFile, message: `${entry.event} runs ${key}, which does not exist` })
+    else if (hook.header !== false && !hook.events.includes(entry.event)) {
+      const declared = hook.events.length ? `declares ${hook.events.join(', ')}` : 'declares no event'
+      problems.push({ file: configFile, message: `${entry.event} runs ${key}, whose header ${declared}` })
+    }
+  }
+  return problems
+}
+// Hook and monitor descriptions go under keys of their own: `hooks` and
+// `monitors` are Claude Code's fields for the plugin's hook and monitor
+// configs, and an array of descriptions there would be read as one
+function buildPluginJson({ base, version, commands, agents, skills, hooks = [], monitors = [], repoRoot }) {
+  const relative = file => path.relative(repoRoot, file).split(path.sep).join('/')
   const toEntry = item => ({
     name: item.name,
-    path: path.relative(repoRoot, item.path).split(path.sep).join('/'),
+    path: relative(item.path),
     description: item.description,
   })
   return {
@@ -91,8 +215,64 @@ function buildPluginJson({ base, version, commands, agents, skills, repoRoot })
     commands: commands.map(toEntry),
     agents: agents.map(toEntry),
     skills: skills.map(toEntry),
+    hookScripts: hooks.map(hook => ({
+      name: hook.name,
+      path: relative(hook.path),
+      ...(hook.header !== false && { events: hook.events }),
+      ...(hook.matcher !== undefined && { matcher: hook.matcher }),
+      description: hook.description,
+    })),
+    monitorCommands: monitors.map(monitor => ({ name: monitor.name, command: monitor.command, description: monitor.description })),
   }
 }
+// Keywords that describe the platform or the component types rather than
+// what the plugin is for; they stay out of marketplace tags
+const GENERIC_KEYWORDS = new Set(['claude-code', 'claude', 'ai', 'commands', 'agents', 'skills', 'hooks'])
+const COMPONENT_KINDS = ['commands', 'agents', 'skills', 'hooks', 'monitors']
+const COUNTS_SENTENCE = /^\d+ [a-z]+(?:, \d+ [a-z]+)*\. /
+
+// `17 commands, 6 agents, 1 skill`
+function countsSentence(counts) {
+  return Object.entries(counts)
+    .map(([kind, n]) => `${n} ${n === 1 ? kind.replace(/s$/, '') : kind}`)
+    .join(', ')
+}
+
+/**
+ * Refresh this plugin's entry in marketplace.json from the same scan results
+ * as plugin.json: version, description (component counts, then the package
+ * description), `features` counts and tags (package keywords minus generic
+ * ones). Other fields, such as highlights, are left as written. Returns a
+ * new object with keys sorted at every level, as the file has them.
+ */
+function buildMarketplaceJson({ marketplace, plugin, counts }) {
+  const plugins = (marketplace.plugins || []).map(entry => {
+    if (!entry || entry.name !== plugin.name) return entry
+    const components = {}
+    for (const kind of COMPONENT_KINDS) components[kind] = counts[kind]
+    // The marketplace copy is curated: only its counts sentence is
+    // regenerated, and keywords add tags without removing any
+    const curated = entry.description ? entry.description.replace(COUNTS_SENTENCE, '') : plugin.description
+    const keywords = (plugin.keywords || []).filter(k => !GENERIC_KEYWORDS.has(k))
+    return {
+      ...entry,
+      author: plugin.author,
+      description: `${countsSentence(components)}. ${curated}`,
+      features: counts,
+      npm: plugin.npm,
+      tags: [...new Set([...(entry.tags || []), ...keywords])],
+      version: plugin.version,
+    }
+  })
+  return sortKeys({ ...marketplace, plugins })
+}
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys)
+  if (!value || typeof value !== 'object') return value
+  const out = {}
+  for (const key of Object.keys(value).sort()) out[key] = sortKeys(value[key])
+  return out
+}
 function replaceMarker(content, name, replacement) {
   const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
   // `escaped` only contains literal AUTOGEN section names from this repo's own
@@ -110,7 +290,8 @@ function replaceMarker(content, name, replacement) {
   return content.replace(re, `$1\n${replacement}\n$3`)
 }
 function renderTable(rows) {
-  const esc = s => String(s).replace(/\\/g, '\\\\').replace(/\|/g, '\\|')
+  // Multi-line descriptions (block scalars) collapse onto the table row
+  const esc = s => String(s).trim().replace(/\s*\n\s*/g, ' ').replace(/\\/g, '\\\\').replace(/\|/g, '\\|')
   const lines = ['| Name | Description |', '| --- | --- |']
   for (const row of rows) {
     lines.push(`| \`${esc(row.name)}\` | ${esc(row.description)} |`)
@@ -118,4 +299,18 @@ function renderTable(rows) {
   return lines.join('\n')
 }
 
-module.exports = { parseFrontmatter, scanCategory, scanHooks, scanMonitors, buildPluginJson, replaceMarker, renderTable }
+module.exports = {
+  parseFrontmatter,
+  readHookHeader,
+  parseHookHeader,
+  scanCategory,
+  scanHooks,
+  scanMonitors,
+  readHookEntries,
+  hookScript,
+  checkHookWiring,
+  buildPluginJson,
+  buildMarketplaceJson,
+  replaceMarker,
+  renderTable,
+}
@@ -0,0 +1,97 @@
+'use strict'
+
+const fs = require('node:fs')
+const path = require('node:path')
+
+// MCP servers come from plugin.json `mcpServers`, which Claude Code starts
+// for as long as the plugin is enabled. What a server needs before it can
+// start is lcc's own data, kept out of plugin.json in mcp-requirements.json
+// next to it:
+//
+//   { "github": { "requiredEnv": ["GITHUB_PERSONAL_ACCESS_TOKEN"] } }
+const REQUIREMENTS_FILE = 'mcp-requirements.json'
+
+/**
+ * Read the requirements file in `dir` (the plugin's .claude-plugin directory
+ * or its installed copy). A missing file means no requirements.
+ */
+function readRequirements(dir) {
+  const file = path.join(dir, REQUIREMENTS_FILE)
+  if (!fs.existsSync(file)) return {}
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+function declaredServers(plugin, requirements = {}) {
+  return Object.entries((plugin && plugin.mcpServers) || {}).map(([name, config]) => ({
+    name,
+    command: config.command,
+    args: Array.isArray(config.args) ? config.args : [],
+    description: config.description || '',
+    requiredEnv: requiredEnv(config, requirements[name]),
+  }))
+}
+
+// Variables a server cannot start without: its `requiredEnv` list plus any
+// `${VAR}` placeholders in its `env` block or args.
+function requiredEnv(config, requirement = {}) {
+  const names = new Set(Array.isArray(requirement.requiredEnv) ? requirement.requiredEnv : [])
+  const values = [...Object.values(config.env || {}), ...(Array.isArray(config.args) ? config.args : [])]
+  for (const value of values) {
+    for (const match of String(value).matchAll(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g)) names.add(match[1])
+  }
+  return [...names]
+}
+
+/**
+ * Locate `command` the way a shell would, without running it: absolute and
+ * relative paths are checked directly, bare names are searched on PATH (with
+ * PATHEXT on Windows). Returns the resolved path or null.
+ */
+function findExecutable(command, { env = process.env, platform = process.platform } = {}) {
+  if (!command) return null
+  const extensions = platform === 'win32'
+    ? ['', ...(env.PATHEXT || '.COM;.EXE;.BAT;.CMD').split(';').map(ext => ext.toLowerCase())]
+    : ['']
+  const candidates = command.includes('/') || command.includes('\\')
+    ? [path.resolve(command)]
+    : (env.PATH || env.Path || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, command))
+  for (const base of candidates) {
+    for (const ext of extensions) {
+      const file = base + ext
+      try {
+        const stat = fs.statSync(file)
+        if (!stat.isFile()) continue
+        if (platform !== 'win32') fs.accessSync(file, fs.constants.X_OK)
+        return file
+      } catch {
+        // not here, keep looking
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Offline readiness check for one server: is its command on PATH, and are
+ * its required variables set in the environment or settings.json `env`?
+ */
+function checkServer(server, { env = process.env, settings = {}, platform } = {}) {
+  const resolved = findExecutable(server.command, { env, platform })
+  const settingsEnv = settings.env || {}
+  const missingEnv = server.requiredEnv.filter(name => !env[name] && !settingsEnv[name])
+  return {
+    name: server.name,
+    command: server.command,
+    resolved,
+    missingEnv,
+    ok: Boolean(resolved) && missingEnv.length === 0,
+  }
+}
+
+module.exports = {
+  REQUIREMENTS_FILE,
+  readRequirements,
+  declaredServers,
+  findExecutable,
+  checkServer,
+}
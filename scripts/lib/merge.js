@@ -0,0 +1,172 @@
+'use strict'
+
+// Line-based diff and three-way merge for `lcc update`. Lines keep their
+// trailing newline so joining a merge result reproduces the input byte for
+// byte, including a missing newline at end of file.
+
+function splitLines(text) {
+  return text === '' ? [] : text.split(/(?<=\n)/)
+}
+
+function isBinary(buf) {
+  return buf.includes(0)
+}
+
+/**
+ * Longest-common-subsequence matching between two line arrays. Returns an
+ * array mapping each index of `a` to its matched index in `b`, or -1.
+ * Common prefix/suffix are matched directly so the quadratic table only
+ * covers the region that actually changed.
+ */
+function matchLines(a, b) {
+  const map = new Array(a.length).fill(-1)
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    map[start] = start
+    start++
+  }
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--
+    endB--
+    map[endA] = endB
+  }
+  const n = endA - start
+  const m = endB - start
+  if (n === 0 || m === 0) return map
+  const width = m + 1
+  const table = new Uint32Array((n + 1) * width)
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] = a[start + i] === b[start + j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1])
+    }
+  }
+  let i = 0
+  let j = 0
+  while (i < n && j < m) {
+    if (a[start + i] === b[start + j]) {
+      map[start + i] = start + j
+      i++
+      j++
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      i++
+    } else {
+      j++
+    }
+  }
+  return map
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i])
+}
+
+function withNewline(lines) {
+  const last = lines[lines.length - 1]
+  if (last === undefined || last.endsWith('\n')) return lines
+  return [...lines.slice(0, -1), last + '\n']
+}
+
+/**
+ * Three-way merge of `ours` and `theirs` against their common ancestor
+ * `base`. Regions changed on only one side are taken from that side;
+ * regions changed identically on both sides are taken once; anything else is
+ * a conflict, written with git-style markers using `labels`.
+ *
+ * Returns `{ text, conflicts }`.
+ */
+function merge3(base, ours, theirs, labels = {}) {
+  const { ours: oursLabel = 'ours', base: baseLabel = 'base', theirs: theirsLabel = 'theirs' } = labels
+  const o = splitLines(base)
+  const a = splitLines(ours)
+  const b = splitLines(theirs)
+  const toA = matchLines(o, a)
+  const toB = matchLines(o, b)
+
+  const out = []
+  let conflicts = 0
+  let i = 0
+  let j = 0
+  let k = 0
+
+  function flush(iEnd, jEnd, kEnd) {
+    const chunkO = o.slice(i, iEnd)
+    const chunkA = a.slice(j, jEnd)
+    const chunkB = b.slice(k, kEnd)
+    if (sameLines(chunkA, chunkO)) out.push(...chunkB)
+    else if (sameLines(chunkB, chunkO) || sameLines(chunkA, chunkB)) out.push(...chunkA)
+    else {
+      conflicts++
+      out.push(`<<<<<<< ${oursLabel}\n`, ...withNewline(chunkA))
+      out.push(`||||||| ${baseLabel}\n`, ...withNewline(chunkO))
+      out.push('=======\n', ...withNewline(chunkB))
+      out.push(`>>>>>>> ${theirsLabel}\n`)
+    }
+  }
+
+  for (let line = 0; line < o.length; line++) {
+    // A base line matched on both sides (in order) anchors a stable region.
+    if (toA[line] < j || toB[line] < k) continue
+    flush(line, toA[line], toB[line])
+    out.push(o[line])
+    i = line + 1
+    j = toA[line] + 1
+    k = toB[line] + 1
+  }
+  flush(o.length, a.length, b.length)
+
+  return { text: out.join(''), conflicts }
+}
+
+/**
+ * Unified diff (`diff -u` style) between two texts, or '' when they are equal.
+ */
+function unifiedDiff(before, after, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  const a = splitLines(before)
+  const b = splitLines(after)
+  const map = matchLines(a, b)
+
+  // Edit script: [' ' | '-' | '+', line, indexInA, indexInB]
+  const ops = []
+  let j = 0
+  for (let i = 0; i < a.length; i++) {
+    if (map[i] === -1) {
+      ops.push(['-', a[i], i, j])
+      continue
+    }
+    while (j < map[i]) ops.push(['+', b[j], i, j++])
+    ops.push([' ', a[i], i, j++])
+  }
+  while (j < b.length) ops.push(['+', b[j], a.length, j++])
+  if (ops.every(op => op[0] === ' ')) return ''
+
+  const hunks = []
+  let current = null
+  ops.forEach((op, index) => {
+    if (op[0] === ' ') return
+    const start = Math.max(0, index - context)
+    const end = Math.min(ops.length, index + context + 1)
+    if (current && start <= current.end) current.end = end
+    else hunks.push(current = { start, end })
+  })
+
+  const out = [`--- ${fromFile}\n`, `+++ ${toFile}\n`]
+  for (const { start, end } of hunks) {
+    const slice = ops.slice(start, end)
+    const countA = slice.filter(op => op[0] !== '+').length
+    const countB = slice.filter(op => op[0] !== '-').length
+    const startA = countA ? slice.find(op => op[0] !== '+')[2] + 1 : slice[0][2]
+    const startB = countB ? slice.find(op => op[0] !== '-')[3] + 1 : slice[0][3]
+    out.push(`@@ -${startA},${countA} +${startB},${countB} @@\n`)
+    for (const [sign, line] of slice) {
+      out.push(sign + line)
+      if (!line.endsWith('\n')) out.push('\n\\ No newline at end of file\n')
+    }
+  }
+  return out.join('')
+}
+
+module.exports = { splitLines, isBinary, matchLines, merge3, unifiedDiff }
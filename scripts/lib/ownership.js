@@ -0,0 +1,286 @@
+'use strict'
+
+const crypto = require('node:crypto')
+const fs = require('node:fs')
+const path = require('node:path')
+const { isBinary, merge3 } = require('./merge')
+
+// Lives next to the copied plugin.json in <claudeDir>/plugins/<name>/. Keys
+// are paths relative to the Claude directory, always with forward slashes so
+// a manifest written on Windows reads the same on macOS/Linux.
+const MANIFEST_FILE = 'install-manifest.json'
+// Pristine copies of every owned file as shipped, used as the merge base when
+// the next release changes a file the user has edited.
+const PRISTINE_DIR = 'pristine'
+
+// Formats where conflict markers are readable in place. Anything else (JSON,
+// hook scripts) would stop parsing, so conflicts get .orig/.new side files.
+const MARKER_EXTENSIONS = new Set(['.md', '.txt'])
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex')
+}
+function hashFile(file) {
+  return sha256(fs.readFileSync(file))
+}
+function toKey(rel) {
+  return rel.split(path.sep).join('/')
+}
+function fromKey(claudeDir, key) {
+  return path.join(claudeDir, ...key.split('/'))
+}
+
+function listFiles(dir) {
+  const out = []
+  function walk(current, rel) {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const full = path.join(current, entry.name)
+      const childRel = rel ? `${rel}/${entry.name}` : entry.name
+      if (entry.isDirectory()) walk(full, childRel)
+      else if (entry.isFile()) out.push(childRel)
+    }
+  }
+  if (fs.existsSync(dir)) walk(dir, '')
+  return out.sort()
+}
+
+/**
+ * Map every file a release ships to its install key. `components` is a list
+ * of `{ dest, src }` pairs where `dest` is the directory under the Claude dir
+ * (e.g. `commands` or `plugins/lorenzos-claude-code`).
+ */
+function collectSourceFiles(components) {
+  const files = new Map()
+  for (const { dest, src } of components) {
+    for (const rel of listFiles(src)) {
+      files.set(`${toKey(dest)}/${rel}`, path.join(src, ...rel.split('/')))
+    }
+  }
+  return files
+}
+
+function readManifest(pluginDir) {
+  const file = path.join(pluginDir, MANIFEST_FILE)
+  if (!fs.existsSync(file)) return null
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (err) {
+    throw new Error(`Invalid ${MANIFEST_FILE} (${file}): ${err.message}`)
+  }
+}
+function writeManifest(pluginDir, manifest) {
+  fs.mkdirSync(pluginDir, { recursive: true })
+  fs.writeFileSync(path.join(pluginDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n')
+}
+
+/**
+ * Installs made before the ownership manifest existed left no record of what
+ * they copied. Treat the files the current release ships as owned, pinned to
+ * the release content: install overwrites them (the old behaviour, covered by
+ * the backup), while uninstall only removes copies identical to the release
+ * and reports the rest as local modifications.
+ */
+function legacyManifest(sourceFiles, version) {
+  const files = {}
+  for (const [key, src] of sourceFiles) files[key] = { sha256: hashFile(src), version }
+  return { version, legacy: true, files }
+}
+
+function fileState(claudeDir, key, owned) {
+  const dest = fromKey(claudeDir, key)
+  if (!fs.existsSync(dest)) return { dest, exists: false, modified: false }
+  const hash = hashFile(dest)
+  return { dest, exists: true, hash, modified: Boolean(owned) && hash !== owned.sha256 }
+}
+
+/**
+ * Merge a locally edited owned file with the new release copy, using the
+ * pristine copy from the previous install as the common ancestor.
+ */
+function planMerge({ key, dest, src, pristineDir, labels }) {
+  const basePath = pristineDir ? fromKey(pristineDir, key) : null
+  const theirs = fs.readFileSync(src)
+  if (!basePath || !fs.existsSync(basePath)) return { type: 'conflict', sideFiles: true }
+  const base = fs.readFileSync(basePath)
+  if (base.equals(theirs)) return { type: 'keep' }
+  const ours = fs.readFileSync(dest)
+  if (isBinary(base) || isBinary(ours) || isBinary(theirs)) return { type: 'conflict', sideFiles: true, base: basePath }
+  const result = merge3(base.toString('utf8'), ours.toString('utf8'), theirs.toString('utf8'), labels)
+  if (result.conflicts === 0) return { type: 'merge', content: result.text }
+  if (MARKER_EXTENSIONS.has(path.extname(key))) {
+    return { type: 'conflict', content: result.text, conflicts: result.conflicts }
+  }
+  return { type: 'conflict', sideFiles: true, base: basePath, conflicts: result.conflicts }
+}
+
+/**
+ * Decide what an install/update does with every file, without touching disk.
+ *
+ * Actions:
+ *   create    - not on disk yet
+ *   update    - owned, unmodified, content changed in this release
+ *   unchanged - already identical to the release copy
+ *   keep      - owned and edited locally, but unchanged in this release
+ *   merge     - edited locally and changed in this release; merged cleanly
+ *   conflict  - edited locally and changed in this release; overlapping edits
+ *   skip      - exists, not owned by the plugin (user-authored); left as-is
+ *   remove    - owned, unmodified, no longer shipped
+ *   orphan    - owned, edited locally, no longer shipped; left as-is and disowned
+ */
+function planInstall({ claudeDir, sourceFiles, previous, version, pristineDir }) {
+  const owned = previous ? previous.files : {}
+  const labels = {
+    ours: 'local',
+    base: previous && previous.version ? `installed v${previous.version}` : 'installed',
+    theirs: `v${version}`,
+  }
+  const actions = []
+  for (const [key, src] of sourceFiles) {
+    const hash = hashFile(src)
+    const state = fileState(claudeDir, key, owned[key])
+    const action = { key, src, dest: state.dest, sha256: hash, version }
+    if (!state.exists) action.type = 'create'
+    else if (state.hash === hash) action.type = 'unchanged'
+    else if (!owned[key]) action.type = 'skip'
+    else if (state.modified && !previous.legacy) {
+      Object.assign(action, planMerge({ key, dest: state.dest, src, pristineDir, labels }))
+    } else action.type = 'update'
+    actions.push(action)
+  }
+  for (const key of Object.keys(owned)) {
+    if (sourceFiles.has(key)) continue
+    const state = fileState(claudeDir, key, owned[key])
+    if (!state.exists) continue
+    actions.push({ type: state.modified ? 'orphan' : 'remove', key, dest: state.dest })
+  }
+  return actions
+}
+
+function removeEmptyParents(file, stopDir) {
+  let dir = path.dirname(file)
+  const stop = path.resolve(stopDir)
+  while (path.resolve(dir).startsWith(stop + path.sep)) {
+    try {
+      if (fs.readdirSync(dir).length) return
+      fs.rmdirSync(dir)
+    } catch {
+      return
+    }
+    dir = path.dirname(dir)
+  }
+}
+
+function storePristine(pristineDir, key, src) {
+  if (!pristineDir) return
+  const file = fromKey(pristineDir, key)
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.copyFileSync(src, file)
+}
+function dropPristine(pristineDir, key) {
+  if (!pristineDir) return
+  const file = fromKey(pristineDir, key)
+  fs.rmSync(file, { force: true })
+  removeEmptyParents(file, pristineDir)
+}
+
+/**
+ * Execute a plan from planInstall() and return the manifest describing what
+ * the plugin owns afterwards. Kept files and side-file conflicts carry their
+ * old entry (and pristine copy) over, so they keep being reported as modified
+ * and the next update retries the merge from the same base.
+ */
+function applyInstall({ claudeDir, actions, previous, version, pristineDir }) {
+  const owned = previous ? previous.files : {}
+  const files = {}
+  const fresh = action => ({ sha256: action.sha256, version: action.version })
+  for (const action of actions) {
+    switch (action.type) {
+      case 'create':
+      case 'update':
+        fs.mkdirSync(path.dirname(action.dest), { recursive: true })
+        fs.copyFileSync(action.src, action.dest)
+        storePristine(pristineDir, action.key, action.src)
+        files[action.key] = fresh(action)
+        break
+      case 'unchanged':
+        storePristine(pristineDir, action.key, action.src)
+        files[action.key] = fresh(action)
+        break
+      case 'merge':
+        fs.writeFileSync(action.dest, action.content)
+        storePristine(pristineDir, action.key, action.src)
+        files[action.key] = fresh(action)
+        break
+      case 'conflict':
+        if (action.sideFiles) {
+          fs.copyFileSync(action.src, action.dest + '.new')
+          if (action.base) fs.copyFileSync(action.base, action.dest + '.orig')
+          files[action.key] = owned[action.key]
+        } else {
+          fs.writeFileSync(action.dest, action.content)
+          storePristine(pristineDir, action.key, action.src)
+          files[action.key] = fresh(action)
+        }
+        break
+      case 'keep':
+        files[action.key] = owned[action.key]
+        break
+      case 'remove':
+        fs.rmSync(action.dest, { force: true })
+        removeEmptyParents(action.dest, claudeDir)
+        dropPristine(pristineDir, action.key)
+        break
+      case 'orphan':
+        dropPristine(pristineDir, action.key)
+        break
+    }
+  }
+  return { version, installedAt: new Date().toISOString(), files }
+}
+
+/**
+ * Uninstall removes only owned files that still match what the plugin wrote.
+ * Edited copies are kept and reported; user-authored files are never listed.
+ */
+function planUninstall({ claudeDir, previous }) {
+  const actions = []
+  for (const [key, entry] of Object.entries(previous.files)) {
+    const state = fileState(claudeDir, key, entry)
+    if (!state.exists) continue
+    actions.push({ type: state.modified ? 'keep' : 'remove', key, dest: state.dest })
+  }
+  return actions
+}
+function applyUninstall({ claudeDir, actions }) {
+  for (const action of actions) {
+    if (action.type !== 'remove') continue
+    fs.rmSync(action.dest, { force: true })
+    removeEmptyParents(action.dest, claudeDir)
+  }
+}
+
+function summarize(actions) {
+  const counts = {}
+  for (const action of actions) counts[action.type] = (counts[action.type] || 0) + 1
+  return counts
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  PRISTINE_DIR,
+  sha256,
+  hashFile,
+  listFiles,
+  fileState,
+  collectSourceFiles,
+  readManifest,
+  writeManifest,
+  legacyManifest,
+  planInstall,
+  applyInstall,
+  planUninstall,
+  applyUninstall,
+  removeEmptyParents,
+  storePristine,
+  summarize,
+}
@@ -0,0 +1,116 @@
+'use strict'
+
+const path = require('node:path')
+
+// Machine-readable reports for `lcc validate --format`. Each takes the result
+// of validate.runValidation and returns the document as a string, listing
+// every finding: nothing is truncated. Paths are relative to the plugin root
+// with forward slashes, as code-scanning and test-report viewers expect.
+const FORMATS = ['text', 'json', 'sarif', 'junit']
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json'
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' }
+
+function relative(root, file) {
+  return path.relative(root, file).split(path.sep).join('/') || '.'
+}
+
+/**
+ * `{ root, config, rules, findings, counts }` with relative finding paths
+ */
+function formatJson(result) {
+  return JSON.stringify({
+    root: result.root,
+    config: result.config,
+    rules: result.rules,
+    findings: result.findings.map(f => ({ ...f, file: relative(result.root, f.file) })),
+    counts: result.counts,
+  }, null, 2) + '\n'
+}
+
+/**
+ * SARIF 2.1.0, one run with every enabled rule in the driver and a result
+ * per finding, located by `uri` relative to %SRCROOT% (the plugin root).
+ */
+function formatSarif(result, { name = 'lcc validate', version, informationUri } = {}) {
+  const ruleIndex = new Map(result.rules.map((rule, i) => [rule.id, i]))
+  const results = result.findings.map(finding => {
+    const location = { artifactLocation: { uri: relative(result.root, finding.file), uriBaseId: '%SRCROOT%' } }
+    if (finding.line) location.region = { startLine: finding.line, startColumn: finding.column || 1 }
+    return {
+      ruleId: finding.rule,
+      ...(ruleIndex.has(finding.rule) ? { ruleIndex: ruleIndex.get(finding.rule) } : {}),
+      level: SARIF_LEVELS[finding.severity],
+      message: { text: finding.message },
+      locations: [{ physicalLocation: location }],
+    }
+  })
+  return JSON.stringify({
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name,
+          ...(version ? { version } : {}),
+          ...(informationUri ? { informationUri } : {}),
+          rules: result.rules.map(rule => ({
+            id: rule.id,
+            shortDescription: { text: rule.description || rule.id },
+            defaultConfiguration: { level: SARIF_LEVELS[rule.severity] },
+          })),
+        },
+      },
+      originalUriBaseIds: { '%SRCROOT%': { uri: `file://${result.root.split(path.sep).join('/').replace(/\/?$/, '/')}` } },
+      results,
+    }],
+  }, null, 2) + '\n'
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c])
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+}
+
+/**
+ * JUnit XML: a testsuite per checked file and a testcase per finding, with
+ * `file` and `line` attributes. Errors are failures; warnings and info pass
+ * with the message in system-out. Files without findings get one passing
+ * testcase so viewers show them as checked.
+ */
+function formatJunit(result) {
+  const byFile = new Map(result.files.map(file => [relative(result.root, file), []]))
+  for (const finding of result.findings) {
+    const file = relative(result.root, finding.file)
+    if (!byFile.has(file)) byFile.set(file, [])
+    byFile.get(file).push(finding)
+  }
+
+  const suites = []
+  let tests = 0
+  for (const [file, findings] of [...byFile].sort(([a], [b]) => a.localeCompare(b))) {
+    const failures = findings.filter(f => f.severity === 'error').length
+    const cases = findings.length === 0
+      ? [`    <testcase classname="${escapeXml(file)}" name="valid" file="${escapeXml(file)}"/>`]
+      : findings.map(finding => {
+        const where = finding.line ? `:${finding.line}:${finding.column || 1}` : ''
+        const attrs = `classname="${escapeXml(file)}" name="${escapeXml(`${finding.rule}${where}`)}" file="${escapeXml(file)}"` +
+          (finding.line ? ` line="${finding.line}"` : '')
+        const text = escapeXml(`${file}${where}: ${finding.severity}: ${finding.message} (${finding.rule})`)
+        const child = finding.severity === 'error'
+          ? `<failure type="${escapeXml(finding.rule)}" message="${escapeXml(finding.message)}">${text}</failure>`
+          : `<system-out>${text}</system-out>`
+        return `    <testcase ${attrs}>\n      ${child}\n    </testcase>`
+      })
+    tests += cases.length
+    suites.push(
+      `  <testsuite name="${escapeXml(file)}" tests="${cases.length}" failures="${failures}" errors="0" skipped="0">\n` +
+      `${cases.join('\n')}\n  </testsuite>`,
+    )
+  }
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="lcc validate" tests="${tests}" failures="${result.counts.error}" errors="0">\n` +
+    `${suites.join('\n')}${suites.length ? '\n' : ''}</testsuites>\n`
+}
+
+module.exports = { FORMATS, formatJson, formatSarif, formatJunit }
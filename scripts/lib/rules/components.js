@@ -0,0 +1,158 @@
+'use strict'
+
+const fs = require('node:fs')
+const path = require('node:path')
+const schema = require('../schema')
+const { proseLines } = require('./markdown')
+
+// Commands, agents and skills: their frontmatter (via schemas/) and the
+// conventions their markdown bodies follow
+
+function lineAt(text, index, firstLine = 1) {
+  return firstLine + text.slice(0, index).split('\n').length - 1
+}
+
+function ofKind(plugin, ...kinds) {
+  return plugin.components.filter(c => kinds.includes(c.kind))
+}
+
+module.exports = [
+  {
+    id: 'schema',
+    description: 'Frontmatter, hook headers, hooks.json and monitors.json match schemas/',
+    severity: 'error',
+    check(plugin, report) {
+      for (const item of schema.validateTree(plugin.claudeDir)) report(item)
+    },
+  },
+  {
+    id: 'skill-entry',
+    description: 'Every skill folder has a SKILL.md',
+    severity: 'error',
+    check(plugin, report) {
+      const dir = path.join(plugin.claudeDir, 'skills')
+      if (!fs.existsSync(dir)) return
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.isDirectory() && !fs.existsSync(path.join(dir, entry.name, 'SKILL.md'))) {
+          report({ file: path.join(dir, entry.name), message: `skill "${entry.name}" has no SKILL.md` })
+        }
+      }
+    },
+  },
+  {
+    id: 'command-arguments',
+    description: 'Commands with an argument-hint use $ARGUMENTS',
+    severity: 'warning',
+    check(plugin, report) {
+      for (const command of ofKind(plugin, 'command')) {
+        if (!command.frontmatter || command.frontmatter['argument-hint'] === undefined) continue
+        if (command.body.includes('$ARGUMENTS')) continue
+        const index = command.content.search(/^argument-hint:/m)
+        report({ file: command.file, line: lineAt(command.content, index), column: 1, message: 'declares an argument-hint but never uses $ARGUMENTS' })
+      }
+    },
+  },
+  {
+    id: 'command-content',
+    description: 'Command bodies have a heading and are not trivially short',
+    severity: 'warning',
+    options: { minLength: 100 },
+    check(plugin, report, { minLength }) {
+      for (const command of ofKind(plugin, 'command')) {
+        const length = command.body.trim().length
+        if (length < minLength) {
+          report({ file: command.file, line: command.bodyLine, message: `body is ${length} characters (expected at least ${minLength})` })
+        }
+        if (!/^#+\s+/m.test(command.body)) report({ file: command.file, line: command.bodyLine, message: 'body has no markdown heading' })
+      }
+    },
+  },
+  {
+    id: 'agent-sections',
+    description: 'Agent prompts have at least one of the standard sections',
+    severity: 'warning',
+    options: { sections: ['Triggers', 'Focus Areas', 'Behavioral Mindset', 'Core', 'Key Actions'] },
+    check(plugin, report, { sections }) {
+      for (const agent of ofKind(plugin, 'agent')) {
+        const headings = proseLines(agent).filter(l => /^#{1,3}\s/.test(l.text)).map(l => l.text.replace(/^#+\s+/, ''))
+        if (!headings.some(h => sections.some(s => h.startsWith(s)))) {
+          report({ file: agent.file, line: agent.bodyLine, message: `has none of the sections ${sections.join(', ')}` })
+        }
+      }
+    },
+  },
+  {
+    id: 'agent-length',
+    description: 'Agent prompts are substantial but not unbounded',
+    severity: 'warning',
+    options: { minWords: 500, maxWords: 5000 },
+    check(plugin, report, { minWords, maxWords }) {
+      for (const agent of ofKind(plugin, 'agent')) {
+        const words = agent.body.split(/\s+/).filter(Boolean).length
+        if (words < minWords) report({ file: agent.file, line: agent.bodyLine, message: `prompt is ${words} words (expected at least ${minWords})` })
+        if (words > maxWords) report({ file: agent.file, line: agent.bodyLine, message: `prompt is ${words} words (expected at most ${maxWords})` })
+      }
+    },
+  },
+  {
+    id: 'first-person',
+    description: 'Agent prompts speak in the second or third person',
+    severity: 'warning',
+    check(plugin, report) {
+      for (const agent of ofKind(plugin, 'agent')) {
+        for (const { text, line } of proseLines(agent)) {
+          const match = text.match(/\b(I will|I can|my experience|me to)\b/i)
+          if (match) report({ file: agent.file, line, column: match.index + 1, message: `first-person phrase "${match[0]}"` })
+        }
+      }
+    },
+  },
+  {
+    id: 'placeholders',
+    description: 'No TODO markers or template placeholders outside code examples',
+    severity: 'warning',
+    options: { markers: ['TODO', 'FIXME', 'XXX', '[INSERT'] },
+    check(plugin, report, { markers }) {
+      for (const component of ofKind(plugin, 'command', 'agent', 'skill')) {
+        for (const { text, line } of proseLines(component)) {
+          for (const marker of markers) {
+            const index = /^\w+$/.test(marker) ? text.search(new RegExp(`\\b${marker}\\b`)) : text.indexOf(marker)
+            if (index !== -1) report({ file: component.file, line, column: index + 1, message: `contains ${marker}` })
+          }
+        }
+      }
+    },
+  },
+  {
+    id: 'empty-links',
+    description: 'Markdown links have a target',
+    severity: 'warning',
+    check(plugin, report) {
+      for (const component of ofKind(plugin, 'command', 'agent', 'skill')) {
+        for (const { text, line } of proseLines(component)) {
+          for (const match of text.matchAll(/\[([^\]]+)\]\(\s*\)/g)) {
+            report({ file: component.file, line, column: match.index + 1, message: `link "${match[1]}" has no target` })
+          }
+        }
+      }
+    },
+  },
+  {
+    id: 'unique-descriptions',
+    description: 'No two components of a kind share a description',
+    severity: 'warning',
+    check(plugin, report) {
+      const seen = new Map()
+      for (const component of ofKind(plugin, 'command', 'agent', 'skill')) {
+        const description = component.frontmatter && component.frontmatter.description
+        if (typeof description !== 'string' || !description.trim()) continue
+        const key = `${component.kind}\0${description.trim()}`
+        if (seen.has(key)) {
+          report({ file: component.file, message: `has the same description as ${path.basename(seen.get(key).file)}` })
+        } else {
+          seen.set(key, component)
+        }
+      }
+    },
+  },
+]
@@ -0,0 +1,46 @@
+'use strict'
+
+const fs = require('node:fs')
+const path = require('node:path')
+const { scanHooks, checkHookWiring, readHookHeader } = require('../manifest')
+
+// Hook scripts against hooks/hooks.json (see manifest.checkHookWiring)
+
+module.exports = [
+  {
+    id: 'hook-wiring',
+    description: 'Hook scripts and hooks.json agree on which script runs for which event',
+    severity: 'error',
+    check(plugin, report) {
+      const dir = path.join(plugin.claudeDir, 'hooks')
+      const file = path.join(dir, 'hooks.json')
+      let hooks
+      let config = {}
+      try {
+        hooks = scanHooks(dir)
+        if (fs.existsSync(file)) config = JSON.parse(fs.readFileSync(file, 'utf8'))
+      } catch {
+        return // An invalid hooks.json is a schema finding
+      }
+      for (const problem of checkHookWiring(hooks, config, file)) report(problem)
+    },
+  },
+  {
+    id: 'hook-header',
+    description: 'Hook scripts open with a metadata header',
+    severity: 'warning',
+    check(plugin, report) {
+      for (const hook of plugin.components.filter(c => c.kind === 'hook')) {
+        let header = true
+        try {
+          header = readHookHeader(hook.content)
+        } catch {
+          // A malformed header is a schema finding
+        }
+        if (!header) {
+          report({ file: hook.file, line: 1, message: 'no metadata header (// --- event, matcher, description // ---), so its hooks.json wiring is not checked' })
+        }
+      }
+    },
+  },
+]
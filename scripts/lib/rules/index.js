@@ -0,0 +1,11 @@
+'use strict'
+
+// Built-in `lcc validate` rules, in report order. Each module exports an
+// array of `{ id, description, severity, options?, check }` (see validate.js).
+module.exports = [
+  ...require('./plugin'),
+  ...require('./components'),
+  ...require('./references'),
+  ...require('./hooks'),
+  ...require('./manifest'),
+]
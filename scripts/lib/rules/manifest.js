@@ -0,0 +1,34 @@
+'use strict'
+
+const fs = require('node:fs')
+const path = require('node:path')
+const { syncManifest } = require('../sync')
+
+// Generated files (plugin.json, marketplace.json, README/CLAUDE.md AUTOGEN
+// blocks) match what `npm run sync` would write. Only packages laid out
+// like this one (package.json, .claude-plugin/plugin.json and .claude/) are
+// synced, so the rule is silent for anything else.
+
+module.exports = [
+  {
+    id: 'manifest-drift',
+    description: 'Generated manifests and README tables match the components on disk',
+    severity: 'error',
+    check(plugin, report) {
+      const { root } = plugin
+      if (!plugin.plugin || !fs.existsSync(path.join(root, 'package.json')) || !fs.existsSync(path.join(root, '.claude'))) return
+      let result
+      try {
+        result = syncManifest({ root, check: true })
+      } catch {
+        return // Unparseable components are schema findings
+      }
+      for (const { file, name } of result.missingMarkers) {
+        report({ file, message: `missing <!-- AUTOGEN:${name} --> ... <!-- /AUTOGEN:${name} --> markers` })
+      }
+      for (const { file } of result.results.filter(r => r.drift)) {
+        report({ file, message: 'out of date with the components on disk; run `node scripts/sync-manifest.js`' })
+      }
+    },
+  },
+]
@@ -0,0 +1,41 @@
+'use strict'
+
+// Markdown helpers shared by rules. Not a rule module: rules/index.js does
+// not load it.
+
+/**
+ * Body lines outside fenced code blocks, with their file line numbers;
+ * examples inside fences may contain anything
+ */
+function proseLines(component) {
+  const out = []
+  let fenced = false
+  component.body.split('\n').forEach((text, i) => {
+    if (/^\s*(```|~~~)/.test(text)) fenced = !fenced
+    else if (!fenced) out.push({ text, line: component.bodyLine + i })
+  })
+  return out
+}
+
+/**
+ * GitHub-style anchors for the headings in `markdown`: lowercased, with
+ * punctuation dropped and spaces turned into hyphens; repeated headings get
+ * -1, -2, ... suffixes
+ */
+function headingAnchors(markdown) {
+  const anchors = new Set()
+  const seen = new Map()
+  let fenced = false
+  for (const line of markdown.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) fenced = !fenced
+    const match = !fenced && line.match(/^#{1,6}\s+(.*?)\s*#*\s*$/)
+    if (!match) continue
+    const slug = match[1].toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-')
+    const count = seen.get(slug) || 0
+    seen.set(slug, count + 1)
+    anchors.add(count ? `${slug}-${count}` : slug)
+  }
+  return anchors
+}
+
+module.exports = { proseLines, headingAnchors }
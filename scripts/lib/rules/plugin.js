@@ -0,0 +1,75 @@
+'use strict'
+
+// .claude-plugin/plugin.json itself and the MCP servers it declares
+
+const path = require('node:path')
+const { REQUIREMENTS_FILE, readRequirements } = require('../mcp')
+
+const REQUIRED_FIELDS = ['name', 'version', 'description', 'author']
+
+module.exports = [
+  {
+    id: 'plugin-json',
+    description: 'plugin.json exists, parses and has name, version, description and an author object',
+    severity: 'error',
+    check(plugin, report) {
+      if (plugin.pluginError) return report({ line: 1, message: `invalid JSON: ${plugin.pluginError.message}` })
+      if (!plugin.plugin) return report({ message: 'plugin.json not found' })
+      for (const field of REQUIRED_FIELDS) {
+        if (!plugin.plugin[field]) report({ message: `missing required field "${field}"` })
+      }
+      const author = plugin.plugin.author
+      if (typeof author === 'string') report({ message: 'author must be an object with a name, not a string' })
+      else if (author && !author.name) report({ message: 'author must have a "name"' })
+    },
+  },
+  {
+    id: 'plugin-version',
+    description: 'plugin.json version is semver (x.y.z)',
+    severity: 'warning',
+    check(plugin, report) {
+      const version = plugin.plugin && plugin.plugin.version
+      if (version && !/^\d+\.\d+\.\d+$/.test(version)) report({ message: `version "${version}" is not semver (x.y.z)` })
+    },
+  },
+  {
+    id: 'mcp-servers',
+    description: 'Each MCP server has a command; mcp-requirements.json lists declared servers and variable names',
+    severity: 'error',
+    check(plugin, report) {
+      const servers = (plugin.plugin && plugin.plugin.mcpServers) || {}
+      for (const [name, config] of Object.entries(servers)) {
+        if (!config || !config.command) report({ message: `MCP server "${name}" has no command` })
+        if (config && config.requiredEnv !== undefined) {
+          report({ message: `MCP server "${name}" has requiredEnv, which is not a plugin.json field; list it in ${REQUIREMENTS_FILE}` })
+        }
+      }
+
+      const file = path.join(path.dirname(plugin.pluginFile), REQUIREMENTS_FILE)
+      let requirements
+      try {
+        requirements = readRequirements(path.dirname(plugin.pluginFile))
+      } catch (err) {
+        return report({ file, line: 1, message: `invalid JSON: ${err.message}` })
+      }
+      for (const [name, requirement] of Object.entries(requirements)) {
+        if (!servers[name]) report({ file, message: `"${name}" is not an MCP server plugin.json declares` })
+        const names = requirement && requirement.requiredEnv
+        if (!Array.isArray(names) || !names.every(v => typeof v === 'string')) {
+          report({ file, message: `"${name}" requiredEnv must be an array of variable names` })
+        }
+      }
+    },
+  },
+  {
+    id: 'mcp-args',
+    description: 'Each MCP server lists its arguments as an args array',
+    severity: 'warning',
+    check(plugin, report) {
+      const servers = (plugin.plugin && plugin.plugin.mcpServers) || {}
+      for (const [name, config] of Object.entries(servers)) {
+        if (config && config.command && !Array.isArray(config.args)) report({ message: `MCP server "${name}" has no args array` })
+      }
+    },
+  },
+]
@@ -0,0 +1,177 @@
+'use strict'
+
+const fs = require('node:fs')
+const path = require('node:path')
+const { distance } = require('../schema')
+const { proseLines, headingAnchors } = require('./markdown')
+
+// Links and cross-references between components: relative file links and
+// anchors, `/command` mentions, agent names and `plugin:skill` references,
+// resolved against the components on disk so renames do not leave them
+// dangling. References to other plugins are only accepted when the
+// `external` option allows them: a plugin name allows all of its commands
+// and skills, `plugin:name` only that one.
+
+// Slash commands and subagent types Claude Code provides itself
+const BUILTIN_COMMANDS = [
+  'add-dir', 'agents', 'bashes', 'bug', 'clear', 'compact', 'config', 'context', 'cost',
+  'doctor', 'exit', 'export', 'help', 'hooks', 'ide', 'init', 'install-github-app', 'login',
+  'logout', 'mcp', 'memory', 'model', 'output-style', 'permissions', 'plugin', 'pr-comments',
+  'privacy-settings', 'release-notes', 'resume', 'review', 'rewind', 'sandbox',
+  'security-review', 'status', 'statusline', 'terminal-setup', 'todos', 'upgrade', 'usage', 'vim',
+]
+const BUILTIN_AGENTS = ['general-purpose', 'statusline-setup', 'output-style-setup']
+
+// `prefix:name` in inline code is also how URLs, Node built-ins and package
+// specifiers look; these prefixes are never plugins
+const NOT_PLUGINS = ['data', 'file', 'git', 'github', 'http', 'https', 'localhost', 'mailto', 'node', 'npm', 'ssh']
+
+const LINK = /!?\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g
+const COMMAND_MENTION = /(^|[\s`"'])\/([a-z][a-z0-9-]*(?::[a-z][a-z0-9-]*)?)(?=$|[\s`"'.,;!?)])/g
+const AGENT_MENTIONS = [
+  /`([a-z][a-z0-9-]*)`\s+(?:sub)?agent\b/g,
+  /\bsubagent_type["']?\s*[:=]\s*["']?([a-z][a-z0-9-]*)/g,
+  /@agent-([a-z][a-z0-9-]*)/g,
+]
+const SKILL_MENTION = /`([a-z][a-z0-9-]*)`\s+skill\b/g
+const QUALIFIED = /(^|[^\w/:-])([a-z][a-z0-9-]*):([a-z][a-z0-9-]*)(?![\w:/-])/g
+
+// Inline code is not a link; blank it out without moving columns
+function withoutCode(text) {
+  return text.replace(/`[^`]*`/g, code => ' '.repeat(code.length))
+}
+
+function suggestion(name, known) {
+  const close = [...known].find(candidate => distance(candidate, name) <= 2)
+  return close ? ` (did you mean "${close}"?)` : ''
+}
+
+function names(plugin, kind) {
+  return new Set(plugin.components.filter(c => c.kind === kind).map(c => c.name))
+}
+
+function pluginName(plugin) {
+  if (plugin.plugin && plugin.plugin.name) return plugin.plugin.name
+  try {
+    return JSON.parse(fs.readFileSync(path.join(plugin.root, 'package.json'), 'utf8')).name || null
+  } catch {
+    return null
+  }
+}
+
+const anchorCache = new Map()
+function anchorsOf(file) {
+  if (!anchorCache.has(file)) anchorCache.set(file, headingAnchors(fs.readFileSync(file, 'utf8')))
+  return anchorCache.get(file)
+}
+
+module.exports = [
+  {
+    id: 'links',
+    description: 'Relative links point at files that exist, and anchors at headings that exist',
+    severity: 'error',
+    check(plugin, report) {
+      anchorCache.clear()
+      for (const component of plugin.components.filter(c => c.kind !== 'hook')) {
+        const ownAnchors = headingAnchors(component.body)
+        for (const { text, line } of proseLines(component)) {
+          for (const match of withoutCode(text).matchAll(LINK)) {
+            const target = match[1]
+            const at = { file: component.file, line, column: match.index + 1 }
+            if (/^[a-z][a-z0-9+.-]*:/i.test(target)) continue
+            const [rawPath, anchor] = target.split('#')
+            if (!rawPath) {
+              if (!ownAnchors.has(anchor)) report({ ...at, message: `links to #${anchor}, but there is no such heading` })
+              continue
+            }
+            let relPath
+            try {
+              relPath = decodeURIComponent(rawPath)
+            } catch {
+              relPath = rawPath
+            }
+            const resolved = relPath.startsWith('/')
+              ? path.join(plugin.root, relPath)
+              : path.resolve(path.dirname(component.file), relPath)
+            if (!fs.existsSync(resolved)) {
+              report({ ...at, message: `links to ${rawPath}, which does not exist` })
+            } else if (anchor && /\.md$/i.test(resolved) && fs.statSync(resolved).isFile() && !anchorsOf(resolved).has(anchor)) {
+              report({ ...at, message: `links to ${target}, but ${rawPath} has no such heading` })
+            }
+          }
+        }
+      }
+    },
+  },
+  {
+    id: 'references',
+    description: '/command mentions, agent names and plugin:skill references resolve',
+    severity: 'warning',
+    options: { external: ['superpowers'], ignore: [] },
+    check(plugin, report, { external, ignore }) {
+      const own = pluginName(plugin)
+      const commands = names(plugin, 'command')
+      const agents = names(plugin, 'agent')
+      const skills = names(plugin, 'skill')
+      const allowed = new Set(external)
+      const ignored = new Set(ignore)
+
+      // `plugin:name` against this plugin's commands (or skills) and the allowlist
+      const qualified = (prefix, name, kinds) => {
+        if (prefix === own) {
+          if (kinds.some(kind => kind.has(name))) return null
+          return `no ${kinds.length > 1 ? 'skill or command' : 'command'} "${name}" in this plugin${suggestion(name, new Set(kinds.flatMap(k => [...k])))}`
+        }
+        if (allowed.has(prefix) || allowed.has(`${prefix}:${name}`)) return null
+        if ([...allowed].some(entry => entry.startsWith(`${prefix}:`))) return `not in the allowed ${prefix} references`
+        return `"${prefix}" is neither this plugin nor an allowed external plugin`
+      }
+
+      for (const component of plugin.components.filter(c => c.kind !== 'hook')) {
+        for (const { text, line } of proseLines(component)) {
+          const at = index => ({ file: component.file, line, column: index + 1 })
+
+          for (const match of text.matchAll(COMMAND_MENTION)) {
+            const mention = `/${match[2]}`
+            const index = match.index + match[1].length
+            if (ignored.has(mention)) continue
+            const [prefix, name] = match[2].includes(':') ? match[2].split(':') : [null, match[2]]
+            if (prefix) {
+              const problem = qualified(prefix, name, [commands])
+              if (problem) report({ ...at(index), message: `mentions ${mention}: ${problem}` })
+            } else if (!commands.has(name) && !BUILTIN_COMMANDS.includes(name)) {
+              report({ ...at(index), message: `mentions ${mention}, which is not a command${suggestion(mention, new Set([...commands].map(c => `/${c}`)))}` })
+            }
+          }
+
+          for (const pattern of AGENT_MENTIONS) {
+            for (const match of text.matchAll(pattern)) {
+              const name = match[1]
+              if (agents.has(name) || BUILTIN_AGENTS.includes(name) || ignored.has(name)) continue
+              report({ ...at(match.index), message: `refers to agent "${name}", which does not exist${suggestion(name, agents)}` })
+            }
+          }
+
+          for (const match of text.matchAll(SKILL_MENTION)) {
+            const name = match[1]
+            if (skills.has(name) || ignored.has(name)) continue
+            report({ ...at(match.index), message: `refers to skill "${name}", which does not exist${suggestion(name, skills)}` })
+          }
+
+          // Qualified names count as references when they are a whole inline
+          // code span, or anywhere when they name a plugin we know about
+          for (const match of text.matchAll(QUALIFIED)) {
+            const [, lead, prefix, name] = match
+            const index = match.index + lead.length
+            const reference = `${prefix}:${name}`
+            const inCode = lead === '`' && text[index + reference.length] === '`'
+            const known = prefix === own || allowed.has(prefix) || [...allowed].some(e => e.startsWith(`${prefix}:`))
+            if (ignored.has(reference) || NOT_PLUGINS.includes(prefix) || !(inCode || known)) continue
+            const problem = qualified(prefix, name, [skills, commands])
+            if (problem) report({ ...at(index), message: `refers to ${reference}: ${problem}` })
+          }
+        }
+      }
+    },
+  },
+]
@@ -0,0 +1,323 @@
+'use strict'
+
+const fs = require('node:fs')
+const path = require('node:path')
+const { parseYaml, toPointer } = require('./yaml')
+const { readHookHeader } = require('./manifest')
+
+// Component schemas live in schemas/ at the package root, one per component
+// type plus common.schema.json for shared definitions. They are plain JSON
+// Schema (draft-07); this module implements the subset they use: type, enum,
+// const, pattern, min/maxLength, minimum, minItems, items, properties,
+// required, additionalProperties, propertyNames, anyOf, oneOf and $ref
+// (within a file or to a sibling file). `errorMessage` replaces the generated
+// message for a subschema, as in ajv-errors.
+const SCHEMA_DIR = path.join(__dirname, '..', '..', 'schemas')
+
+const cache = new Map()
+
+function loadSchema(name, dir = SCHEMA_DIR) {
+  const file = path.join(dir, name.endsWith('.json') ? name : `${name}.schema.json`)
+  if (!cache.has(file)) cache.set(file, JSON.parse(fs.readFileSync(file, 'utf8')))
+  return cache.get(file)
+}
+
+function resolveRef(ref, base, dir) {
+  const [fileName, fragment = ''] = ref.split('#')
+  const file = fileName || base
+  let target = loadSchema(file, dir)
+  for (const part of fragment.split('/').filter(Boolean)) {
+    target = target && target[part.replace(/~1/g, '/').replace(/~0/g, '~')]
+  }
+  if (!target) throw new Error(`Unresolvable schema reference "${ref}" in ${base}`)
+  return { schema: target, base: file }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+function hasType(value, type) {
+  const actual = typeOf(value)
+  return actual === type || (type === 'number' && actual === 'integer')
+}
+
+function describe(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value)
+}
+
+/**
+ * Validate `value` against the named schema. Returns a list of
+ * `{ path, message }` violations, where `path` is the JSON pointer of the
+ * offending value (`/tools/1`) and the message names it (`tools[1] must
+ * match ...`). Every violation is reported, not just the first.
+ */
+function validate(value, name, { dir = SCHEMA_DIR } = {}) {
+  const errors = []
+  check(value, loadSchema(name, dir), [], { base: name.endsWith('.json') ? name : `${name}.schema.json`, dir }, errors)
+  return errors.map(({ trail, message, named }) => ({
+    path: toPointer(trail),
+    message: named || !trail.length ? message : `${label(trail)} ${message}`,
+  }))
+}
+
+// `hooks[0].event`, the way the key would be written in code
+function label(trail) {
+  return trail.map((part, i) => (typeof part === 'number' ? `[${part}]` : i ? `.${part}` : part)).join('')
+}
+
+function check(value, schema, trail, ctx, errors) {
+  const before = errors.length
+  checkKeywords(value, schema, trail, ctx, errors)
+  // One custom message stands in for everything the subschema found at this
+  // value; violations deeper inside it keep their own messages
+  if (schema.errorMessage && errors.length > before) {
+    const found = errors.splice(before)
+    const replaced = found.filter(e => e.trail.length === trail.length)
+    const kind = replaced.some(e => e.kind === 'type') ? 'type' : undefined
+    errors.push({ trail, message: schema.errorMessage, kind }, ...found.filter(e => e.trail.length > trail.length))
+  }
+}
+
+function checkKeywords(value, schema, trail, ctx, errors) {
+  const fail = (message, kind) => errors.push({ trail, message, kind })
+
+  if (schema.$ref) {
+    const { schema: target, base } = resolveRef(schema.$ref, ctx.base, ctx.dir)
+    check(value, target, trail, { ...ctx, base }, errors)
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type)
+    if (!types.some(t => hasType(value, t))) return fail(`must be ${types.join(' or ')}, not ${typeOf(value)}`, 'type')
+  }
+  if (schema.enum && !schema.enum.some(v => v === value)) {
+    return fail(`must be one of ${schema.enum.join(', ')} (got ${describe(value)})`, 'type')
+  }
+  if ('const' in schema && schema.const !== value) return fail(`must be ${describe(schema.const)}`, 'type')
+
+  for (const keyword of ['anyOf', 'oneOf']) {
+    if (!schema[keyword]) continue
+    const results = schema[keyword].map(branch => {
+      const found = []
+      check(value, branch, trail, ctx, found)
+      return found
+    })
+    const passing = results.filter(r => !r.length).length
+    if (keyword === 'oneOf' && passing > 1) fail('matches more than one allowed form')
+    if (passing) continue
+    // Report the branch this value was evidently written for (the only one
+    // whose type fits); when no branch fits, name the accepted shapes
+    const near = results.filter(r => !r.some(e => e.kind === 'type' && e.trail.length === trail.length))
+    if (near.length === 1) errors.push(...near[0])
+    else fail(`must be ${schema[keyword].map(shape).join(' or ')}`, 'type')
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`)
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters (is ${value.length})`)
+    }
+    // Patterns come from the schemas shipped in this package
+    // nosemgrep: javascript.lang.security.audit.detect-non-literal-regexp.detect-non-literal-regexp
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`)
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    fail(`must be at least ${schema.minimum}`)
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`)
+    }
+    if (schema.items) value.forEach((item, i) => check(item, schema.items, [...trail, i], ctx, errors))
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {}
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(trail.length ? `is missing required key "${key}"` : `missing required key "${key}"`)
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.propertyNames) check(key, schema.propertyNames, [...trail, key], ctx, errors)
+      if (properties[key]) check(item, properties[key], [...trail, key], ctx, errors)
+      else if (schema.additionalProperties === false) {
+        errors.push({ trail: [...trail, key], message: unknownKey(trail, key, Object.keys(properties)), named: true })
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(item, schema.additionalProperties, [...trail, key], ctx, errors)
+      }
+    }
+  }
+}
+
+function shape(schema) {
+  if (schema.type) return [].concat(schema.type).join(' or ')
+  if ('const' in schema) return describe(schema.const)
+  if (schema.$ref) return schema.$ref.split('/').pop()
+  return 'a valid value'
+}
+
+function unknownKey(trail, key, known) {
+  const message = `unknown key "${key}"${trail.length ? ` in ${label(trail)}` : ''}`
+  const close = known.find(k => distance(k, key) <= 2)
+  return close ? `${message} (did you mean "${close}"?)` : `${message}; allowed: ${known.join(', ')}`
+}
+
+// Levenshtein distance, for "did you mean" suggestions
+function distance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i]
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+    }
+    prev = row
+  }
+  return prev[b.length]
+}
+
+// Position of a violation: the nearest enclosing key or item the parser saw
+function locate(locations, pointer) {
+  let current = pointer
+  while (!locations.has(current) && current) current = current.slice(0, current.lastIndexOf('/'))
+  return locations.get(current) || { line: 1, column: 1 }
+}
+
+function issue(file, at, message, pointer = '') {
+  return { file, line: at.line, column: at.column, path: pointer, message }
+}
+
+/**
+ * Validate a component's frontmatter. Returns `{ file, line, column, path,
+ * message }` issues, with lines counted in the file (the opening `---` is 1).
+ */
+function validateFrontmatter(file, content, name) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---/)
+  if (!match) return [issue(file, { line: 1, column: 1 }, 'missing YAML frontmatter (expected --- ... --- block at top of file)')]
+  return validateYaml(file, match[1], 2, name)
+}
+
+/**
+ * Validate the metadata header of a hook script (see manifest.readHookHeader).
+ * A script with no header has nothing to validate; the hook-header rule
+ * warns about it.
+ */
+function validateHookHeader(file, content) {
+  let header
+  try {
+    header = readHookHeader(content)
+  } catch (err) {
+    return [issue(file, err, err.reason)]
+  }
+  if (!header) return []
+  return validateYaml(file, header.text, header.firstLine, 'hook')
+}
+
+function validateYaml(file, text, firstLine, name) {
+  const locations = new Map()
+  let data
+  try {
+    data = parseYaml(text, { firstLine, locations })
+  } catch (err) {
+    return [issue(file, err, err.reason || err.message)]
+  }
+  return validate(data === null ? {} : data, name).map(e => issue(file, locate(locations, e.path), e.message, e.path))
+}
+
+/**
+ * Validate a JSON config file. JSON is also YAML, so positions come from
+ * re-reading it with the YAML parser.
+ */
+function validateJsonFile(file, content, name) {
+  let data
+  try {
+    data = JSON.parse(content)
+  } catch (err) {
+    const position = err.message.match(/position (\d+)/)
+    const offset = position ? Number(position[1]) : /end of JSON/.test(err.message) ? content.length : 0
+    const before = content.slice(0, offset).split('\n')
+    return [issue(file, { line: before.length, column: before[before.length - 1].length + 1 }, `invalid JSON: ${err.message}`)]
+  }
+  const locations = new Map()
+  try {
+    parseYaml(content, { locations })
+  } catch {
+    locations.clear()
+  }
+  return validate(data, name).map(e => issue(file, locate(locations, e.path), e.message, e.path))
+}
+
+function markdownFiles(dir, accept = () => true) {
+  const out = []
+  if (!fs.existsSync(dir)) return out
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name)
+    if (entry.isDirectory()) out.push(...markdownFiles(full, accept))
+    else if (entry.isFile() && entry.name.endsWith('.md') && accept(full)) out.push(full)
+  }
+  return out.sort()
+}
+
+/**
+ * Component files under a `.claude` directory, by schema name: commands and
+ * agents (any .md file), skills (SKILL.md, or a .md file directly in
+ * skills/; other files in a skill's folder are its references) and hook
+ * scripts (.js files directly in hooks/).
+ */
+function componentFiles(claudeDir) {
+  const skillsDir = path.join(claudeDir, 'skills')
+  const hooksDir = path.join(claudeDir, 'hooks')
+  const hooks = fs.existsSync(hooksDir)
+    ? fs.readdirSync(hooksDir, { withFileTypes: true })
+      .filter(entry => entry.isFile() && entry.name.endsWith('.js'))
+      .map(entry => path.join(hooksDir, entry.name))
+      .sort()
+    : []
+  return {
+    command: markdownFiles(path.join(claudeDir, 'commands')),
+    agent: markdownFiles(path.join(claudeDir, 'agents')),
+    skill: markdownFiles(skillsDir, f => path.basename(f) === 'SKILL.md' || path.dirname(f) === skillsDir),
+    hook: hooks,
+  }
+}
+
+/**
+ * Validate every component under a `.claude` directory (see componentFiles),
+ * plus hooks/hooks.json and monitors/monitors.json. Issues come back ordered
+ * by file and line.
+ */
+function validateTree(claudeDir) {
+  const issues = []
+  const files = componentFiles(claudeDir)
+  for (const name of ['command', 'agent', 'skill']) {
+    for (const file of files[name]) issues.push(...validateFrontmatter(file, fs.readFileSync(file, 'utf8'), name))
+  }
+  for (const file of files.hook) issues.push(...validateHookHeader(file, fs.readFileSync(file, 'utf8')))
+  for (const [name, rel] of [['hooks', 'hooks/hooks.json'], ['monitors', 'monitors/monitors.json']]) {
+    const file = path.join(claudeDir, rel)
+    if (fs.existsSync(file)) issues.push(...validateJsonFile(file, fs.readFileSync(file, 'utf8'), name))
+  }
+  return issues
+}
+
+function formatIssue(item, root = process.cwd()) {
+  return `${path.relative(root, item.file)}:${item.line}:${item.column}: ${item.message}`
+}
+
+module.exports = {
+  SCHEMA_DIR,
+  loadSchema,
+  validate,
+  validateFrontmatter,
+  validateHookHeader,
+  validateJsonFile,
+  componentFiles,
+  validateTree,
+  formatIssue,
+  distance,
+}
@@ -0,0 +1,84 @@
+'use strict'
+
+// Which plugin files an install copies. Patterns are install keys relative to
+// the Claude directory: a component (`hooks`), a directory (`commands/workflow`)
+// or a single file (`hooks/status-line.js`), each matching itself and
+// everything below it.
+
+function parseList(value) {
+  if (value === undefined || value === true) return []
+  return String(value).split(',').map(s => s.trim().replace(/^\/+|\/+$/g, '')).filter(Boolean)
+}
+
+function matches(key, pattern) {
+  return key === pattern || key.startsWith(pattern + '/')
+}
+
+function isSelected(key, selection) {
+  if (!selection) return true
+  if (selection.only.length && !selection.only.some(p => matches(key, p))) return false
+  return !selection.exclude.some(p => matches(key, p))
+}
+
+/**
+ * Normalise a `profiles` entry from plugin.json. Older manifests map a name
+ * straight to an MCP profile path, which selects every component.
+ */
+function readProfile(profiles, name) {
+  const profile = profiles && profiles[name]
+  if (profile === undefined) {
+    const known = Object.keys(profiles || {})
+    throw new Error(`Unknown profile "${name}"${known.length ? ` (available: ${known.join(', ')})` : ''}`)
+  }
+  if (typeof profile === 'string') return { mcp: profile, only: [], exclude: [] }
+  return {
+    description: profile.description,
+    mcp: profile.mcp,
+    only: profile.only || [],
+    exclude: profile.exclude || [],
+  }
+}
+
+/**
+ * Combine a named profile with `--only` / `--exclude`. `--only` replaces the
+ * profile's list; exclusions from both apply. Returns null when nothing is
+ * filtered, so a full install records no selection.
+ */
+function resolveSelection({ profiles, profile, only, exclude } = {}) {
+  const base = profile ? readProfile(profiles, profile) : { only: [], exclude: [] }
+  const cliOnly = parseList(only)
+  const selection = {
+    profile: profile || undefined,
+    only: cliOnly.length ? cliOnly : base.only,
+    exclude: [...base.exclude, ...parseList(exclude)],
+  }
+  if (!selection.profile && !selection.only.length && !selection.exclude.length) return null
+  return selection
+}
+
+/**
+ * Filter a collectSourceFiles() map down to a selection. Keys under any of
+ * the `always` prefixes (the plugin's own manifest directory) are never
+ * dropped. `unmatched` lists patterns that selected nothing, usually typos.
+ */
+function filterSourceFiles(sourceFiles, selection, { always = [] } = {}) {
+  if (!selection) return { files: sourceFiles, unmatched: [] }
+  const { only, exclude } = selection
+  const used = new Set()
+  const files = new Map()
+  for (const [key, src] of sourceFiles) {
+    if (always.some(prefix => matches(key, prefix))) {
+      files.set(key, src)
+      continue
+    }
+    const included = only.filter(p => matches(key, p))
+    const excluded = exclude.filter(p => matches(key, p))
+    for (const p of [...included, ...excluded]) used.add(p)
+    if ((only.length && !included.length) || excluded.length) continue
+    files.set(key, src)
+  }
+  const unmatched = [...new Set([...only, ...exclude])].filter(p => !used.has(p))
+  return { files, unmatched }
+}
+
+module.exports = { parseList, matches, isSelected, readProfile, resolveSelection, filterSourceFiles }
@@ -0,0 +1,145 @@
+'use strict'
+
+const fs = require('node:fs')
+const path = require('node:path')
+const m = require('./manifest')
+const schema = require('./schema')
+
+function readJson(p) { return JSON.parse(fs.readFileSync(p, 'utf8')) }
+function diffOrWrite(file, nextContent, check) {
+  const cur = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : ''
+  if (cur === nextContent) return { changed: false, file }
+  if (check) return { changed: true, file, drift: true }
+  fs.writeFileSync(file, nextContent)
+  return { changed: true, file, wrote: true }
+}
+
+/**
+ * Regenerate plugin.json, marketplace.json and the README/CLAUDE.md AUTOGEN
+ * blocks of the package at `root` from its .claude/ directory. With `check`,
+ * nothing is written and changed files come back with `drift: true`.
+ * Returns `{ issues, wiring, missingMarkers, results }`; schema issues or
+ * hook wiring problems stop the sync before anything is generated.
+ */
+function syncManifest({ root, check = false }) {
+  const PLUGIN_JSON = path.join(root, '.claude-plugin', 'plugin.json')
+  const MARKETPLACE_JSON = path.join(root, '.claude-plugin', 'marketplace.json')
+  const README = path.join(root, 'README.md')
+  const CLAUDE_MD = path.join(root, 'CLAUDE.md')
+  const none = { issues: [], wiring: [], missingMarkers: [], results: [] }
+
+  const pkg = readJson(path.join(root, 'package.json'))
+  const basePlugin = readJson(PLUGIN_JSON)
+
+  // Components that break their schema (schemas/*.schema.json) would be
+  // published as-is, so they fail the sync like drift does
+  const issues = schema.validateTree(path.join(root, '.claude'))
+  if (issues.length) return { ...none, issues }
+
+  const commands = m.scanCategory(path.join(root, '.claude/commands'))
+  const agents = m.scanCategory(path.join(root, '.claude/agents'))
+  const skills = m.scanCategory(path.join(root, '.claude/skills'))
+  const hooks = m.scanHooks(path.join(root, '.claude/hooks'))
+  const monitors = m.scanMonitors(path.join(root, '.claude/monitors'))
+
+  // A hook script hooks.json does not run never fires, and an entry for a
+  // script that is gone fails at runtime: both are errors
+  const hooksJson = path.join(root, '.claude/hooks/hooks.json')
+  const wiring = m.checkHookWiring(hooks, fs.existsSync(hooksJson) ? readJson(hooksJson) : {}, hooksJson)
+  if (wiring.length) return { ...none, wiring }
+
+  const next = m.buildPluginJson({
+    base: {
+      name: basePlugin.name,
+      description: pkg.description,
+      author: basePlugin.author,
+      license: basePlugin.license,
+      repository: basePlugin.repository,
+      homepage: basePlugin.homepage,
+      npm: basePlugin.npm,
+      keywords: pkg.keywords,
+      profiles: basePlugin.profiles,
+      mcpServers: basePlugin.mcpServers,
+    },
+    version: pkg.version,
+    commands,
+    agents,
+    skills,
+    hooks,
+    monitors,
+    repoRoot: root,
+  })
+
+  const nextJson = JSON.stringify(next, null, 2) + '\n'
+  const results = []
+  results.push(diffOrWrite(PLUGIN_JSON, nextJson, check))
+
+  if (fs.existsSync(MARKETPLACE_JSON)) {
+    const marketplace = m.buildMarketplaceJson({
+      marketplace: readJson(MARKETPLACE_JSON),
+      plugin: next,
+      counts: {
+        commands: commands.length,
+        agents: agents.length,
+        skills: skills.length,
+        hooks: hooks.length,
+        monitors: monitors.length,
+        mcpServers: Object.keys(basePlugin.mcpServers || {}).length,
+      },
+    })
+    // marketplace.json escapes non-ASCII characters (`\u2014`); keep it that way
+    const ascii = JSON.stringify(marketplace, null, 2).replace(/[\u007f-\uffff]/g, c => '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0'))
+    results.push(diffOrWrite(MARKETPLACE_JSON, ascii + '\n', check))
+  }
+
+  const blocks = {
+    commands: toCommandRows(commands),
+    agents: toRows(agents),
+    skills: toRows(skills),
+    hooks: toRows(hooks),
+    monitors: toRows(monitors),
+    counts: renderCounts(commands, agents, skills, hooks, monitors),
+  }
+  // Drift prevention only works if the markers themselves are present. Each
+  // target file declares the markers it must carry; missing markers are an
+  // error (not a silent skip), so deleting a marker is treated like any
+  // other drift and fails CI.
+  const required = [
+    [README, ['counts', 'commands', 'agents', 'skills', 'hooks', 'monitors']],
+    [CLAUDE_MD, ['counts', 'commands', 'agents', 'skills']],
+  ]
+
+  const missingMarkers = []
+  for (const [target, names] of required) {
+    if (!fs.existsSync(target)) continue
+    let content = fs.readFileSync(target, 'utf8')
+    for (const name of names) {
+      if (!content.includes(`<!-- AUTOGEN:${name} -->`)) {
+        missingMarkers.push({ file: target, name })
+        continue
+      }
+      content = m.replaceMarker(content, name, blocks[name])
+    }
+    results.push(diffOrWrite(target, content, check))
+  }
+
+  return { issues, wiring, missingMarkers, results }
+}
+
+function toCommandRows(items) {
+  return m.renderTable(items.map(c => ({ name: '/' + c.name, description: c.description })))
+}
+function toRows(items) {
+  return m.renderTable(items.map(c => ({ name: c.name, description: c.description })))
+}
+function renderCounts(commands, agents, skills, hooks, monitors) {
+  return [
+    `**${commands.length} commands**`,
+    `**${agents.length} agents**`,
+    `**${skills.length} skills**`,
+    `**${hooks.length} hooks**`,
+    `**${monitors.length} monitors**`,
+  ].join(' · ')
+}
+
+module.exports = { syncManifest }
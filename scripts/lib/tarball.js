@@ -0,0 +1,103 @@
+'use strict'
+
+const fs = require('node:fs')
+const path = require('node:path')
+const zlib = require('node:zlib')
+
+// Minimal reader for `npm pack` tarballs (gzipped ustar, possibly with pax or
+// GNU long-name headers), so offline installs need no tar binary or package.
+
+const BLOCK = 512
+
+function readString(buf, start, length) {
+  const field = buf.subarray(start, start + length)
+  const end = field.indexOf(0)
+  return field.subarray(0, end === -1 ? length : end).toString('utf8')
+}
+function readOctal(buf, start, length) {
+  const text = readString(buf, start, length).trim()
+  return text ? parseInt(text, 8) : 0
+}
+
+function parsePax(data) {
+  const out = {}
+  let offset = 0
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset)
+    if (space === -1) break
+    const length = parseInt(data.subarray(offset, space).toString('utf8'), 10)
+    if (!length) break
+    const record = data.subarray(space + 1, offset + length - 1).toString('utf8')
+    const eq = record.indexOf('=')
+    if (eq !== -1) out[record.slice(0, eq)] = record.slice(eq + 1)
+    offset += length
+  }
+  return out
+}
+
+/**
+ * List the entries of a tar archive buffer as `{ name, type, mode, data }`,
+ * where type is 'file' or 'directory'. Links and other types are skipped.
+ */
+function readTar(buf) {
+  const entries = []
+  let offset = 0
+  let longName = null
+  let pax = {}
+  while (offset + BLOCK <= buf.length) {
+    const header = buf.subarray(offset, offset + BLOCK)
+    if (header.every(byte => byte === 0)) break
+    const size = readOctal(header, 124, 12)
+    const type = String.fromCharCode(header[156] || 0x30)
+    const data = buf.subarray(offset + BLOCK, offset + BLOCK + size)
+    offset += BLOCK + Math.ceil(size / BLOCK) * BLOCK
+
+    if (type === 'L') {
+      longName = readString(data, 0, data.length)
+      continue
+    }
+    if (type === 'x') {
+      pax = parsePax(data)
+      continue
+    }
+    if (type === 'g') continue
+
+    const prefix = readString(header, 345, 155)
+    const name = longName || pax.path || (prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100))
+    longName = null
+    pax = {}
+    if (type === '0' || type === '\0' || type === '7') {
+      entries.push({ name, type: 'file', mode: readOctal(header, 100, 8), data })
+    } else if (type === '5') {
+      entries.push({ name, type: 'directory', mode: readOctal(header, 100, 8) })
+    }
+  }
+  return entries
+}
+
+/**
+ * Extract a .tgz (or plain .tar) into `destDir`. Entry names that are
+ * absolute or climb out of the destination abort the extraction. Returns the
+ * package root: `destDir/package` for npm pack output, otherwise `destDir`.
+ */
+function extractTarball(file, destDir) {
+  let buf = fs.readFileSync(file)
+  if (buf[0] === 0x1f && buf[1] === 0x8b) buf = zlib.gunzipSync(buf)
+  const root = path.resolve(destDir)
+  for (const entry of readTar(buf)) {
+    const target = path.resolve(root, entry.name)
+    if (path.isAbsolute(entry.name) || (target !== root && !target.startsWith(root + path.sep))) {
+      throw new Error(`Unsafe path in tarball: ${entry.name}`)
+    }
+    if (entry.type === 'directory') {
+      fs.mkdirSync(target, { recursive: true })
+      continue
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true })
+    fs.writeFileSync(target, entry.data, { mode: entry.mode & 0o777 || 0o644 })
+  }
+  const packageDir = path.join(root, 'package')
+  return fs.existsSync(packageDir) ? packageDir : root
+}
+
+module.exports = { readTar, extractTarball }
@@ -56,6 +56,53 @@ function ensureDir(dir) {
   return dir;
 }
 
+/**
+ * Find the repository root for a path: the nearest ancestor holding a .git
+ * entry, or the starting directory when there is none
+ */
+function findProjectRoot(start = process.cwd()) {
+  let dir = path.resolve(start);
+  while (true) {
+    if (fs.existsSync(path.join(dir, ".git"))) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) return path.resolve(start);
+    dir = parent;
+  }
+}
+
+/**
+ * Resolve the Claude directory to operate on.
+ *
+ *   scope "user"    - ~/.claude (default)
+ *   scope "project" - <repo>/.claude, where the repo is `project` when given
+ *                     as a path, otherwise the repository containing `cwd`
+ *   target          - explicit directory, overrides scope (used by tests)
+ */
+function resolveClaudeDir({
+  scope,
+  project,
+  target,
+  cwd = process.cwd(),
+} = {}) {
+  if (scope !== undefined && scope !== "user" && scope !== "project") {
+    throw new Error(`Invalid scope "${scope}" (expected user or project)`);
+  }
+  if (target === true) {
+    throw new Error("--target requires a path");
+  }
+  if (target) {
+    return path.resolve(cwd, target);
+  }
+  if (scope === "project" || project) {
+    const root =
+      typeof project === "string"
+        ? path.resolve(cwd, project)
+        : findProjectRoot(cwd);
+    return path.join(root, ".claude");
+  }
+  return CLAUDE_DIR;
+}
+
 /**
  * Read JSON file safely
  */
@@ -192,6 +239,20 @@ function generateSessionId() {
   return `session_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
 }
 
+/**
+ * Select entries that fall outside a retention policy: everything beyond the
+ * newest `keep` entries, plus anything older than `maxDays`. Entries need a
+ * `mtime` (Date); the input order does not matter.
+ */
+function selectExpired(entries, { keep = Infinity, maxDays = Infinity } = {}) {
+  const sorted = [...entries].sort((a, b) => b.mtime - a.mtime);
+  const cutoff = Date.now() - maxDays * 24 * 60 * 60 * 1000;
+
+  return sorted.filter(
+    (entry, index) => index >= keep || entry.mtime.getTime() < cutoff,
+  );
+}
+
 /**
  * Clean old sessions (keep last N, max M days old)
  */
@@ -205,22 +266,13 @@ function cleanOldSessions(maxSessions = 50, maxDays = 7) {
       name: f,
       path: path.join(SESSIONS_DIR, f),
       mtime: fs.statSync(path.join(SESSIONS_DIR, f)).mtime,
-    }))
-    .sort((a, b) => b.mtime - a.mtime);
-
-  const cutoff = Date.now() - maxDays * 24 * 60 * 60 * 1000;
+    }));
 
   // Remove files beyond maxSessions or older than maxDays
-  files.slice(maxSessions).forEach((f) => {
-    fs.unlinkSync(f.path);
-  });
-
-  files.forEach((f) => {
-    if (f.mtime.getTime() < cutoff) {
-      try {
-        fs.unlinkSync(f.path);
-      } catch {}
-    }
+  selectExpired(files, { keep: maxSessions, maxDays }).forEach((f) => {
+    try {
+      fs.unlinkSync(f.path);
+    } catch {}
   });
 }
 
@@ -346,6 +398,10 @@ module.exports = {
   error,
   info,
 
+  // Paths
+  findProjectRoot,
+  resolveClaudeDir,
+
   // File operations
   ensureDir,
   readJson,
@@ -362,6 +418,7 @@ module.exports = {
   // Utilities
   timestamp,
   generateSessionId,
+  selectExpired,
   cleanOldSessions,
   notify,
   isSensitiveFile,
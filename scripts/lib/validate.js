@@ -0,0 +1,156 @@
+'use strict'
+
+const fs = require('node:fs')
+const path = require('node:path')
+const { parseFrontmatter, parseHookHeader } = require('./manifest')
+const { componentFiles } = require('./schema')
+const builtinRules = require('./rules')
+
+// Rule-based validation behind `lcc validate`. A rule is
+// `{ id, description, severity, check(plugin, report, options) }`: `check`
+// reads the loaded plugin (see loadPlugin) and calls
+// `report({ file, line, column, message })` once per problem. Severity and
+// options come from the rule's defaults, overridden per rule in the
+// `validate` section of lcc.config.json, which can also load more rules:
+//
+//   {
+//     "validate": {
+//       "rules": { "agent-length": "off", "placeholders": ["error", { "markers": ["TODO"] }] },
+//       "plugins": ["./tools/lcc-rules.js"]
+//     }
+//   }
+//
+// A plugin module exports an array of rules. Loading one runs its code, so
+// plugins named in a config file are only loaded when the caller passes
+// `allowPlugins` (`lcc validate --allow-plugins`); otherwise validating a
+// checkout you do not trust would run whatever it ships.
+const CONFIG_FILE = 'lcc.config.json'
+const SEVERITIES = ['error', 'warning', 'info']
+
+/**
+ * Read the validate section of a config file. Without an explicit `file`,
+ * `<root>/lcc.config.json` is used when present. Throws with the file name
+ * on unreadable config, unknown rules or bad severities, and when the file
+ * lists rule plugins without `allowPlugins`; allowed plugins are loaded here
+ * so their ids can be checked too.
+ */
+function loadConfig(root, file, { allowPlugins = false } = {}) {
+  const configFile = file ? path.resolve(file) : path.join(root, CONFIG_FILE)
+  const rules = [...builtinRules]
+  if (!file && !fs.existsSync(configFile)) return { file: null, rules, settings: {} }
+
+  let section
+  try {
+    section = JSON.parse(fs.readFileSync(configFile, 'utf8')).validate || {}
+  } catch (err) {
+    throw new Error(`Cannot read ${configFile}: ${err.message}`)
+  }
+  const plugins = [].concat(section.plugins || [])
+  if (plugins.length && !allowPlugins) {
+    throw new Error(`${configFile} loads rule plugins (${plugins.join(', ')}), which run as code: pass --allow-plugins if you trust them`)
+  }
+  for (const plugin of plugins) {
+    const modulePath = path.resolve(path.dirname(configFile), plugin)
+    const loaded = require(modulePath)
+    for (const rule of [].concat(loaded)) {
+      if (!rule || typeof rule.id !== 'string' || typeof rule.check !== 'function') {
+        throw new Error(`${configFile}: ${plugin} must export rules with an id and a check function`)
+      }
+      if (rules.some(r => r.id === rule.id)) throw new Error(`${configFile}: ${plugin} redefines rule "${rule.id}"`)
+      rules.push({ severity: 'warning', ...rule })
+    }
+  }
+
+  const settings = {}
+  for (const [id, value] of Object.entries(section.rules || {})) {
+    if (!rules.some(r => r.id === id)) throw new Error(`${configFile}: unknown rule "${id}"`)
+    const [severity, options] = [].concat(value)
+    if (severity !== 'off' && !SEVERITIES.includes(severity)) {
+      throw new Error(`${configFile}: rule "${id}" must be off, ${SEVERITIES.join(', ')} (got ${JSON.stringify(severity)})`)
+    }
+    settings[id] = { severity, options: options || {} }
+  }
+  return { file: configFile, rules, settings }
+}
+
+// Content after the frontmatter (or hook header), and the line it starts on
+function splitBody(content) {
+  const match = content.match(/^---\r?\n[\s\S]*?\r?\n---\r?\n?/)
+  if (!match) return { body: content, bodyLine: 1 }
+  return { body: content.slice(match[0].length), bodyLine: match[0].split('\n').length }
+}
+
+/**
+ * Everything rules look at, read once: the plugin root, its Claude
+ * directory (`<root>/.claude`, or the root itself for plugins laid out
+ * like a Claude directory), plugin.json (`plugin`, or `pluginError`) and
+ * components `{ kind, name, file, content, frontmatter, body, bodyLine }`.
+ * `frontmatter` is null when it does not parse; the schema rule reports why.
+ */
+function loadPlugin(root) {
+  const claudeDir = fs.existsSync(path.join(root, '.claude')) ? path.join(root, '.claude') : root
+  const pluginFile = path.join(root, '.claude-plugin', 'plugin.json')
+  let plugin = null
+  let pluginError = null
+  if (fs.existsSync(pluginFile)) {
+    try {
+      plugin = JSON.parse(fs.readFileSync(pluginFile, 'utf8'))
+    } catch (err) {
+      pluginError = err
+    }
+  }
+
+  const components = []
+  const files = componentFiles(claudeDir)
+  for (const kind of ['command', 'agent', 'skill', 'hook']) {
+    for (const file of files[kind]) {
+      const content = fs.readFileSync(file, 'utf8')
+      let frontmatter = null
+      try {
+        frontmatter = kind === 'hook' ? parseHookHeader(content) : parseFrontmatter(content)
+      } catch {
+        // Reported by the schema rule
+      }
+      const fallback = kind === 'skill' && path.basename(file) === 'SKILL.md'
+        ? path.basename(path.dirname(file))
+        : path.basename(file, path.extname(file))
+      const name = frontmatter && frontmatter.name ? String(frontmatter.name) : fallback
+      components.push({ kind, name, file, content, frontmatter, ...(kind === 'hook' ? { body: content, bodyLine: 1 } : splitBody(content)) })
+    }
+  }
+  return { root, claudeDir, pluginFile, plugin, pluginError, components }
+}
+
+/**
+ * Run every enabled rule against the plugin at `root`. Returns
+ * `{ root, config, rules: [{ id, description, severity }], files, findings,
+ * counts }`, findings sorted by file and line; `files` lists plugin.json and
+ * every component, with or without findings. A rule that throws becomes an
+ * error finding.
+ */
+function runValidation(root, config = loadConfig(root)) {
+  const plugin = loadPlugin(root)
+  const findings = []
+  const rules = []
+  for (const rule of config.rules) {
+    const setting = config.settings[rule.id] || {}
+    const severity = setting.severity || rule.severity
+    if (severity === 'off') continue
+    rules.push({ id: rule.id, description: rule.description || '', severity })
+    const report = ({ file = plugin.pluginFile, line, column, message }) => {
+      findings.push({ rule: rule.id, severity, file, line, column, message })
+    }
+    try {
+      rule.check(plugin, report, { ...rule.options, ...setting.options })
+    } catch (err) {
+      findings.push({ rule: rule.id, severity: 'error', file: root, message: `rule failed: ${err.message}` })
+    }
+  }
+  findings.sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0))
+  const counts = { error: 0, warning: 0, info: 0 }
+  for (const finding of findings) counts[finding.severity]++
+  const files = [...(plugin.plugin || plugin.pluginError ? [plugin.pluginFile] : []), ...plugin.components.map(c => c.file)]
+  return { root, config: config.file, rules, files, findings, counts }
+}
+
+module.exports = { CONFIG_FILE, SEVERITIES, loadConfig, loadPlugin, runValidation }
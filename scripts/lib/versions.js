@@ -0,0 +1,86 @@
+'use strict'
+
+const fs = require('node:fs')
+const path = require('node:path')
+const { CHECKSUMS_FILE } = require('./integrity')
+
+// Every install keeps the package it came from under
+// <pluginDir>/versions/<version>/, laid out like the package itself
+// (package.json, checksums.json, .claude/, .claude-plugin/), so `lcc use`
+// can reinstall it later with the normal install machinery, checksums
+// included.
+const VERSIONS_DIR = 'versions'
+const SNAPSHOT_PARTS = ['package.json', CHECKSUMS_FILE, '.claude', '.claude-plugin']
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(?:[-+][0-9A-Za-z.+-]+)?$/
+
+function snapshotDir(pluginDir, version) {
+  if (!VERSION_PATTERN.test(version)) throw new Error(`Invalid version "${version}" (expected e.g. 4.1.0)`)
+  return path.join(pluginDir, VERSIONS_DIR, version)
+}
+
+// Semver precedence, minus build metadata: a release sorts after its
+// prereleases, and prerelease tags compare as strings.
+function compareVersions(a, b) {
+  const [coreA, preA = ''] = a.split('+')[0].split(/-(.*)/)
+  const [coreB, preB = ''] = b.split('+')[0].split(/-(.*)/)
+  const numsA = coreA.split('.').map(Number)
+  const numsB = coreB.split('.').map(Number)
+  for (let i = 0; i < 3; i++) {
+    if (numsA[i] !== numsB[i]) return numsA[i] - numsB[i]
+  }
+  if (preA === preB) return 0
+  if (!preA) return 1
+  if (!preB) return -1
+  return preA < preB ? -1 : 1
+}
+
+/**
+ * Stored snapshots, newest version first, as `{ version, path, storedAt }`.
+ * Half-written snapshots (no package.json) are skipped.
+ */
+function listSnapshots(pluginDir) {
+  const root = path.join(pluginDir, VERSIONS_DIR)
+  if (!fs.existsSync(root)) return []
+  const out = []
+  for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+    if (!entry.isDirectory() || !VERSION_PATTERN.test(entry.name)) continue
+    const dir = path.join(root, entry.name)
+    const pkg = path.join(dir, 'package.json')
+    if (!fs.existsSync(pkg)) continue
+    out.push({ version: entry.name, path: dir, storedAt: fs.statSync(pkg).mtime })
+  }
+  return out.sort((a, b) => compareVersions(b.version, a.version))
+}
+
+function findSnapshot(pluginDir, version) {
+  snapshotDir(pluginDir, version)
+  return listSnapshots(pluginDir).find(s => s.version === version) || null
+}
+
+/**
+ * Copy a package into the snapshot for `version`, replacing an older copy.
+ * The copy is staged next to its destination and renamed into place, so a
+ * snapshot is either complete or absent. Storing a snapshot from itself is a
+ * no-op. `checksums: false` leaves out a checksums file the source was not
+ * verified against. Returns the snapshot directory.
+ */
+function storeSnapshot(pluginDir, sourceRoot, version, { checksums = true } = {}) {
+  const dest = snapshotDir(pluginDir, version)
+  if (path.resolve(sourceRoot) === path.resolve(dest)) return dest
+  const staging = `${dest}.tmp-${process.pid}`
+  fs.rmSync(staging, { recursive: true, force: true })
+  try {
+    for (const part of SNAPSHOT_PARTS) {
+      if (part === CHECKSUMS_FILE && !checksums) continue
+      const src = path.join(sourceRoot, part)
+      if (fs.existsSync(src)) fs.cpSync(src, path.join(staging, part), { recursive: true })
+    }
+    fs.rmSync(dest, { recursive: true, force: true })
+    fs.renameSync(staging, dest)
+  } finally {
+    fs.rmSync(staging, { recursive: true, force: true })
+  }
+  return dest
+}
+
+module.exports = { VERSIONS_DIR, snapshotDir, compareVersions, listSnapshots, findSnapshot, storeSnapshot }
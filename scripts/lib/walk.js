@@ -0,0 +1,176 @@
+'use strict'
+
+const fs = require('node:fs')
+const path = require('node:path')
+
+// A bounded walk over a project's files for glob matching: it honours the
+// .gitignore files it finds on the way down, never enters DEFAULT_IGNORES,
+// skips symlinks, and stops after MAX_FILES files or TIME_BUDGET_MS,
+// whichever comes first, saying so in the result. Walks given the same
+// budget (createBudget) share those limits.
+const DEFAULT_IGNORES = ['node_modules', '.git', '.next', '.nuxt', '.output', '.svelte-kit', '.turbo', '.vercel', '.cache', 'dist', 'build', 'out', 'coverage']
+const MAX_FILES = 5000
+const TIME_BUDGET_MS = 500
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^$()|\\]/g, '\\$&')
+}
+
+// Regex source for a glob without its anchoring: `**` spans directories, `*`
+// and `?` stay within one, `[...]` and `{a,b}` as in a shell
+function globSource(glob) {
+  let source = ''
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === '*' && glob[i + 1] === '*') {
+      const slashAfter = glob[i + 2] === '/'
+      source += slashAfter ? '(?:.*/)?' : '.*'
+      i += slashAfter ? 2 : 1
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 2)
+      if (end === -1) {
+        source += '\\['
+        continue
+      }
+      const body = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')
+      source += `[${body}]`
+      i = end
+    } else if (char === '{') {
+      const end = glob.indexOf('}', i)
+      if (end === -1) {
+        source += '\\{'
+        continue
+      }
+      source += `(?:${glob.slice(i + 1, end).split(',').map(globSource).join('|')})`
+      i = end
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegExp(glob[++i])
+    } else {
+      source += escapeRegExp(char)
+    }
+  }
+  return source
+}
+
+/**
+ * Compile a glob to a regex tested against slash-separated paths relative
+ * to where it applies. As in .gitignore, a glob without a slash (other than
+ * a trailing one) matches a name at any depth (`*.module.css`); one with a
+ * slash is anchored (`e2e/**\/*.spec.ts`, `/dist`).
+ */
+function globToRegExp(glob) {
+  const trimmed = glob.replace(/^\.\//, '').replace(/\/+$/, '')
+  const anchored = trimmed.includes('/')
+  const source = globSource(trimmed.replace(/^\//, ''))
+  return new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`)
+}
+
+/**
+ * Rules from a .gitignore in the directory `base` (relative to the walk's
+ * root, '' for the root itself): `{ base, regex, negate, dirOnly }`
+ */
+function parseIgnoreFile(content, base = '') {
+  const rules = []
+  for (const raw of content.split(/\r?\n/)) {
+    let line = raw.replace(/(?<!\\)\s+$/, '')
+    if (!line || line.startsWith('#')) continue
+    const negate = line.startsWith('!')
+    if (negate) line = line.slice(1)
+    if (/^\\[#!]/.test(line)) line = line.slice(1)
+    const dirOnly = line.endsWith('/')
+    rules.push({ base, regex: globToRegExp(line), negate, dirOnly })
+  }
+  return rules
+}
+
+// Whether the last rule matching `rel` ignores it
+function isIgnored(rules, rel, isDir) {
+  let ignored = false
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDir) continue
+    if (rule.base && !rel.startsWith(`${rule.base}/`)) continue
+    if (rule.regex.test(rule.base ? rel.slice(rule.base.length + 1) : rel)) ignored = !rule.negate
+  }
+  return ignored
+}
+
+/** Limits for one or more walks: `{ deadline, files }`, files being those left */
+function createBudget({ maxFiles = MAX_FILES, timeBudget = TIME_BUDGET_MS } = {}) {
+  return { deadline: Date.now() + timeBudget, files: maxFiles }
+}
+
+/**
+ * Files under `root` as sorted, slash-separated relative paths. Returns
+ * `{ files, truncated, reason }`, `reason` being `files` or `time` when the
+ * walk stopped early. `ignore` replaces DEFAULT_IGNORES (names, or globs as
+ * in .gitignore); `gitignore: false` disregards .gitignore files; `exclude`
+ * lists directories (relative paths) not to enter. `budget` is shared with
+ * other walks and used up by this one; without it, `maxFiles` and
+ * `timeBudget` make a new one.
+ */
+function walkFiles(root, { ignore = DEFAULT_IGNORES, gitignore = true, exclude = [], maxFiles, timeBudget, budget = createBudget({ maxFiles, timeBudget }) } = {}) {
+  const excluded = new Set(exclude.map(dir => dir.replace(/\/+$/, '')))
+  const files = []
+  let reason = null
+  const walk = (rel, inherited) => {
+    const dir = rel ? path.join(root, rel) : root
+    let rules = inherited
+    if (gitignore) {
+      try {
+        rules = inherited.concat(parseIgnoreFile(fs.readFileSync(path.join(dir, '.gitignore'), 'utf8'), rel))
+      } catch {
+        // No .gitignore here
+      }
+    }
+    let entries
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+    } catch {
+      return
+    }
+    for (const entry of entries) {
+      if (reason) return
+      const child = rel ? `${rel}/${entry.name}` : entry.name
+      if (entry.isDirectory()) {
+        if (excluded.has(child) || isIgnored(rules, child, true)) continue
+        if (Date.now() > budget.deadline) reason = 'time'
+        else walk(child, rules)
+      } else if (entry.isFile() && !isIgnored(rules, child, false)) {
+        if (budget.files <= 0) {
+          reason = 'files'
+        } else {
+          files.push(child)
+          budget.files--
+        }
+      }
+    }
+  }
+  walk('', parseIgnoreFile(ignore.join('\n')))
+  return { files, truncated: reason !== null, ...(reason ? { reason } : {}) }
+}
+
+/** The paths in `files` that `pattern` (see globToRegExp) matches */
+function matchFiles(files, pattern) {
+  const regex = globToRegExp(pattern)
+  return files.filter(file => regex.test(file))
+}
+
+/** The first `bytes` of a file as text, or '' when it cannot be read */
+function readHead(file, bytes) {
+  let fd
+  try {
+    fd = fs.openSync(file, 'r')
+    const buffer = Buffer.alloc(bytes)
+    return buffer.toString('utf8', 0, fs.readSync(fd, buffer, 0, bytes, 0))
+  } catch {
+    return ''
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd)
+  }
+}
+
+module.exports = { DEFAULT_IGNORES, MAX_FILES, TIME_BUDGET_MS, globToRegExp, parseIgnoreFile, isIgnored, createBudget, walkFiles, matchFiles, readHead }
@@ -0,0 +1,153 @@
+'use strict'
+
+const fs = require('node:fs')
+const path = require('node:path')
+const { parseYaml } = require('./yaml')
+
+// Workspaces of a monorepo, from whichever config declares them: package.json
+// `workspaces` (npm, yarn, bun), pnpm-workspace.yaml, lerna.json, or the
+// conventional layouts of Nx (apps/, libs/, packages/ with project.json) and
+// Turborepo (apps/, packages/) when those declare nothing themselves.
+
+// Directories never searched for workspaces
+const SKIPPED_DIRS = new Set(['node_modules', '.git', 'dist', 'build', '.next', '.turbo', 'coverage'])
+// How deep a `**` pattern searches below where it starts
+const MAX_GLOB_DEPTH = 5
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+function isDirectory(dir) {
+  try {
+    return fs.statSync(dir).isDirectory()
+  } catch {
+    return false
+  }
+}
+
+function subdirectories(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && !SKIPPED_DIRS.has(entry.name))
+      .map(entry => entry.name)
+      .sort()
+  } catch {
+    return []
+  }
+}
+
+function segmentPattern(segment) {
+  const source = segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]')
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Directories under `root` matching a workspace glob such as `apps/*`,
+ * `packages/**` or `tools/cli`, as paths relative to `root` with forward
+ * slashes. `*` matches one level, `**` up to MAX_GLOB_DEPTH levels.
+ */
+function expandPattern(root, pattern) {
+  const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean)
+  const found = new Set()
+  const walk = (rel, index, depth = 0) => {
+    if (index === segments.length) {
+      if (isDirectory(path.join(root, rel))) found.add(rel)
+      return
+    }
+    const segment = segments[index]
+    if (segment === '**') {
+      walk(rel, index + 1)
+      if (depth < MAX_GLOB_DEPTH) {
+        for (const name of subdirectories(path.join(root, rel))) walk(rel ? `${rel}/${name}` : name, index, depth + 1)
+      }
+    } else if (/[*?]/.test(segment)) {
+      const regex = segmentPattern(segment)
+      for (const name of subdirectories(path.join(root, rel))) {
+        if (regex.test(name)) walk(rel ? `${rel}/${name}` : name, index + 1)
+      }
+    } else {
+      walk(rel ? `${rel}/${segment}` : segment, index + 1)
+    }
+  }
+  walk('', 0)
+  return [...found]
+}
+
+/**
+ * Where the workspace globs of the repo at `root` come from:
+ * `{ source, patterns }`, or null for a single-package repo
+ */
+function workspacePatterns(root) {
+  const pkg = readJson(path.join(root, 'package.json')) || {}
+  const declared = Array.isArray(pkg.workspaces) ? pkg.workspaces : pkg.workspaces && pkg.workspaces.packages
+  if (Array.isArray(declared) && declared.length) return { source: 'package.json', patterns: declared }
+
+  const pnpmFile = path.join(root, 'pnpm-workspace.yaml')
+  if (fs.existsSync(pnpmFile)) {
+    const config = parseYaml(fs.readFileSync(pnpmFile, 'utf8')) || {}
+    if (Array.isArray(config.packages)) return { source: 'pnpm-workspace.yaml', patterns: config.packages.map(String) }
+  }
+
+  const lerna = readJson(path.join(root, 'lerna.json'))
+  if (lerna) return { source: 'lerna.json', patterns: lerna.packages || ['packages/*'] }
+
+  const nx = readJson(path.join(root, 'nx.json'))
+  if (nx) {
+    const layout = nx.workspaceLayout || {}
+    const dirs = [...new Set([layout.appsDir || 'apps', layout.libsDir || 'libs', 'packages'])]
+    return { source: 'nx.json', patterns: dirs.map(dir => `${dir}/**`) }
+  }
+
+  if (fs.existsSync(path.join(root, 'turbo.json'))) return { source: 'turbo.json', patterns: ['apps/*', 'packages/*'] }
+  return null
+}
+
+/**
+ * The workspaces of the repo at `root`, sorted by path: `{ name, path, dir,
+ * source }` where `path` is relative to `root`. A workspace is a matched
+ * directory with a package.json (or an Nx project.json); its name comes from
+ * that file, falling back to the path. `!pattern` entries exclude matches.
+ */
+function listWorkspaces(root) {
+  const declared = workspacePatterns(root)
+  if (!declared) return []
+
+  const included = new Set()
+  const excluded = new Set()
+  for (const raw of declared.patterns) {
+    const negated = raw.startsWith('!')
+    for (const rel of expandPattern(root, negated ? raw.slice(1) : raw)) (negated ? excluded : included).add(rel)
+  }
+
+  const workspaces = []
+  for (const rel of [...included].sort()) {
+    if (excluded.has(rel) || !rel) continue
+    const dir = path.join(root, rel)
+    const manifest = readJson(path.join(dir, 'package.json')) || readJson(path.join(dir, 'project.json'))
+    if (!manifest) continue
+    workspaces.push({ name: manifest.name || rel, path: rel, dir, source: declared.source })
+  }
+  return workspaces
+}
+
+/**
+ * The workspace containing `file` (absolute, or relative to `root`): the one
+ * with the longest matching path, or null
+ */
+function workspaceFor(workspaces, root, file) {
+  const rel = path.relative(root, path.resolve(root, file)).split(path.sep).join('/')
+  let best = null
+  for (const workspace of workspaces) {
+    if ((rel === workspace.path || rel.startsWith(`${workspace.path}/`)) && (!best || workspace.path.length > best.path.length)) {
+      best = workspace
+    }
+  }
+  return best
+}
+
+module.exports = { expandPattern, workspacePatterns, listWorkspaces, workspaceFor }
@@ -0,0 +1,495 @@
+'use strict'
+
+// The YAML subset plugin frontmatter uses, parsed to spec: block mappings and
+// sequences (nested by indentation), flow `[...]` / `{...}` collections,
+// plain, single- and double-quoted scalars (with escapes and line folding),
+// `|` / `>` block scalars with chomping and indentation indicators, comments,
+// and core-schema null / boolean / number resolution. Anchors, aliases, tags
+// and multiple documents are rejected rather than misread.
+//
+// Errors carry `line` and `column` (1-based) and say where in the message.
+// Pass a `locations` Map to also get the position of every mapping key and
+// sequence item, keyed by JSON pointer (`/tools/0`), for reporting problems
+// found after parsing.
+
+function yamlError(message, line, column) {
+  const err = new Error(`${message} (line ${line}, column ${column})`)
+  err.reason = message
+  err.line = line
+  err.column = column
+  return err
+}
+
+const ESCAPES = {
+  0: '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+  ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: ' ', P: ' ',
+}
+const HEX_ESCAPES = { x: 2, u: 4, U: 8 }
+
+function resolvePlain(text) {
+  if (text === '' || text === '~' || /^(?:null|Null|NULL)$/.test(text)) return null
+  if (/^(?:true|True|TRUE)$/.test(text)) return true
+  if (/^(?:false|False|FALSE)$/.test(text)) return false
+  if (/^[-+]?[0-9]+$/.test(text)) return Number(text)
+  if (/^0o[0-7]+$/.test(text)) return parseInt(text.slice(2), 8)
+  if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text.slice(2), 16)
+  if (/^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/.test(text)) return Number(text)
+  if (/^[-+]?\.(?:inf|Inf|INF)$/.test(text)) return text.startsWith('-') ? -Infinity : Infinity
+  if (/^\.(?:nan|NaN|NAN)$/.test(text)) return NaN
+  return text
+}
+
+/**
+ * Parse a YAML document. `firstLine` is the file line number of the text's
+ * first line, so errors in a frontmatter block point into the file.
+ */
+function parseYaml(text, { firstLine = 1, locations = null } = {}) {
+  const lines = text.split(/\r?\n/)
+  let row = 0
+  const trail = []
+
+  const fail = (message, r, col) => yamlError(message, r + firstLine, col + 1)
+  const mark = (r, col) => {
+    if (locations) locations.set(toPointer(trail), { line: r + firstLine, column: col + 1 })
+  }
+  const indentOf = line => line.length - line.trimStart().length
+  const isBlank = line => line.trim() === ''
+  const isComment = line => line.trimStart().startsWith('#')
+
+  // Indentation of a line that starts a node or entry. Tabs may separate
+  // tokens (and appear in block scalar content) but never indent.
+  function structuralIndent(r) {
+    const lead = lines[r].match(/^[ \t]*/)[0]
+    if (lead.includes('\t')) throw fail('Tabs are not allowed in indentation', r, lead.indexOf('\t'))
+    return lead.length
+  }
+
+  function skipEmpty() {
+    while (row < lines.length && (isBlank(lines[row]) || isComment(lines[row]))) row++
+  }
+
+  // Column where a plain scalar's trailing comment starts, or the line length
+  function commentStart(line, from) {
+    for (let c = from; c < line.length; c++) {
+      if (line[c] === '#' && (c === 0 || line[c - 1] === ' ' || line[c - 1] === '\t')) return c
+    }
+    return line.length
+  }
+
+  function expectLineEnd(r, col) {
+    const rest = lines[r].slice(col)
+    const trimmed = rest.trimStart()
+    if (trimmed && !trimmed.startsWith('#')) {
+      throw fail(`Unexpected "${trimmed[0]}" after value`, r, col + rest.length - trimmed.length)
+    }
+  }
+
+  function isSequenceEntry(line, indent) {
+    return line[indent] === '-' && (line.length === indent + 1 || line[indent + 1] === ' ')
+  }
+
+  // Column of the `:` that ends a mapping key on this line, or -1
+  function mappingColon(line, from) {
+    const first = line[from]
+    if (first === '"' || first === "'") {
+      let c = from + 1
+      while (c < line.length) {
+        if (first === "'" && line[c] === "'" && line[c + 1] === "'") c += 2
+        else if (first === '"' && line[c] === '\\') c += 2
+        else if (line[c] === first) break
+        else c++
+      }
+      let after = c + 1
+      while (line[after] === ' ') after++
+      return line[after] === ':' && (after + 1 === line.length || /[ \t]/.test(line[after + 1])) ? after : -1
+    }
+    if ('[{#&*!|>%@`'.includes(first)) return -1
+    const end = commentStart(line, from)
+    for (let c = from; c < end; c++) {
+      if (line[c] === ':' && (c + 1 === line.length || /[ \t]/.test(line[c + 1]))) return c
+    }
+    return -1
+  }
+
+  function parseNode(parentIndent) {
+    skipEmpty()
+    if (row >= lines.length) return null
+    const line = lines[row]
+    const indent = structuralIndent(row)
+    if (indent <= parentIndent) return null
+    if (isSequenceEntry(line, indent)) return parseSequence(indent)
+    if (mappingColon(line, indent) !== -1) return parseMapping(indent)
+    return parseInline(row, indent, parentIndent)
+  }
+
+  function parseSequence(indent) {
+    const out = []
+    while (row < lines.length) {
+      skipEmpty()
+      if (row >= lines.length) break
+      const line = lines[row]
+      const lineIndent = structuralIndent(row)
+      if (lineIndent < indent) break
+      if (lineIndent > indent) throw fail('Bad indentation of a sequence entry', row, lineIndent)
+      // The parent mapping may continue at this indentation
+      if (!isSequenceEntry(line, indent)) break
+      const rest = line.slice(indent + 1)
+      trail.push(out.length)
+      mark(row, indent)
+      if (isBlank(rest) || rest.trimStart().startsWith('#')) {
+        row++
+      } else {
+        // `- key: value` and `- - x` start a nested node on this line: blank
+        // out the dash so the entry reads as a more-indented line
+        lines[row] = ' '.repeat(indent + 1) + rest
+      }
+      out.push(parseNode(indent))
+      trail.pop()
+    }
+    return out
+  }
+
+  function parseMapping(indent) {
+    const out = {}
+    while (row < lines.length) {
+      skipEmpty()
+      if (row >= lines.length) break
+      const line = lines[row]
+      const lineIndent = structuralIndent(row)
+      if (lineIndent < indent) break
+      if (lineIndent > indent) throw fail('Bad indentation of a mapping entry', row, lineIndent)
+      if (isSequenceEntry(line, indent)) throw fail('Expected a mapping key, found a sequence entry', row, indent)
+      const colon = mappingColon(line, indent)
+      if (colon === -1) throw fail('Expected a "key: value" mapping entry', row, indent)
+
+      const keyRow = row
+      const rawKey = line.slice(indent, colon).trimEnd()
+      const key = rawKey[0] === '"' || rawKey[0] === "'"
+        ? String(readQuoted({ row, col: indent }, indent, { singleLine: true }).value)
+        : rawKey
+      if (Object.prototype.hasOwnProperty.call(out, key)) throw fail(`Duplicate key "${key}"`, row, indent)
+
+      trail.push(key)
+      mark(keyRow, indent)
+      const valueCol = colon + 1 + (line.slice(colon + 1).length - line.slice(colon + 1).trimStart().length)
+      const rest = line.slice(valueCol)
+      if (rest === '' || rest.startsWith('#')) {
+        row++
+        skipEmpty()
+        // A sequence may sit at the key's own indentation
+        if (row < lines.length && indentOf(lines[row]) === indent && isSequenceEntry(lines[row], indent)) {
+          out[key] = parseSequence(indent)
+        } else {
+          out[key] = parseNode(indent)
+        }
+      } else {
+        out[key] = parseInline(keyRow, valueCol, indent)
+      }
+      trail.pop()
+    }
+    return out
+  }
+
+  // A value that starts at (r, col): block scalar, flow collection, quoted
+  // or plain scalar. Continuation lines must be indented past parentIndent.
+  function parseInline(r, col, parentIndent) {
+    const line = lines[r]
+    const first = line[col]
+    if (first === '|' || first === '>') return parseBlockScalar(r, col, parentIndent)
+    if (first === '[' || first === '{') {
+      const cursor = { row: r, col }
+      const value = parseFlow(cursor, parentIndent)
+      expectLineEnd(cursor.row, cursor.col)
+      row = cursor.row + 1
+      return value
+    }
+    if (first === '"' || first === "'") {
+      const { value, end } = readQuoted({ row: r, col }, parentIndent)
+      expectLineEnd(end.row, end.col)
+      row = end.row + 1
+      return value
+    }
+    if (first === '&' || first === '*') throw fail('Anchors and aliases are not supported', r, col)
+    if (first === '!') throw fail('Tags are not supported', r, col)
+    if (first === '@' || first === '`') throw fail(`Plain values cannot start with "${first}"`, r, col)
+    if (line.startsWith('---', col) || line.startsWith('...', col)) {
+      if (col === 0) throw fail('Multiple documents are not supported', r, col)
+    }
+    return parsePlain(r, col, parentIndent)
+  }
+
+  function parsePlain(r, col, parentIndent) {
+    const first = lines[r]
+    const checkNoMapping = (text, at) => {
+      const colon = text.search(/:(?:[ \t]|$)/)
+      if (colon !== -1) throw fail('Mapping values are not allowed here (quote the value if it contains ": ")', at.row, at.col + colon)
+    }
+    let text = first.slice(col, commentStart(first, col)).trimEnd()
+    checkNoMapping(text, { row: r, col })
+    let hadComment = commentStart(first, col) < first.length
+    row = r + 1
+    let breaks = 0
+    while (row < lines.length && !hadComment) {
+      const line = lines[row]
+      if (isBlank(line)) {
+        breaks++
+        row++
+        continue
+      }
+      const indent = indentOf(line)
+      if (indent <= parentIndent || isComment(line)) break
+      const end = commentStart(line, indent)
+      const part = line.slice(indent, end).trimEnd()
+      checkNoMapping(part, { row, col: indent })
+      text += breaks ? '\n'.repeat(breaks) : ' '
+      text += part
+      hadComment = end < line.length
+      breaks = 0
+      row++
+    }
+    return resolvePlain(text)
+  }
+
+  function parseBlockScalar(r, col, parentIndent) {
+    const line = lines[r]
+    const folded = line[col] === '>'
+    const header = line.slice(col + 1, commentStart(line, col + 1)).trimEnd()
+    const match = header.match(/^(?:([1-9])([-+])?|([-+])([1-9])?)?$/)
+    if (!match) throw fail(`Invalid block scalar header "${line[col]}${header}"`, r, col + 1)
+    const explicit = Number(match[1] || match[4]) || 0
+    const chomp = match[2] || match[3] || ''
+
+    row = r + 1
+    let contentIndent = explicit ? Math.max(parentIndent, 0) + explicit : 0
+    if (!contentIndent) {
+      for (let k = row; k < lines.length; k++) {
+        if (isBlank(lines[k])) continue
+        contentIndent = indentOf(lines[k])
+        break
+      }
+      if (contentIndent <= parentIndent) contentIndent = parentIndent + 1
+    }
+
+    const content = []
+    while (row < lines.length) {
+      const current = lines[row]
+      if (isBlank(current)) {
+        content.push(current.length > contentIndent ? current.slice(contentIndent) : '')
+        row++
+        continue
+      }
+      if (indentOf(current) < contentIndent) break
+      content.push(current.slice(contentIndent))
+      row++
+    }
+    let trailing = 0
+    while (content.length && content[content.length - 1] === '') {
+      content.pop()
+      trailing++
+    }
+
+    let body = ''
+    if (!folded) {
+      body = content.join('\n')
+    } else {
+      let prevMore = null
+      let blanks = 0
+      for (const text of content) {
+        if (text === '') {
+          blanks++
+          continue
+        }
+        const more = /^[ \t]/.test(text)
+        if (prevMore === null) body += '\n'.repeat(blanks)
+        else if (!more && !prevMore) body += blanks ? '\n'.repeat(blanks) : ' '
+        else body += '\n'.repeat(blanks + 1)
+        body += text
+        prevMore = more
+        blanks = 0
+      }
+    }
+    if (chomp === '-' || !content.length) return chomp === '+' ? '\n'.repeat(trailing) : body
+    if (chomp === '+') return body + '\n' + '\n'.repeat(trailing)
+    return body + '\n'
+  }
+
+  // Quoted scalar starting at cursor. Line breaks fold to a space, blank
+  // lines to newlines; in double quotes a trailing `\` joins lines.
+  function readQuoted(start, parentIndent, { singleLine = false } = {}) {
+    const quote = lines[start.row][start.col]
+    let r = start.row
+    let c = start.col + 1
+    let out = ''
+    let pendingSpace = ''
+    for (;;) {
+      const line = lines[r]
+      if (c >= line.length) {
+        if (singleLine || r + 1 >= lines.length) throw fail(`Unterminated ${quote === '"' ? 'double' : 'single'}-quoted string`, start.row, start.col)
+        // Fold the line break: drop trailing spaces, count blank lines
+        out = out.replace(/[ \t]+$/, m => (pendingSpace === '\\' ? m : ''))
+        let breaks = 0
+        r++
+        while (r < lines.length && isBlank(lines[r])) {
+          breaks++
+          r++
+        }
+        if (r >= lines.length) throw fail(`Unterminated ${quote === '"' ? 'double' : 'single'}-quoted string`, start.row, start.col)
+        if (indentOf(lines[r]) <= parentIndent) throw fail('Bad indentation in a multi-line quoted string', r, indentOf(lines[r]))
+        if (pendingSpace !== '\\') out += breaks ? '\n'.repeat(breaks) : ' '
+        pendingSpace = ''
+        c = indentOf(lines[r])
+        continue
+      }
+      const ch = line[c]
+      if (quote === "'") {
+        if (ch === "'") {
+          if (line[c + 1] === "'") {
+            out += "'"
+            c += 2
+            continue
+          }
+          return { value: out, end: { row: r, col: c + 1 } }
+        }
+        out += ch
+        c++
+        continue
+      }
+      if (ch === '"') return { value: out, end: { row: r, col: c + 1 } }
+      if (ch !== '\\') {
+        out += ch
+        c++
+        continue
+      }
+      const next = line[c + 1]
+      if (next === undefined) {
+        // Escaped line break: join with the next line, no space
+        pendingSpace = '\\'
+        c += 1
+        continue
+      }
+      if (next in ESCAPES) {
+        out += ESCAPES[next]
+        c += 2
+        continue
+      }
+      if (next in HEX_ESCAPES) {
+        const digits = line.slice(c + 2, c + 2 + HEX_ESCAPES[next])
+        if (!/^[0-9a-fA-F]+$/.test(digits) || digits.length !== HEX_ESCAPES[next]) {
+          throw fail(`Invalid \\${next} escape`, r, c)
+        }
+        out += String.fromCodePoint(parseInt(digits, 16))
+        c += 2 + digits.length
+        continue
+      }
+      throw fail(`Unknown escape "\\${next}"`, r, c)
+    }
+  }
+
+  // Flow collections may span lines; the cursor advances past the value
+  function parseFlow(cursor, parentIndent) {
+    const skipSpace = () => {
+      for (;;) {
+        const line = lines[cursor.row]
+        while (cursor.col < line.length && /[ \t]/.test(line[cursor.col])) cursor.col++
+        if (cursor.col < line.length && line[cursor.col] !== '#') return
+        if (cursor.row + 1 >= lines.length) return
+        cursor.row++
+        cursor.col = 0
+        const next = lines[cursor.row].trimStart()
+        if (next && !/^[\]}]/.test(next) && indentOf(lines[cursor.row]) <= parentIndent) {
+          throw fail('Bad indentation in a flow collection', cursor.row, indentOf(lines[cursor.row]))
+        }
+      }
+    }
+    const peek = () => lines[cursor.row][cursor.col]
+
+    const readValue = inMap => {
+      skipSpace()
+      const ch = peek()
+      if (ch === '[' || ch === '{') return parseFlow(cursor, parentIndent)
+      if (ch === '"' || ch === "'") {
+        const { value, end } = readQuoted(cursor, parentIndent)
+        cursor.row = end.row
+        cursor.col = end.col
+        return value
+      }
+      if (ch === undefined) throw fail('Unexpected end of flow collection', cursor.row, cursor.col)
+      if (ch === '&' || ch === '*') throw fail('Anchors and aliases are not supported', cursor.row, cursor.col)
+      if (ch === '!') throw fail('Tags are not supported', cursor.row, cursor.col)
+      const line = lines[cursor.row]
+      let end = cursor.col
+      while (end < line.length) {
+        const c = line[end]
+        if (c === ',' || c === ']' || c === '}' || c === '[' || c === '{') break
+        if (c === ':' && (inMap || end + 1 === line.length || /[ \t,\]}]/.test(line[end + 1]))) break
+        if (c === '#' && /[ \t]/.test(line[end - 1])) break
+        end++
+      }
+      const text = line.slice(cursor.col, end).trim()
+      cursor.col = end
+      return resolvePlain(text)
+    }
+
+    const open = peek()
+    const close = open === '[' ? ']' : '}'
+    const startRow = cursor.row
+    const startCol = cursor.col
+    cursor.col++
+    const out = open === '[' ? [] : {}
+    for (;;) {
+      skipSpace()
+      if (peek() === close) {
+        cursor.col++
+        return out
+      }
+      if (peek() === undefined) throw fail(`Unterminated flow ${open === '[' ? 'sequence' : 'mapping'}`, startRow, startCol)
+      if (open === '[') {
+        trail.push(out.length)
+        mark(cursor.row, cursor.col)
+        out.push(readValue(false))
+        trail.pop()
+      } else {
+        const keyRow = cursor.row
+        const keyCol = cursor.col
+        const key = readValue(true)
+        skipSpace()
+        const name = key === null ? '' : String(key)
+        if (Object.prototype.hasOwnProperty.call(out, name)) throw fail(`Duplicate key "${name}"`, keyRow, keyCol)
+        trail.push(name)
+        mark(keyRow, keyCol)
+        let value = null
+        if (peek() === ':') {
+          cursor.col++
+          skipSpace()
+          value = peek() === ',' || peek() === '}' ? null : readValue(false)
+        }
+        trail.pop()
+        out[name] = value
+      }
+      skipSpace()
+      if (peek() === ',') {
+        cursor.col++
+        continue
+      }
+      if (peek() === undefined) throw fail(`Unterminated flow ${open === '[' ? 'sequence' : 'mapping'}`, startRow, startCol)
+      if (peek() !== close) {
+        throw fail(`Expected "," or "${close}" in flow ${open === '[' ? 'sequence' : 'mapping'}`, cursor.row, cursor.col)
+      }
+    }
+  }
+
+  skipEmpty()
+  if (row < lines.length) mark(row, indentOf(lines[row]))
+  const value = parseNode(-1)
+  skipEmpty()
+  if (row < lines.length) {
+    throw fail('Unexpected content (check the indentation)', row, indentOf(lines[row]))
+  }
+  return value
+}
+
+function toPointer(trail) {
+  return trail.map(part => '/' + String(part).replace(/~/g, '~0').replace(/\//g, '~1')).join('')
+}
+
+module.exports = { parseYaml, toPointer, yamlError }
@@ -0,0 +1,136 @@
+'use strict'
+
+const fs = require('node:fs')
+const path = require('node:path')
+const { proseLines } = require('./lib/rules/markdown')
+
+// `lcc validate` rules for this repository only, loaded through the
+// `plugins` list in lcc.config.json: the root symlinks, the agent roster,
+// the model API commands run on, and the structure this repo's agents and
+// commands follow. Other plugins do not share these conventions, so they are
+// not built-in rules.
+
+function ofKind(plugin, kind) {
+  return plugin.components.filter(c => c.kind === kind)
+}
+
+function headings(component, level) {
+  const prefix = new RegExp(`^#{${level}}\\s+`)
+  return proseLines(component).filter(l => prefix.test(l.text))
+}
+
+module.exports = [
+  {
+    id: 'root-symlinks',
+    description: 'commands, agents and skills at the repository root link to .claude/',
+    severity: 'warning',
+    options: { links: ['commands', 'agents', 'skills'] },
+    check(plugin, report, { links }) {
+      for (const name of links) {
+        const file = path.join(plugin.root, name)
+        let stats
+        try {
+          stats = fs.lstatSync(file)
+        } catch {
+          report({ file: plugin.root, message: `no ${name} directory or symlink at the root` })
+          continue
+        }
+        if (!stats.isSymbolicLink()) continue
+        const target = fs.readlinkSync(file)
+        if (path.resolve(plugin.root, target) !== path.join(plugin.root, '.claude', name)) {
+          report({ file, message: `${name} links to ${target}, not .claude/${name}` })
+        } else if (!fs.existsSync(file)) {
+          report({ file, message: `${name} links to ${target}, which does not exist` })
+        }
+      }
+    },
+  },
+  {
+    id: 'agent-roster',
+    description: 'Every agent category has the agents it is expected to ship',
+    severity: 'error',
+    options: {
+      categories: {
+        architecture: ['backend-architect', 'frontend-architect'],
+        quality: ['code-reviewer', 'build-error-resolver', 'test-strategist'],
+        operations: ['devops-engineer'],
+      },
+    },
+    check(plugin, report, { categories }) {
+      const names = new Set(ofKind(plugin, 'agent').map(a => a.name))
+      const dir = path.join(plugin.claudeDir, 'agents')
+      for (const [category, expected] of Object.entries(categories)) {
+        const missing = expected.filter(name => !names.has(name))
+        if (missing.length) report({ file: dir, message: `${category} agents missing: ${missing.join(', ')}` })
+      }
+    },
+  },
+  {
+    id: 'api-command-model',
+    description: 'API commands that pin a model pin an Opus one',
+    severity: 'warning',
+    options: { models: ['claude-opus-4-8', 'opus'] },
+    check(plugin, report, { models }) {
+      const apiDir = path.join(plugin.claudeDir, 'commands', 'api') + path.sep
+      for (const command of ofKind(plugin, 'command')) {
+        const model = command.frontmatter && command.frontmatter.model
+        if (!model || !command.file.startsWith(apiDir) || models.includes(model)) continue
+        const line = command.content.split('\n').findIndex(l => /^model:/.test(l)) + 1
+        report({ file: command.file, line, column: 1, message: `model is ${model}; API commands should use ${models.join(' or ')}` })
+      }
+    },
+  },
+  {
+    id: 'agent-structure',
+    description: 'Agent prompts have sections, lists, Will / Will Not boundaries and, for technical agents, code examples',
+    severity: 'warning',
+    options: {
+      minSections: 3,
+      technical: ['backend-architect', 'frontend-architect', 'devops-engineer'],
+    },
+    check(plugin, report, { minSections, technical }) {
+      for (const agent of ofKind(plugin, 'agent')) {
+        const at = message => report({ file: agent.file, line: agent.bodyLine, message })
+        if (!headings(agent, 1).length) at('has no # heading')
+        const sections = headings(agent, 2).length
+        if (sections < minSections) at(`has ${sections} ## sections (expected at least ${minSections})`)
+        if (!/^\s*(?:[-*]|\d+\.)\s/m.test(agent.body)) at('has no bullet or numbered list')
+        if (!agent.body.includes('Will:')) at('has no "Will:" list of what it does')
+        if (!agent.body.includes('Will Not:')) at('has no "Will Not:" list of its boundaries')
+        if (technical.includes(agent.name) && !agent.body.includes('```')) at('has no code examples')
+      }
+    },
+  },
+  {
+    id: 'agent-names',
+    description: 'Agent names are kebab-case, and either every agent has a category or none does',
+    severity: 'warning',
+    check(plugin, report) {
+      const agents = ofKind(plugin, 'agent')
+      for (const agent of agents) {
+        if (!/^[a-z0-9]+(?:-[a-z0-9]+)+$/.test(agent.name)) report({ file: agent.file, message: `name "${agent.name}" is not kebab-case` })
+      }
+      const withCategory = agents.filter(a => a.frontmatter && a.frontmatter.category)
+      if (withCategory.length && withCategory.length < agents.length) {
+        for (const agent of agents.filter(a => !withCategory.includes(a))) {
+          report({ file: agent.file, message: `has no category, unlike ${withCategory.length} other agent(s)` })
+        }
+      }
+    },
+  },
+  {
+    id: 'command-examples',
+    description: 'Commands show code examples and keep prose lines short',
+    severity: 'warning',
+    options: { maxLineLength: 200, maxLongLines: 3 },
+    check(plugin, report, { maxLineLength, maxLongLines }) {
+      for (const command of ofKind(plugin, 'command')) {
+        if (!command.body.includes('```')) report({ file: command.file, line: command.bodyLine, message: 'has no code examples' })
+        const long = proseLines(command).filter(l => l.text.length > maxLineLength && !l.text.includes('http'))
+        if (long.length > maxLongLines) {
+          report({ file: command.file, line: long[0].line, message: `${long.length} lines longer than ${maxLineLength} characters` })
+        }
+      }
+    },
+  },
+]
@@ -0,0 +1,113 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const backups = require('../scripts/lib/backups')
+const { selectExpired } = require('../scripts/lib/utils')
+const { tmpdir, write } = require('./helpers')
+
+function snapshot(claudeDir, stamp, files) {
+  for (const [rel, content] of Object.entries(files)) {
+    write(path.join(claudeDir, backups.BACKUP_PREFIX + stamp, rel), content)
+  }
+}
+
+test('selectExpired drops entries beyond keep and older than maxDays', () => {
+  const day = 24 * 60 * 60 * 1000
+  const entries = [0, 1, 2, 10].map(age => ({ age, mtime: new Date(Date.now() - age * day) }))
+  assert.deepEqual(selectExpired(entries, { keep: 2 }).map(e => e.age), [2, 10])
+  assert.deepEqual(selectExpired(entries, { maxDays: 5 }).map(e => e.age), [10])
+  assert.deepEqual(selectExpired(entries), [])
+})
+
+test('createBackup snapshots existing components only', t => {
+  const claudeDir = tmpdir(t)
+  write(path.join(claudeDir, 'commands/a.md'), 'A')
+  const dir = backups.createBackup(claudeDir, ['commands', 'agents'])
+  assert.ok(path.basename(dir).startsWith(backups.BACKUP_PREFIX))
+  assert.equal(fs.readFileSync(path.join(dir, 'commands/a.md'), 'utf8'), 'A')
+  assert.equal(fs.existsSync(path.join(dir, 'agents')), false)
+  assert.equal(backups.createBackup(tmpdir(t), ['commands']), null)
+})
+
+test('listBackups reports size and components, newest first', t => {
+  const claudeDir = tmpdir(t)
+  snapshot(claudeDir, 1000, { 'commands/a.md': 'AAAA' })
+  snapshot(claudeDir, 2000, { 'commands/a.md': 'A', 'hooks/hooks.json': '{}' })
+  fs.mkdirSync(path.join(claudeDir, '.backup-notastamp'))
+  const list = backups.listBackups(claudeDir)
+  assert.deepEqual(list.map(b => b.name), ['.backup-2000', '.backup-1000'])
+  assert.deepEqual(list[0].components, ['commands', 'hooks'])
+  assert.equal(list[0].size, 3)
+  assert.equal(list[1].mtime.getTime(), 1000)
+})
+
+test('findBackup accepts the directory name, bare timestamp or latest', t => {
+  const claudeDir = tmpdir(t)
+  snapshot(claudeDir, 1000, { 'commands/a.md': 'A' })
+  snapshot(claudeDir, 2000, { 'commands/a.md': 'B' })
+  assert.equal(backups.findBackup(claudeDir, '.backup-1000').name, '.backup-1000')
+  assert.equal(backups.findBackup(claudeDir, '1000').name, '.backup-1000')
+  assert.equal(backups.findBackup(claudeDir, 'latest').name, '.backup-2000')
+  assert.equal(backups.findBackup(claudeDir, '3000'), null)
+})
+
+test('restoreBackup swaps components in and snapshots what it replaced', t => {
+  const claudeDir = tmpdir(t)
+  snapshot(claudeDir, 1000, { 'commands/a.md': 'old A', 'agents/x.md': 'old X' })
+  write(path.join(claudeDir, 'commands/a.md'), 'new A')
+  write(path.join(claudeDir, 'commands/extra.md'), 'added later')
+  write(path.join(claudeDir, 'agents/x.md'), 'new X')
+
+  const result = backups.restoreBackup(claudeDir, '1000', { component: 'commands' })
+  assert.deepEqual(result.components, ['commands'])
+  assert.equal(fs.readFileSync(path.join(claudeDir, 'commands/a.md'), 'utf8'), 'old A')
+  assert.equal(fs.existsSync(path.join(claudeDir, 'commands/extra.md')), false)
+  assert.equal(fs.readFileSync(path.join(claudeDir, 'agents/x.md'), 'utf8'), 'new X')
+  assert.equal(
+    fs.readFileSync(path.join(claudeDir, result.replacedBy, 'commands/extra.md'), 'utf8'),
+    'added later'
+  )
+  assert.deepEqual(fs.readdirSync(claudeDir).filter(n => n.startsWith('.restore-')), [])
+})
+
+test('restoreBackup rejects unknown snapshots and components', t => {
+  const claudeDir = tmpdir(t)
+  snapshot(claudeDir, 1000, { 'commands/a.md': 'A' })
+  assert.throws(() => backups.restoreBackup(claudeDir, 'nope'), /Backup not found/)
+  assert.throws(() => backups.restoreBackup(claudeDir, '1000', { component: 'hooks' }), /does not contain hooks/)
+})
+
+test('stash puts files and directories back as they were, except the skipped ones', t => {
+  const claudeDir = tmpdir(t)
+  write(path.join(claudeDir, 'commands/a.md'), 'A')
+  write(path.join(claudeDir, 'plugins/p/manifest.json'), 'old')
+  write(path.join(claudeDir, 'plugins/p/versions/1.0.0/x'), 'stored')
+  write(path.join(claudeDir, 'settings.json'), '{}')
+  const names = ['commands', 'rules', 'plugins/p', 'settings.json']
+  const saved = backups.stash(claudeDir, names, { skip: [path.join(claudeDir, 'plugins/p/versions')] })
+
+  write(path.join(claudeDir, 'commands/a.md'), 'changed')
+  write(path.join(claudeDir, 'commands/b.md'), 'B')
+  write(path.join(claudeDir, 'rules/r.md'), 'R')
+  write(path.join(claudeDir, 'plugins/p/manifest.json'), 'new')
+  write(path.join(claudeDir, 'plugins/p/versions/1.1.0/x'), 'stored too')
+  fs.rmSync(path.join(claudeDir, 'settings.json'))
+  saved.restore()
+
+  assert.deepEqual(fs.readdirSync(path.join(claudeDir, 'commands')), ['a.md'])
+  assert.equal(fs.readFileSync(path.join(claudeDir, 'commands/a.md'), 'utf8'), 'A')
+  assert.equal(fs.existsSync(path.join(claudeDir, 'rules')), false)
+  assert.equal(fs.readFileSync(path.join(claudeDir, 'plugins/p/manifest.json'), 'utf8'), 'old')
+  assert.deepEqual(fs.readdirSync(path.join(claudeDir, 'plugins/p/versions')), ['1.0.0', '1.1.0'])
+  assert.equal(fs.readFileSync(path.join(claudeDir, 'settings.json'), 'utf8'), '{}')
+  assert.deepEqual(fs.readdirSync(claudeDir).filter(n => n.startsWith('.stash-')), [])
+})
+
+test('pruneBackups keeps the newest N', t => {
+  const claudeDir = tmpdir(t)
+  for (const stamp of [1000, 2000, 3000]) snapshot(claudeDir, stamp, { 'commands/a.md': 'A' })
+  const removed = backups.pruneBackups(claudeDir, { keep: 1 })
+  assert.deepEqual(removed.map(b => b.name), ['.backup-2000', '.backup-1000'])
+  assert.deepEqual(backups.listBackups(claudeDir).map(b => b.name), ['.backup-3000'])
+})
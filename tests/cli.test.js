@@ -0,0 +1,206 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const { spawnSync } = require('node:child_process')
+const { generateChecksums, CHECKSUMS_FILE } = require('../scripts/lib/integrity')
+const { tmpdir, tree } = require('./helpers')
+
+const CLI = path.join(__dirname, '..', 'bin', 'cli.js')
+
+function run(t, ...args) {
+  const home = tmpdir(t)
+  const result = spawnSync(process.execPath, [CLI, ...args], {
+    encoding: 'utf8',
+    env: { ...process.env, HOME: home, USERPROFILE: home },
+  })
+  return { status: result.status, stdout: result.stdout, home }
+}
+
+test('--json prints a single document with no ANSI colors', t => {
+  const { status, stdout } = run(t, '--json', 'version')
+  assert.equal(status, 0)
+  assert.doesNotMatch(stdout, /\x1b\[/)
+  const doc = JSON.parse(stdout)
+  assert.equal(doc.command, 'version')
+  assert.equal(doc.version, require('../package.json').version)
+  assert.equal(doc.ok, true)
+  assert.equal(doc.exitCode, 0)
+})
+
+test('doctor --json reports checks with severity and exits 1 when not installed', t => {
+  const { status, stdout, home } = run(t, 'doctor', '--json')
+  assert.equal(status, 1)
+  const doc = JSON.parse(stdout)
+  assert.equal(doc.claudeDir, path.join(home, '.claude'))
+  assert.deepEqual(doc.checks.filter(c => c.severity === 'error').map(c => c.type), ['directory', 'plugin'])
+  assert.equal(doc.exitCode, 1)
+})
+
+test('usage errors exit 2 and missing backups exit 4', t => {
+  assert.equal(run(t, 'frobnicate', '--json').status, 2)
+  assert.equal(run(t, 'install', '--scope', 'global').status, 2)
+  const { status, stdout } = run(t, 'backup', 'restore', 'latest', '--json')
+  assert.equal(status, 4)
+  assert.match(JSON.parse(stdout).messages.at(-1).message, /Backup not found/)
+})
+
+// A minimal package, as npm pack would ship it, for install --from
+function fakePackage(t, version, body) {
+  const root = tree(t, {
+    'package.json': JSON.stringify({ version }),
+    '.claude/commands/hello.md': `---\nname: hello\ndescription: Hi\n---\n\n${body}\n`,
+    '.claude-plugin/plugin.json': JSON.stringify({
+      name: 'lorenzos-claude-code',
+      version,
+      commands: [{ name: 'hello', path: '.claude/commands/hello.md' }],
+    }),
+  })
+  fs.writeFileSync(path.join(root, CHECKSUMS_FILE), JSON.stringify(generateChecksums(root, version)))
+  return root
+}
+
+test('install --from refuses a package that does not match its checksums', t => {
+  const root = fakePackage(t, '1.0.0', 'one')
+  fs.appendFileSync(path.join(root, '.claude/commands/hello.md'), 'tampered\n')
+  const { status, stdout, home } = run(t, 'install', '--from', root, '--json')
+  assert.equal(status, 6)
+  assert.deepEqual(JSON.parse(stdout).integrity, [{ file: '.claude/commands/hello.md', problem: 'mismatch' }])
+  assert.equal(fs.existsSync(path.join(home, '.claude/commands')), false)
+})
+
+test('use switches between stored versions and rollback returns', t => {
+  const home = tmpdir(t)
+  const lcc = (...args) => spawnSync(process.execPath, [CLI, ...args, '--json'], {
+    encoding: 'utf8',
+    env: { ...process.env, HOME: home, USERPROFILE: home },
+  })
+  const command = path.join(home, '.claude/commands/hello.md')
+  assert.equal(lcc('install', '--from', fakePackage(t, '1.0.0', 'one')).status, 0)
+  assert.equal(lcc('install', '--from', fakePackage(t, '1.1.0', 'two')).status, 0)
+  assert.match(fs.readFileSync(command, 'utf8'), /two/)
+
+  const listed = JSON.parse(lcc('use').stdout)
+  assert.deepEqual(listed.versions.map(v => [v.version, v.active]), [['1.1.0', true], ['1.0.0', false]])
+
+  assert.equal(lcc('use', '1.0.0').status, 0)
+  assert.match(fs.readFileSync(command, 'utf8'), /one/)
+  const rolledBack = JSON.parse(lcc('rollback').stdout)
+  assert.deepEqual([rolledBack.from, rolledBack.to], ['1.0.0', '1.1.0'])
+  assert.match(fs.readFileSync(command, 'utf8'), /two/)
+  assert.equal(lcc('use', '9.9.9').status, 4)
+})
+
+test('doctor --fix restores from the version switched to with use', t => {
+  const home = tmpdir(t)
+  const lcc = (...args) => spawnSync(process.execPath, [CLI, ...args, '--json'], {
+    encoding: 'utf8',
+    env: { ...process.env, HOME: home, USERPROFILE: home },
+  })
+  const command = path.join(home, '.claude/commands/hello.md')
+  const manifestFile = path.join(home, '.claude/plugins/lorenzos-claude-code/install-manifest.json')
+  assert.equal(lcc('install', '--from', fakePackage(t, '1.0.0', 'one')).status, 0)
+  assert.equal(lcc('install', '--from', fakePackage(t, '1.1.0', 'two')).status, 0)
+  assert.equal(lcc('use', '1.0.0').status, 0)
+
+  fs.rmSync(command)
+  const fixed = lcc('doctor', '--fix')
+  const repairs = JSON.parse(fixed.stdout).repairs.filter(r => r.key === 'commands/hello.md')
+  assert.deepEqual(repairs, [{ type: 'restore', key: 'commands/hello.md', applied: true }])
+  assert.match(fs.readFileSync(command, 'utf8'), /one/)
+  const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'))
+  assert.equal(manifest.files['commands/hello.md'].version, '1.0.0')
+})
+
+test('doctor --fix re-verifies an install --from package and refuses when it is gone', t => {
+  const home = tmpdir(t)
+  const lcc = (...args) => spawnSync(process.execPath, [CLI, ...args, '--json'], {
+    encoding: 'utf8',
+    env: { ...process.env, HOME: home, USERPROFILE: home },
+  })
+  const command = path.join(home, '.claude/commands/hello.md')
+  const source = fakePackage(t, '1.0.0', 'one')
+  assert.equal(lcc('install', '--from', source).status, 0)
+
+  fs.rmSync(command)
+  fs.appendFileSync(path.join(source, '.claude/commands/hello.md'), 'tampered\n')
+  assert.equal(lcc('doctor', '--fix').status, 6)
+  assert.equal(fs.existsSync(command), false)
+
+  fs.rmSync(source, { recursive: true })
+  const refused = JSON.parse(lcc('doctor', '--fix').stdout)
+  const manual = refused.repairs.find(r => r.key === 'commands/hello.md')
+  assert.equal(manual.type, 'manual')
+  assert.match(manual.message, /no longer exists/)
+  assert.equal(fs.existsSync(command), false)
+})
+
+test('checksums are not installed, and a checkout ignores stale ones', t => {
+  const home = tmpdir(t)
+  const env = { ...process.env, HOME: home, USERPROFILE: home }
+  assert.equal(spawnSync(process.execPath, [CLI, 'install', '--from', fakePackage(t, '1.0.0', 'one'), '--json'], { env }).status, 0)
+  const pluginDir = path.join(home, '.claude/plugins/lorenzos-claude-code')
+  assert.ok(fs.existsSync(path.join(pluginDir, 'plugin.json')))
+  assert.equal(fs.existsSync(path.join(pluginDir, CHECKSUMS_FILE)), false)
+  assert.ok(fs.existsSync(path.join(pluginDir, 'versions/1.0.0', CHECKSUMS_FILE)))
+
+  // A dev checkout with checksums.json left over from packing an older version
+  const checkout = fakePackage(t, '1.1.0', 'two')
+  fs.writeFileSync(path.join(checkout, CHECKSUMS_FILE), JSON.stringify(generateChecksums(checkout, '1.0.0')))
+  for (const dir of ['bin', 'scripts', 'schemas']) {
+    fs.cpSync(path.join(__dirname, '..', dir), path.join(checkout, dir), { recursive: true })
+  }
+  const install = () => spawnSync(process.execPath, [path.join(checkout, 'bin/cli.js'), 'install', '--json'], { env }).status
+  assert.equal(install(), 6)
+  fs.mkdirSync(path.join(checkout, '.git'))
+  assert.equal(install(), 0)
+  assert.equal(fs.existsSync(path.join(pluginDir, 'versions/1.1.0', CHECKSUMS_FILE)), false)
+})
+
+test('update prints one heading', t => {
+  const { status, stdout } = run(t, 'update', '--from', fakePackage(t, '1.0.0', 'one'), '--dry-run')
+  assert.equal(status, 0)
+  assert.deepEqual(stdout.match(/\w+ Lorenzo's Claude Code Plugin v[\d.]+/g), ["Updating Lorenzo's Claude Code Plugin v1.0.0"])
+})
+
+test('uninstall --dry-run plans the same removals uninstall reports', t => {
+  const home = tmpdir(t)
+  const lcc = (...args) => spawnSync(process.execPath, [CLI, ...args, '--json'], {
+    encoding: 'utf8',
+    env: { ...process.env, HOME: home, USERPROFILE: home },
+  })
+  assert.equal(lcc('install', '--from', fakePackage(t, '1.0.0', 'one')).status, 0)
+  const records = ['pristine', 'versions', 'install-manifest.json'].map(name => `plugins/lorenzos-claude-code/${name}`)
+
+  const planned = JSON.parse(lcc('uninstall', '--dry-run').stdout)
+  const removals = planned.actions.filter(a => a.type === 'remove').map(a => a.key)
+  assert.ok(removals.includes('commands/hello.md'))
+  assert.deepEqual(removals.slice(-3), records)
+  assert.ok(fs.existsSync(path.join(home, '.claude', records[2])))
+
+  const done = JSON.parse(lcc('uninstall').stdout)
+  assert.deepEqual(done.actions, planned.actions)
+  assert.deepEqual(done.summary, planned.summary)
+  for (const key of removals) assert.equal(fs.existsSync(path.join(home, '.claude', key)), false, key)
+})
+
+test('a failed install leaves the previous version in place', t => {
+  const home = tmpdir(t)
+  const lcc = (...args) => spawnSync(process.execPath, [CLI, ...args, '--json'], {
+    encoding: 'utf8',
+    env: { ...process.env, HOME: home, USERPROFILE: home },
+  })
+  const pluginDir = path.join(home, '.claude/plugins/lorenzos-claude-code')
+  const command = path.join(home, '.claude/commands/hello.md')
+  assert.equal(lcc('install', '--from', fakePackage(t, '1.0.0', 'one')).status, 0)
+  const manifest = fs.readFileSync(path.join(pluginDir, 'install-manifest.json'), 'utf8')
+
+  // Storing the new version fails after its files and manifest were written
+  fs.rmSync(path.join(pluginDir, 'versions'), { recursive: true })
+  fs.writeFileSync(path.join(pluginDir, 'versions'), '')
+  assert.equal(lcc('install', '--from', fakePackage(t, '1.1.0', 'two')).status, 5)
+  assert.match(fs.readFileSync(command, 'utf8'), /one/)
+  assert.equal(fs.readFileSync(path.join(pluginDir, 'install-manifest.json'), 'utf8'), manifest)
+  assert.equal(fs.readFileSync(path.join(pluginDir, 'pristine/commands/hello.md'), 'utf8').includes('one'), true)
+  assert.deepEqual(fs.readdirSync(path.join(home, '.claude')).filter(name => name.startsWith('.stash-')), [])
+})
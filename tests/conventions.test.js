@@ -0,0 +1,94 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { detectConventions, parseJsonc } = require('../scripts/lib/conventions')
+const { walkFiles } = require('../scripts/lib/walk')
+const { detectProject } = require('../scripts/detect-project')
+const { tree } = require('./helpers')
+
+const NAMED = "import * as React from 'react'\n\nexport function Component() {\n  return null\n}\n"
+const DEFAULT = 'export default function Component() {\n  return null\n}\n'
+
+function nextApp(t) {
+  return tree(t, {
+    'package.json': { dependencies: { next: '15', react: '19', '@supabase/ssr': '0.5' } },
+    'tsconfig.json': '{\n  // generated by create-next-app\n  "compilerOptions": {\n    "paths": { "@/*": ["./src/*"] }, /* aliases */\n  },\n}\n',
+    'src/components/ui/button.tsx': NAMED,
+    'src/components/ui/dialog.tsx': NAMED,
+    'src/components/user-card.tsx': NAMED,
+    'src/components/user-card.test.tsx': '',
+    'src/components/site-header/index.tsx': DEFAULT,
+    'src/components/Legacy.stories.tsx': DEFAULT,
+    'src/lib/utils.test.ts': '',
+    'src/lib/supabase/server.ts': "import { createServerClient } from '@supabase/ssr'\nexport async function createClient() {\n  return createServerClient(url, key, {})\n}\n",
+    'src/lib/supabase/client.ts': "import { createBrowserClient } from '@supabase/ssr'\nexport const createClient = () => createBrowserClient(url, key)\n",
+    'src/app/page.tsx': "import { createClient } from '@/lib/supabase/server'\n",
+    'e2e/home.spec.ts': '',
+    'supabase/functions/hello/index.ts': "import { createClient } from '@supabase/supabase-js'\ncreateClient(url, key)\n",
+  })
+}
+
+test('parseJsonc reads tsconfig-style JSON without touching strings', () => {
+  assert.deepEqual(parseJsonc('{\n  // note\n  "a": "/* not a comment */", /* b */\n  "c": ["//x",],\n}'), { a: '/* not a comment */', c: ['//x'] })
+})
+
+test('conventions are inferred with their confidence and evidence', t => {
+  const root = nextApp(t)
+  const conventions = detectConventions(root, walkFiles(root).files, { supabase: true })
+  assert.deepEqual(conventions.componentDir, {
+    value: 'src/components',
+    confidence: 'high',
+    matches: 4,
+    total: 4,
+    evidence: ['src/components/site-header/index.tsx', 'src/components/ui/button.tsx', 'src/components/ui/dialog.tsx'],
+  })
+  assert.equal(conventions.fileNaming.value, 'kebab-case')
+  assert.equal(conventions.fileNaming.confidence, 'medium')
+  assert.deepEqual([conventions.exports.value, conventions.exports.matches, conventions.exports.total], ['named', 3, 4])
+  assert.deepEqual(conventions.tests, {
+    value: 'colocated',
+    confidence: 'medium',
+    matches: 2,
+    total: 2,
+    evidence: ['src/components/user-card.test.tsx', 'src/lib/utils.test.ts'],
+    suffix: '.test.tsx',
+  })
+  assert.deepEqual(conventions.pathAliases, { value: { '@/*': ['./src/*'] }, confidence: 'high', evidence: ['tsconfig.json'] })
+  assert.deepEqual(conventions.supabaseClient.files, ['src/lib/supabase/client.ts', 'src/lib/supabase/server.ts'])
+  assert.equal(conventions.supabaseClient.value, 'src/lib/supabase')
+  assert.deepEqual(detectConventions(root, walkFiles(root).files).supabaseClient, undefined)
+})
+
+test('__tests__ directories, PascalCase names and default exports are told apart', t => {
+  const root = tree(t, {
+    'tsconfig.base.json': { compilerOptions: { baseUrl: '.', paths: { '~/*': ['app/*'] } } },
+    'tsconfig.json': { extends: './tsconfig.base.json' },
+    'components/Button.tsx': DEFAULT,
+    'components/Card.tsx': DEFAULT,
+    'components/NavBar.jsx': DEFAULT,
+    'components/__tests__/Button.spec.tsx': '',
+    'components/__tests__/Card.spec.tsx': '',
+    'components/__tests__/NavBar.spec.jsx': '',
+  })
+  const conventions = detectConventions(root, walkFiles(root).files)
+  assert.equal(conventions.componentDir.value, 'components')
+  assert.deepEqual([conventions.fileNaming.value, conventions.fileNaming.confidence], ['PascalCase', 'high'])
+  assert.deepEqual([conventions.exports.value, conventions.exports.confidence], ['default', 'high'])
+  assert.deepEqual([conventions.tests.value, conventions.tests.suffix, conventions.tests.confidence], ['__tests__', '.spec.tsx', 'high'])
+  assert.deepEqual(conventions.pathAliases, { value: { '~/*': ['app/*'] }, baseUrl: '.', confidence: 'high', evidence: ['tsconfig.base.json'] })
+  assert.deepEqual(detectConventions(tree(t), []), {})
+})
+
+test('detected conventions are rendered into the context block', t => {
+  const { conventions, context } = detectProject(nextApp(t))
+  assert.ok(conventions.supabaseClient)
+  assert.match(context, new RegExp([
+    '### Conventions',
+    '',
+    '- \\*\\*Components:\\*\\* `src/components/` \\(4 of 4 component files\\)',
+    '- \\*\\*File names:\\*\\* kebab-case, e\\.g\\. `src/components/site-header/index\\.tsx`, `src/components/user-card\\.tsx`',
+    '- \\*\\*Exports:\\*\\* named exports \\(3 of 4 components\\)',
+    '- \\*\\*Tests:\\*\\* `\\*\\.test\\.tsx` files next to the code they test, e\\.g\\. `src/components/user-card\\.test\\.tsx`, `src/lib/utils\\.test\\.ts`',
+    '- \\*\\*Path aliases:\\*\\* `@/\\*` → `\\./src/\\*` \\(tsconfig\\.json\\)',
+    '- \\*\\*Supabase clients:\\*\\* `src/lib/supabase/client\\.ts`, `src/lib/supabase/server\\.ts`; import these instead of calling createClient directly',
+  ].join('\n')))
+})
@@ -0,0 +1,135 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const { spawnSync } = require('node:child_process')
+const { detectProject } = require('../scripts/detect-project')
+const { tree } = require('./helpers')
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'detect-project.js')
+
+function turborepo(t) {
+  return tree(t, {
+    'package.json': { name: 'acme', workspaces: ['apps/*', 'packages/*'], devDependencies: { turbo: '2' } },
+    'turbo.json': {},
+    'pnpm-lock.yaml': '',
+    'apps/web/package.json': { name: 'web', dependencies: { next: '15', '@supabase/supabase-js': '2' } },
+    'apps/web/next.config.ts': '',
+    'packages/ui/package.json': { name: '@acme/ui', dependencies: { react: '19' }, devDependencies: { storybook: '8' } },
+  })
+}
+
+test('a single package is detected as before', t => {
+  const root = tree(t, { 'package.json': { name: 'app', dependencies: { next: '15' } }, 'next.config.mjs': '' })
+  const result = detectProject(root)
+  assert.deepEqual(result.detected, { framework: 'nextjs' })
+  assert.equal(result.workspaces, undefined)
+  assert.match(result.context, /- \*\*Framework:\*\* Next\.js/)
+  const empty = tree(t)
+  assert.deepEqual(detectProject(empty), { error: 'No package.json found', path: empty })
+  // Not a JavaScript project is not a failure: the hook gets no context
+  const context = spawnSync(process.execPath, [SCRIPT, empty, '--context'], { encoding: 'utf8' })
+  assert.deepEqual([context.status, context.stdout, context.stderr], [0, '', ''])
+})
+
+test('each workspace of a monorepo is detected on its own', t => {
+  const root = turborepo(t)
+  const result = detectProject(root, { file: path.join(root, 'apps/web/app/page.tsx') })
+  assert.deepEqual(result.detected, { packageManager: 'pnpm', monorepo: 'turborepo' })
+  assert.deepEqual(result.workspaces.map(ws => [ws.name, ws.path, ws.detected]), [
+    ['web', 'apps/web', { framework: 'nextjs', database: 'supabase' }],
+    ['@acme/ui', 'packages/ui', { framework: 'react', tooling: 'storybook' }],
+  ])
+  assert.deepEqual(result.current, { workspace: 'web', path: 'apps/web', file: 'apps/web/app/page.tsx' })
+  assert.match(result.context, /- \*\*Monorepo:\*\* Turborepo 2 \(2 workspaces from package\.json\)/)
+  assert.match(result.context, /- \*\*@acme\/ui\*\* \(`packages\/ui`\): React 19, Storybook 8/)
+  assert.match(result.context, /`apps\/web\/app\/page\.tsx` belongs to \*\*web\*\* \(`apps\/web`\), built with Next\.js 15, Supabase 2\. /)
+})
+
+test('--workspace narrows the result and keeps the repository tools', t => {
+  const root = turborepo(t)
+  const web = detectProject(root, { workspace: 'apps/web' })
+  assert.equal(web.name, 'web')
+  assert.deepEqual(web.detected, { framework: 'nextjs', database: 'supabase', packageManager: 'pnpm', monorepo: 'turborepo' })
+  assert.match(web.context, /- \*\*Workspace:\*\* web \(`apps\/web`\) in acme/)
+  assert.match(web.context, /- \*\*Monorepo:\*\* Turborepo 2\n/)
+  assert.equal(web.versions.turbo.declared, '2')
+  assert.deepEqual(web.scan, { files: 2, truncated: false })
+
+  const result = spawnSync(process.execPath, [SCRIPT, root, '--workspace', 'nope'], { encoding: 'utf8' })
+  assert.equal(result.status, 1)
+  assert.deepEqual(JSON.parse(result.stdout).workspaces, ['web', '@acme/ui'])
+
+  const simple = spawnSync(process.execPath, [SCRIPT, '--simple', root], { encoding: 'utf8' })
+  assert.deepEqual(JSON.parse(simple.stdout).workspaces['@acme/ui'], { framework: 'react', tooling: 'storybook' })
+})
+
+test('versions, the Next.js router, server components and the Tailwind config style are reported', t => {
+  const root = tree(t, {
+    'package.json': { dependencies: { next: '^15.0.0', react: '^19.0.0' }, devDependencies: { tailwindcss: '^4.0.0' } },
+    'next.config.ts': '',
+    'node_modules/next/package.json': { version: '15.0.3' },
+    'node_modules/react/package.json': { version: '19.0.0' },
+    'app/page.tsx': 'export default function Page() {}\n',
+    'app/globals.css': '@import "tailwindcss";\n',
+    'components/counter.tsx': "/* counter */\n'use client'\n",
+  })
+  const result = detectProject(root)
+  assert.deepEqual(result.versions.next, { declared: '^15.0.0', installed: '15.0.3', source: 'node_modules' })
+  assert.deepEqual(result.features, {
+    router: 'app',
+    reactServerComponents: { enabled: true, reactMajor: 19, useClient: 1, useServer: 0 },
+    tailwind: { major: 4, config: 'css', stylesheet: 'app/globals.css' },
+  })
+  assert.match(result.context, /- \*\*Framework:\*\* Next\.js 15\.0\.3\n- \*\*Router:\*\* App Router \(`app\/`\)\n- \*\*React:\*\* 19\.0\.0, Server Components \(1 'use client', 0 'use server' files\)/)
+  assert.match(result.context, /- \*\*Styling:\*\* Tailwind CSS \^4\.0\.0, CSS-first config \(`app\/globals\.css`\)/)
+})
+
+test('a Pages Router app on Tailwind v3 is told apart', t => {
+  const root = tree(t, {
+    'package.json': { dependencies: { next: '13.4.0', react: '18.2.0', tailwindcss: '3.4.1' } },
+    'pages/index.tsx': '',
+    'tailwind.config.ts': '',
+    'styles/globals.css': '@tailwind base;\n@tailwind utilities;\n',
+  })
+  const { features, context } = detectProject(root)
+  assert.deepEqual(features, {
+    router: 'pages',
+    reactServerComponents: { enabled: false, reactMajor: 18, useClient: 0, useServer: 0 },
+    tailwind: { major: 3, config: 'js', configFile: 'tailwind.config.ts', stylesheet: 'styles/globals.css' },
+  })
+  assert.match(context, /- \*\*Router:\*\* Pages Router \(`pages\/`\)\n- \*\*React:\*\* 18\.2\.0, no Server Components/)
+  assert.match(context, /Tailwind CSS 3\.4\.1, JS config \(`tailwind\.config\.ts`\)/)
+})
+
+test('file patterns detect CSS Modules and Storybook stories, skipping ignored files', t => {
+  const root = tree(t, {
+    'package.json': { dependencies: { react: '19' } },
+    '.gitignore': 'storybook-static/\n',
+    'src/Button.module.css': '',
+    'src/Card.module.css': '',
+    'src/Button.stories.tsx': '',
+    'storybook-static/Old.stories.js': '',
+    'node_modules/lib/x.module.css': '',
+  })
+  const result = detectProject(root)
+  assert.equal(result.detected.styling, 'css-modules')
+  assert.equal(result.detected.tooling, 'storybook')
+  assert.deepEqual(result.all.styling[0].evidence, ['pattern: *.module.css (2 files: src/Button.module.css, src/Card.module.css)'])
+  assert.deepEqual(result.all.tooling[0].evidence, ['pattern: *.stories.{js,jsx,ts,tsx,mdx} (1 file: src/Button.stories.tsx)'])
+  assert.deepEqual(result.scan, { files: 5, truncated: false })
+  assert.match(result.context, /- \*\*Styling:\*\* CSS Modules\n/)
+})
+
+test('the top of a monorepo context only lists repository-wide tools', t => {
+  const root = turborepo(t)
+  fs.writeFileSync(path.join(root, 'packages/ui/Button.module.css'), '')
+  fs.writeFileSync(path.join(root, 'packages/ui/Button.stories.tsx'), '')
+  const { detected, scan, context } = detectProject(root)
+  // Workspace files count for their workspace only
+  assert.equal(detected.styling, undefined)
+  assert.deepEqual(scan, { files: 3, truncated: false })
+  const top = context.split('### Workspaces')[0]
+  assert.match(top, /- \*\*Package Manager:\*\* pnpm\n- \*\*Monorepo:\*\* Turborepo 2 \(2 workspaces from package\.json\)\n\n$/)
+  assert.match(context, /- \*\*@acme\/ui\*\* \(`packages\/ui`\): React 19, CSS Modules, Storybook 8/)
+})
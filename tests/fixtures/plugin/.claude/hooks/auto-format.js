@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+// ---
+// event: PostToolUse
+// matcher: Write|Edit
+// description: Formats edited files
+// ---
+process.exit(0)
@@ -0,0 +1,28 @@
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+
+// Fixture helpers shared by the test files. Every directory is made under the
+// OS temp dir and removed once the test that made it has finished.
+
+function tmpdir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lcc-test-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+// Objects are written as JSON; strings and buffers as they are
+function write(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  const data = typeof content === 'string' || Buffer.isBuffer(content) ? content : JSON.stringify(content, null, 2)
+  fs.writeFileSync(file, data)
+}
+
+// A temp dir holding `files`, a map of relative path to content
+function tree(t, files = {}) {
+  const root = tmpdir(t)
+  for (const [rel, content] of Object.entries(files)) write(path.join(root, rel), content)
+  return root
+}
+
+module.exports = { tmpdir, write, tree }
@@ -0,0 +1,114 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const { spawnSync } = require('node:child_process')
+const { detectProject } = require('../scripts/detect-project')
+const { loadIndicators } = require('../scripts/lib/indicators')
+const { tree } = require('./helpers')
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'detect-project.js')
+
+const BUILTINS = {
+  indicators: { database: { prisma: { displayName: 'Prisma', packages: ['prisma'], confidence: 'high' } } },
+  labels: { database: 'Database/ORM' },
+  repoWide: [],
+}
+
+test('user and project files are merged over the built-ins in that order', t => {
+  const home = tree(t, {
+    '.claude/detect-indicators.json': {
+      categories: { routing: { label: 'Routing' } },
+      indicators: {
+        routing: { 'tanstack-router': { displayName: 'TanStack Router', packages: ['@tanstack/react-router'] } },
+        database: { 'acme-orm': { displayName: 'Acme ORM', files: ['acme.config.ts'] } },
+      },
+    },
+  })
+  const project = tree(t, {
+    '.claude/detect-indicators.json': {
+      indicators: { database: { prisma: false, 'acme-orm': { displayName: 'Acme ORM (in-house)' } } },
+    },
+  })
+  const config = loadIndicators(BUILTINS, project, { homeDir: home })
+  assert.deepEqual(config.files, [
+    path.join(home, '.claude', 'detect-indicators.json'),
+    path.join(project, '.claude', 'detect-indicators.json'),
+  ])
+  assert.deepEqual(config.labels, { database: 'Database/ORM', routing: 'Routing' })
+  assert.deepEqual(config.indicators.database, {
+    'acme-orm': { confidence: 'medium', displayName: 'Acme ORM (in-house)', files: ['acme.config.ts'] },
+  })
+  assert.equal(config.indicators.routing['tanstack-router'].displayName, 'TanStack Router')
+  assert.ok(BUILTINS.indicators.database.prisma, 'built-ins are left untouched')
+})
+
+test('invalid files are rejected with every problem listed', t => {
+  const home = tree(t)
+  const project = tree(t, {
+    '.claude/detect-indicators.json': {
+      indicators: { database: { 'acme-orm': { displayName: 'Acme', file: ['acme.ts'], confidence: 'sure' } } },
+    },
+  })
+  assert.throws(() => loadIndicators(BUILTINS, project, { homeDir: home }), err => {
+    assert.match(err.message, /Invalid .*detect-indicators\.json/)
+    assert.match(err.message, /detect-indicators\.json:6:9: unknown key "file" .*did you mean "files"/)
+    assert.match(err.message, /confidence/)
+    return true
+  })
+
+  fs.writeFileSync(path.join(project, '.claude/detect-indicators.json'), JSON.stringify({
+    indicators: { routing: { wouter: { packages: ['wouter'] } }, database: { 'acme-orm': { displayName: 'Acme' } } },
+  }))
+  assert.throws(() => loadIndicators(BUILTINS, project, { homeDir: home }), err => {
+    assert.match(err.message, /new category "routing" needs a label/)
+    assert.match(err.message, /database\.acme-orm: needs at least one of files, directories/)
+    return true
+  })
+})
+
+test('custom indicators, weights and display names drive detection and the context', t => {
+  const home = tree(t)
+  const root = tree(t, {
+    'package.json': { name: 'app', dependencies: { next: '15', '@tanstack/react-router': '1.2.0', '@acme/orm': '3' } },
+    'next.config.mjs': '',
+    'prisma/schema.prisma': '',
+    '.claude/detect-indicators.json': {
+      categories: { routing: { label: 'Routing' } },
+      indicators: {
+        routing: { 'tanstack-router': { displayName: 'TanStack Router', packages: ['@tanstack/react-router'] } },
+        database: { 'acme-orm': { displayName: 'Acme ORM', packages: ['@acme/orm'], weights: { packages: 5 } } },
+        framework: { nextjs: { displayName: 'Next.js (acme fork)' } },
+      },
+    },
+  })
+  const result = detectProject(root, { homeDir: home })
+  assert.deepEqual(result.indicatorFiles, [path.join(root, '.claude', 'detect-indicators.json')])
+  assert.equal(result.detected.routing, 'tanstack-router')
+  assert.equal(result.detected.database, 'acme-orm')
+  assert.deepEqual(result.all.database.map(r => [r.name, r.score]), [['acme-orm', 5], ['prisma', 2]])
+  assert.match(result.context, /- \*\*Framework:\*\* Next\.js \(acme fork\) 15\n/)
+  assert.match(result.context, /- \*\*Database\/ORM:\*\* Acme ORM 3\n/)
+  assert.match(result.context, /- \*\*Routing:\*\* TanStack Router 1\.2\.0\n/)
+})
+
+test('the CLI reports an invalid indicators file and exits 1', t => {
+  const root = tree(t, { 'package.json': { name: 'app' }, '.claude/detect-indicators.json': '{ "indicators": ' })
+  const run = spawnSync(process.execPath, [SCRIPT, root], { encoding: 'utf8', env: { ...process.env, HOME: tree(t) } })
+  assert.equal(run.status, 1)
+  const output = JSON.parse(run.stdout)
+  assert.equal(output.path, root)
+  assert.match(output.error, /invalid JSON/)
+})
+
+test('--context reports an invalid indicators file on stderr', t => {
+  const root = tree(t, {
+    'package.json': { name: 'app' },
+    '.claude/detect-indicators.json': { indicators: { routing: { wouter: { packages: ['wouter'] } } } },
+  })
+  const run = spawnSync(process.execPath, [SCRIPT, root, '--context'], { encoding: 'utf8', env: { ...process.env, HOME: tree(t) } })
+  assert.equal(run.status, 1)
+  assert.equal(run.stdout, '')
+  assert.match(run.stderr, /Invalid .*detect-indicators\.json/)
+  assert.match(run.stderr, /new category "routing" needs a label/)
+})
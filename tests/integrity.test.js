@@ -0,0 +1,127 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const zlib = require('node:zlib')
+const { spawnSync } = require('node:child_process')
+const integrity = require('../scripts/lib/integrity')
+const { readTar, extractTarball } = require('../scripts/lib/tarball')
+const { tmpdir, write, tree } = require('./helpers')
+
+function sign(root, version = '1.0.0') {
+  write(path.join(root, integrity.CHECKSUMS_FILE), JSON.stringify(integrity.generateChecksums(root, version)))
+}
+
+// Just enough of a ustar writer to build npm-pack-shaped fixtures
+function tarHeader(name, size, type = '0', mode = 0o644) {
+  const header = Buffer.alloc(512)
+  header.write(name.slice(0, 100), 0)
+  header.write(mode.toString(8).padStart(7, '0'), 100)
+  header.write(size.toString(8).padStart(11, '0'), 124)
+  header.write(type, 156)
+  header.write('ustar\u000000', 257)
+  header.fill(' ', 148, 156)
+  let sum = 0
+  for (const byte of header) sum += byte
+  header.write(sum.toString(8).padStart(6, '0') + '\u0000 ', 148)
+  return header
+}
+function tar(entries) {
+  const blocks = []
+  for (const { name, content = '', type, mode } of entries) {
+    const data = Buffer.from(content)
+    blocks.push(tarHeader(name, data.length, type, mode), data, Buffer.alloc((512 - (data.length % 512)) % 512))
+  }
+  blocks.push(Buffer.alloc(1024))
+  return Buffer.concat(blocks)
+}
+
+const FILES = {
+  'package.json': '{"version":"1.0.0"}',
+  '.claude/commands/a.md': 'A',
+  '.claude/hooks/h.js': 'h()',
+  '.claude-plugin/plugin.json': '{}',
+}
+
+test('generateChecksums covers .claude and .claude-plugin but not itself', t => {
+  const root = tree(t, FILES)
+  sign(root)
+  const { version, algorithm, files } = integrity.readChecksums(root)
+  assert.equal(version, '1.0.0')
+  assert.equal(algorithm, 'sha256')
+  assert.deepEqual(Object.keys(files), ['.claude-plugin/plugin.json', '.claude/commands/a.md', '.claude/hooks/h.js'])
+})
+
+test('verifyPackage passes an untouched package and reports no checksums as null', t => {
+  const root = tree(t, FILES)
+  assert.deepEqual(integrity.verifyPackage(root), { checksums: null, problems: [] })
+  sign(root)
+  assert.deepEqual(integrity.verifyPackage(root, { version: '1.0.0' }).problems, [])
+})
+
+test('verifyPackage reports changed, missing and added files', t => {
+  const root = tree(t, FILES)
+  sign(root)
+  fs.writeFileSync(path.join(root, '.claude/commands/a.md'), 'tampered')
+  fs.rmSync(path.join(root, '.claude/hooks/h.js'))
+  write(path.join(root, '.claude/hooks/extra.js'), 'evil()')
+  assert.deepEqual(integrity.verifyPackage(root).problems, [
+    { file: '.claude/commands/a.md', problem: 'mismatch' },
+    { file: '.claude/hooks/h.js', problem: 'missing' },
+    { file: '.claude/hooks/extra.js', problem: 'unlisted' },
+  ])
+})
+
+test('verifyPackage rejects checksums made for another version', t => {
+  const root = tree(t, FILES)
+  sign(root, '0.9.0')
+  const [problem] = integrity.verifyPackage(root, { version: '1.0.0' }).problems
+  assert.equal(problem.file, integrity.CHECKSUMS_FILE)
+  assert.match(problem.detail, /v0\.9\.0/)
+})
+
+test('generate-checksums.js signs the package in the directory it is given, or the current one', t => {
+  const script = path.join(__dirname, '..', 'scripts', 'generate-checksums.js')
+  const root = tree(t, FILES)
+  const given = spawnSync(process.execPath, [script, root], { encoding: 'utf8' })
+  assert.equal(given.status, 0, given.stderr)
+  assert.deepEqual(integrity.verifyPackage(root, { version: '1.0.0' }).problems, [])
+  const other = tree(t, { ...FILES, 'package.json': '{"version":"2.0.0"}' })
+  assert.equal(spawnSync(process.execPath, [script], { cwd: other }).status, 0)
+  assert.equal(integrity.readChecksums(other).version, '2.0.0')
+  assert.equal(spawnSync(process.execPath, [script], { cwd: tree(t) }).status, 1)
+})
+
+test('readTar handles directories, prefixes and GNU long names', () => {
+  const long = 'package/.claude/' + 'x'.repeat(120) + '.md'
+  const entries = readTar(tar([
+    { name: 'package/', type: '5', mode: 0o755 },
+    { name: '././@LongLink', content: long, type: 'L' },
+    { name: long.slice(0, 100), content: 'long' },
+  ]))
+  assert.deepEqual(entries.map(e => [e.name, e.type]), [['package/', 'directory'], [long, 'file']])
+  assert.equal(entries[1].data.toString(), 'long')
+})
+
+test('extractTarball unpacks an npm pack tarball and returns package/', t => {
+  const dir = tmpdir(t)
+  const file = path.join(dir, 'plugin.tgz')
+  fs.writeFileSync(file, zlib.gzipSync(tar([
+    { name: 'package/package.json', content: '{"version":"1.0.0"}' },
+    { name: 'package/.claude/hooks/h.js', content: '#!/usr/bin/env node', mode: 0o755 },
+  ])))
+  const root = extractTarball(file, path.join(dir, 'out'))
+  assert.equal(root, path.join(dir, 'out', 'package'))
+  assert.equal(fs.readFileSync(path.join(root, 'package.json'), 'utf8'), '{"version":"1.0.0"}')
+  if (process.platform !== 'win32') {
+    assert.equal(fs.statSync(path.join(root, '.claude/hooks/h.js')).mode & 0o777, 0o755)
+  }
+})
+
+test('extractTarball refuses entries outside the destination', t => {
+  const dir = tmpdir(t)
+  const file = path.join(dir, 'evil.tar')
+  fs.writeFileSync(file, tar([{ name: 'package/../../escape.txt', content: 'x' }]))
+  assert.throws(() => extractTarball(file, path.join(dir, 'out')), /Unsafe path/)
+  assert.equal(fs.existsSync(path.join(dir, 'escape.txt')), false)
+})
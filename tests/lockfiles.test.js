@@ -0,0 +1,131 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const path = require('node:path')
+const { resolveVersions, majorVersion } = require('../scripts/lib/lockfiles')
+const { tree } = require('./helpers')
+
+const PKG = { dependencies: { next: '^15.0.0', '@supabase/supabase-js': '^2.45.0' }, devDependencies: { tailwindcss: '^3.4.0' } }
+function installed(root, dir = root, pkg = PKG) {
+  const versions = resolveVersions(dir, pkg, ['next', '@supabase/supabase-js', 'tailwindcss', 'vue'], { repoRoot: root })
+  return Object.fromEntries(Object.entries(versions).map(([name, v]) => [name, [v.installed, v.source]]))
+}
+
+test('node_modules wins over the lockfile, and undeclared packages are skipped', t => {
+  const root = tree(t, {
+    'node_modules/next/package.json': { version: '15.1.0' },
+    'package-lock.json': { lockfileVersion: 3, packages: { 'node_modules/next': { version: '15.0.3' }, 'node_modules/tailwindcss': { version: '3.4.1' } } },
+  })
+  assert.deepEqual(installed(root), {
+    next: ['15.1.0', 'node_modules'],
+    '@supabase/supabase-js': [null, null],
+    tailwindcss: ['3.4.1', 'package-lock.json'],
+  })
+  assert.deepEqual(resolveVersions(root, PKG, ['next']).next.declared, '^15.0.0')
+})
+
+test('package-lock.json reads workspace-local entries and lockfile v1', t => {
+  const root = tree(t, {
+    'apps/web/package.json': '{}',
+    'package-lock.json': { lockfileVersion: 3, packages: { 'apps/web/node_modules/next': { version: '14.2.5' }, 'node_modules/next': { version: '15.0.3' } } },
+  })
+  assert.deepEqual(installed(root, path.join(root, 'apps/web')).next, ['14.2.5', 'package-lock.json'])
+  const legacy = tree(t, { 'package-lock.json': { lockfileVersion: 1, dependencies: { tailwindcss: { version: '3.3.0' } } } })
+  assert.deepEqual(installed(legacy).tailwindcss, ['3.3.0', 'package-lock.json'])
+})
+
+test('pnpm-lock.yaml importers (v6+) and top-level dependencies (v5)', t => {
+  const root = tree(t, {
+    'pnpm-lock.yaml': [
+      "lockfileVersion: '9.0'",
+      '',
+      'importers:',
+      '',
+      '  .:',
+      '    devDependencies:',
+      '      tailwindcss:',
+      '        specifier: ^3.4.0',
+      '        version: 3.4.4',
+      '',
+      '  apps/web:',
+      '    dependencies:',
+      "      '@supabase/supabase-js':",
+      '        specifier: ^2.45.0',
+      '        version: 2.45.1',
+      '      next:',
+      '        specifier: ^15.0.0',
+      '        version: 15.0.3(react-dom@19.0.0(react@19.0.0))(react@19.0.0)',
+      '',
+      'packages:',
+      '',
+      '  next@15.0.3:',
+      '    resolution: {integrity: sha512-x}',
+    ].join('\n'),
+  })
+  assert.deepEqual(installed(root, path.join(root, 'apps/web')), {
+    next: ['15.0.3', 'pnpm-lock.yaml'],
+    '@supabase/supabase-js': ['2.45.1', 'pnpm-lock.yaml'],
+    tailwindcss: [null, null],
+  })
+  assert.deepEqual(installed(root).tailwindcss, ['3.4.4', 'pnpm-lock.yaml'])
+
+  const v5 = tree(t, { 'pnpm-lock.yaml': 'lockfileVersion: 5.4\n\nspecifiers:\n  next: ^13.4.0\n\ndependencies:\n  next: 13.4.19_react@18.2.0\n' })
+  assert.deepEqual(installed(v5).next, ['13.4.19', 'pnpm-lock.yaml'])
+})
+
+test('yarn.lock (classic and Berry) prefers the entry for the declared range', t => {
+  const classic = tree(t, {
+    'yarn.lock': [
+      '# yarn lockfile v1',
+      '',
+      'next@^14.0.0:',
+      '  version "14.2.5"',
+      '',
+      '"next@^15.0.0", next@^15.0.3:',
+      '  version "15.0.3"',
+      '  dependencies:',
+      '    react "^19.0.0"',
+      '',
+      '"@supabase/supabase-js@^2.45.0":',
+      '  version "2.45.4"',
+    ].join('\n'),
+  })
+  assert.deepEqual(installed(classic), {
+    next: ['15.0.3', 'yarn.lock'],
+    '@supabase/supabase-js': ['2.45.4', 'yarn.lock'],
+    tailwindcss: [null, null],
+  })
+  const berry = tree(t, { 'yarn.lock': '__metadata:\n  version: 8\n\n"tailwindcss@npm:^3.4.0":\n  version: 3.4.10\n  resolution: "tailwindcss@npm:3.4.10"\n' })
+  assert.deepEqual(installed(berry).tailwindcss, ['3.4.10', 'yarn.lock'])
+})
+
+test('bun.lock is read, and bun.lockb through its tarball URLs', t => {
+  const root = tree(t, { 'bun.lock': '{\n  "lockfileVersion": 1,\n  "packages": {\n    "next": ["next@15.0.4", "", {}, "sha512-x"],\n  },\n}\n' })
+  assert.deepEqual(installed(root).next, ['15.0.4', 'bun.lock'])
+
+  // Strings sit between binary fields; a deduplicated package has one URL per version
+  const registry = 'https://registry.npmjs.org'
+  const binary = Buffer.concat([
+    Buffer.from([0x23, 0x21, 0xff, 0x00, 0x9c]),
+    ...[
+      `${registry}/next/-/next-15.0.3.tgz`,
+      `${registry}/next/-/next-14.2.5.tgz`,
+      `${registry}/next/-/next-16.0.0-canary.1.tgz`,
+      `${registry}/@supabase/supabase-js/-/supabase-js-2.45.4.tgz`,
+      `${registry}/tailwindcss-animate/-/tailwindcss-animate-1.0.7.tgz`,
+    ].map(url => Buffer.concat([Buffer.from(url), Buffer.from([0x00, 0xfe, 0x10])])),
+  ])
+  const bun = tree(t, { 'bun.lockb': binary })
+  assert.deepEqual(installed(bun), {
+    next: ['15.0.3', 'bun.lockb'],
+    '@supabase/supabase-js': ['2.45.4', 'bun.lockb'],
+    tailwindcss: [null, null],
+  })
+  assert.deepEqual(installed(bun, bun, { dependencies: { next: 'canary' } }).next, ['16.0.0-canary.1', 'bun.lockb'])
+})
+
+test('majorVersion uses the installed version, then the declared range', () => {
+  assert.equal(majorVersion({ installed: '15.0.3', declared: '^14' }), 15)
+  assert.equal(majorVersion({ installed: null, declared: '~4.1.0' }), 4)
+  assert.equal(majorVersion({ installed: null, declared: '>=3 <4' }), 3)
+  assert.equal(majorVersion({ installed: null, declared: 'latest' }), null)
+})
@@ -7,6 +7,8 @@ test('manifest module exports required helpers', () => {
   assert.equal(typeof manifest.scanCategory, 'function')
   assert.equal(typeof manifest.scanHooks, 'function')
   assert.equal(typeof manifest.scanMonitors, 'function')
+  assert.equal(typeof manifest.readHookEntries, 'function')
+  assert.equal(typeof manifest.hookScript, 'function')
   assert.equal(typeof manifest.buildPluginJson, 'function')
   assert.equal(typeof manifest.replaceMarker, 'function')
   assert.equal(typeof manifest.renderTable, 'function')
@@ -26,7 +28,7 @@ Body content.
   assert.equal(fm.description, 'Create a new Next.js API route with validation')
 })
 
-test('parseFrontmatter handles multi-line description (block scalar) by taking first non-empty line', () => {
+test('parseFrontmatter keeps every line of a block scalar description', () => {
   const content = `---
 name: api-development
 description: |
@@ -36,14 +38,22 @@ description: |
 Body.`
   const fm = manifest.parseFrontmatter(content)
   assert.equal(fm.name, 'api-development')
-  assert.equal(fm.description, 'WHEN to auto-invoke: Creating API routes, building endpoints.')
+  assert.equal(fm.description, 'WHEN to auto-invoke: Creating API routes, building endpoints.\nWHEN NOT to invoke: Pure frontend work.\n')
+})
+
+test('parseFrontmatter reports YAML errors with the file line and column', () => {
+  const content = '---\nname: x\ndescription: Use when: building\n---\n'
+  assert.throws(() => manifest.parseFrontmatter(content), err => err.line === 3 && err.column === 22)
+  assert.throws(() => manifest.parseFrontmatter('---\n- a\n---\n'), /must be a mapping/)
 })
 
 test('parseFrontmatter throws when frontmatter block is missing', () => {
   assert.throws(() => manifest.parseFrontmatter('no frontmatter here\n'), /frontmatter/i)
 })
 
+const fs = require('node:fs')
 const path = require('node:path')
+const { tmpdir } = require('./helpers')
 
 test('scanCategory walks subdirectories and parses each .md', () => {
   const fixtures = path.join(__dirname, 'fixtures/manifest/commands')
@@ -70,6 +80,50 @@ test('scanHooks lists .js hook scripts but skips .json config', () => {
   assert.equal(hooks.length, 1)
   assert.equal(hooks[0].name, 'auto-format')
   assert.match(hooks[0].path.replace(/\\/g, '/'), /hooks\/auto-format\.js$/)
+  assert.deepEqual(hooks[0].events, ['PostToolUse'])
+  assert.equal(hooks[0].matcher, 'Write|Edit')
+  assert.equal(hooks[0].description, 'Formats edited files with Prettier')
+})
+
+test('parseHookHeader reads the YAML comment block after the shebang', () => {
+  const script = '#!/usr/bin/env node\n\n// ---\n// event: [Stop, SubagentStop]\n// description: >\n//   Notifies when\n//   work ends\n// ---\nmain()\n'
+  assert.deepEqual(manifest.parseHookHeader(script), { event: ['Stop', 'SubagentStop'], description: 'Notifies when work ends\n' })
+  assert.equal(manifest.parseHookHeader('#!/usr/bin/env node\nmain()\n'), null)
+  assert.throws(() => manifest.parseHookHeader('// ---\n// event: Stop\nmain()\n// ---\n'), err => err.line === 3)
+  assert.throws(() => manifest.parseHookHeader('// ---\n// a: 1\n// a: 2\n// ---\n'), err => err.line === 3 && /Duplicate key/.test(err.message))
+})
+
+test('scanHooks lists scripts without a header instead of failing', t => {
+  const dir = tmpdir(t)
+  fs.writeFileSync(path.join(dir, 'legacy.js'), '#!/usr/bin/env node\nmain()\n')
+  fs.writeFileSync(path.join(dir, 'notify.js'), '// ---\n// event: Stop\n// description: Notifies\n// ---\n')
+  const hooks = manifest.scanHooks(dir)
+  assert.deepEqual(hooks.map(h => [h.name, h.header, h.events]), [['legacy', false, []], ['notify', true, ['Stop']]])
+  const config = { hooks: [{ event: 'Stop', command: 'node hooks/notify.js' }, { event: 'PreToolUse', command: 'node hooks/legacy.js' }] }
+  assert.deepEqual(manifest.checkHookWiring(hooks, config, 'hooks.json'), [])
+})
+
+test('checkHookWiring reports scripts and hooks.json entries that disagree', () => {
+  const hook = (name, events, matcher) => ({ name, path: `/r/.claude/hooks/${name}.js`, events, matcher, description: '' })
+  const hooks = [hook('auto-format', ['PostToolUse'], 'Write|Edit'), hook('notify', ['Stop', 'SubagentStop']), hook('status-line', [])]
+  const config = {
+    hooks: [
+      { event: 'PostToolUse', matcher: 'Write', command: 'node ./.claude/hooks/auto-format.js' },
+      { event: 'Stop', command: 'node ./.claude/hooks/notify.js' },
+      { event: 'SessionStart', command: 'node ./.claude/hooks/status-line.js' },
+      { event: 'Stop', command: 'node ./.claude/hooks/gone.js' },
+      { event: 'Stop', command: 'echo done' },
+    ],
+  }
+  assert.deepEqual(manifest.checkHookWiring(hooks, config, '/r/.claude/hooks/hooks.json').map(p => [path.basename(p.file), p.message]), [
+    ['hooks.json', 'PostToolUse runs hooks/auto-format.js with matcher "Write", but its header declares "Write|Edit"'],
+    ['notify.js', 'declares SubagentStop, but hooks.json does not run hooks/notify.js for it'],
+    ['hooks.json', 'SessionStart runs hooks/status-line.js, whose header declares no event'],
+    ['hooks.json', 'Stop runs hooks/gone.js, which does not exist'],
+  ])
+  const fixtures = path.join(__dirname, 'fixtures/manifest/hooks')
+  const fixtureConfig = JSON.parse(fs.readFileSync(path.join(fixtures, 'hooks.json'), 'utf8'))
+  assert.deepEqual(manifest.checkHookWiring(manifest.scanHooks(fixtures), fixtureConfig, 'hooks.json'), [])
 })
 
 test('scanMonitors parses monitors.json, drops nameless entries, sorts by name', () => {
@@ -78,6 +132,7 @@ test('scanMonitors parses monitors.json, drops nameless entries, sorts by name',
   assert.equal(monitors.length, 2)
   assert.deepEqual(monitors.map(mon => mon.name), ['alpha-watch', 'zeta-watch'])
   assert.equal(monitors[0].description, 'First alphabetically')
+  assert.equal(monitors[0].command, 'echo a')
 })
 
 test('scanMonitors returns [] when monitors.json is absent', () => {
@@ -138,6 +193,24 @@ test('renderTable escapes pipe characters in descriptions', () => {
   assert.match(out, /a \\\| b/)
 })
 
+test('renderTable keeps multi-line descriptions on one row', () => {
+  const out = manifest.renderTable([{ name: 'x', description: 'WHEN: a.\nWHEN NOT: b.\n' }])
+  assert.equal(out.split('\n')[2], '| `x` | WHEN: a. WHEN NOT: b. |')
+})
+
+test('readHookEntries flattens both the plugin list and the Claude Code event map', () => {
+  const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/manifest/hooks/hooks.json'), 'utf8'))
+  assert.deepEqual(manifest.readHookEntries(fixture).map(h => h.command), ['node ./.claude/hooks/auto-format.js'])
+  const nested = { hooks: { Stop: [{ matcher: '', hooks: [{ type: 'command', command: 'node x.js' }] }] } }
+  assert.deepEqual(manifest.readHookEntries(nested), [{ event: 'Stop', matcher: '', command: 'node x.js' }])
+})
+
+test('hookScript finds the script a hook command runs', () => {
+  assert.equal(manifest.hookScript('node ./.claude/hooks/auto-format.js'), 'hooks/auto-format.js')
+  assert.equal(manifest.hookScript('node "${CLAUDE_PLUGIN_ROOT}/hooks/status-line.js" --json'), 'hooks/status-line.js')
+  assert.equal(manifest.hookScript('echo done'), null)
+})
+
 test('buildPluginJson assembles a manifest with arrays and preserves mcpServers', () => {
   const inputs = {
     base: {
@@ -156,6 +229,12 @@ test('buildPluginJson assembles a manifest with arrays and preserves mcpServers'
     skills: [
       { name: 'api-development', description: 'API patterns', path: '/abs/.claude/skills/api-development.md' },
     ],
+    hooks: [
+      { name: 'auto-format', events: ['PostToolUse'], matcher: 'Write|Edit', description: 'Formats', path: '/abs/.claude/hooks/auto-format.js' },
+      { name: 'status-line', events: [], description: 'Status line', path: '/abs/.claude/hooks/status-line.js' },
+      { name: 'legacy', header: false, events: [], description: '', path: '/abs/.claude/hooks/legacy.js' },
+    ],
+    monitors: [{ name: 'next-dev', command: 'npm run dev', description: 'Dev errors' }],
     repoRoot: '/abs',
   }
   const out = manifest.buildPluginJson(inputs)
@@ -167,10 +246,56 @@ test('buildPluginJson assembles a manifest with arrays and preserves mcpServers'
   assert.equal(out.commands[0].description, 'Create API')
   assert.equal(out.agents[0].name, 'code-reviewer')
   assert.equal(out.skills[0].name, 'api-development')
+  assert.deepEqual(out.hookScripts, [
+    { name: 'auto-format', path: '.claude/hooks/auto-format.js', events: ['PostToolUse'], matcher: 'Write|Edit', description: 'Formats' },
+    { name: 'status-line', path: '.claude/hooks/status-line.js', events: [], description: 'Status line' },
+    { name: 'legacy', path: '.claude/hooks/legacy.js', description: '' },
+  ])
+  assert.deepEqual(out.monitorCommands, [{ name: 'next-dev', command: 'npm run dev', description: 'Dev errors' }])
+  // Claude Code's own fields for hook and monitor configs stay untouched
+  assert.equal(out.hooks, undefined)
+  assert.equal(out.monitors, undefined)
   assert.deepEqual(out.mcpServers, { context7: { command: 'npx', args: [] } })
   assert.deepEqual(out.profiles, { minimal: '.claude/profiles/mcp-minimal.json' })
 })
 
+test('buildMarketplaceJson refreshes counts, version, description and tags of this plugin only', () => {
+  const marketplace = {
+    name: 'lorenzos-claude-code',
+    plugins: [
+      { name: 'lorenzos-claude-code', version: '1.0.0', description: '9 commands, 1 skill. Curated.', features: { commands: 9 }, highlights: ['Kept'], source: './', tags: ['minimal', 'nextjs'] },
+      { name: 'other-plugin', version: '0.1.0' },
+    ],
+  }
+  const plugin = {
+    name: 'lorenzos-claude-code',
+    version: '4.2.0',
+    description: 'Scaffolds Next.js code.',
+    author: { name: 'Lorenzo' },
+    npm: '@gr8monk3ys/claude-code-plugin',
+    keywords: ['claude-code', 'ai', 'nextjs', 'supabase', 'hooks'],
+  }
+  const counts = { commands: 17, agents: 1, skills: 4, hooks: 14, monitors: 2, mcpServers: 4 }
+  const out = manifest.buildMarketplaceJson({ marketplace, plugin, counts })
+  assert.deepEqual(out.plugins[0], {
+    author: { name: 'Lorenzo' },
+    description: '17 commands, 1 agent, 4 skills, 14 hooks, 2 monitors. Curated.',
+    features: { agents: 1, commands: 17, hooks: 14, mcpServers: 4, monitors: 2, skills: 4 },
+    highlights: ['Kept'],
+    name: 'lorenzos-claude-code',
+    npm: '@gr8monk3ys/claude-code-plugin',
+    source: './',
+    tags: ['minimal', 'nextjs', 'supabase'],
+    version: '4.2.0',
+  })
+  assert.deepEqual(Object.keys(out.plugins[0]), Object.keys(out.plugins[0]).sort())
+  assert.deepEqual(out.plugins[1], { name: 'other-plugin', version: '0.1.0' })
+
+  const fresh = manifest.buildMarketplaceJson({ marketplace: { plugins: [{ name: 'lorenzos-claude-code' }] }, plugin, counts })
+  assert.equal(fresh.plugins[0].description, '17 commands, 1 agent, 4 skills, 14 hooks, 2 monitors. Scaffolds Next.js code.')
+  assert.deepEqual(fresh.plugins[0].tags, ['nextjs', 'supabase'])
+})
+
 const { execFileSync } = require('node:child_process')
 
 test('sync-manifest --check passes against committed state', () => {
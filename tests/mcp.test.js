@@ -0,0 +1,60 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const mcp = require('../scripts/lib/mcp')
+const { tmpdir } = require('./helpers')
+
+const plugin = {
+  mcpServers: {
+    context7: { command: 'npx', args: ['-y', '@upstash/context7-mcp'], description: 'Docs' },
+    github: { command: 'npx', args: ['-y', '@modelcontextprotocol/server-github'] },
+    custom: { command: 'my-server', args: ['--token', '${CUSTOM_TOKEN}'], env: { API_URL: '${CUSTOM_URL}' } },
+  },
+}
+const requirements = { github: { requiredEnv: ['GITHUB_PERSONAL_ACCESS_TOKEN'] } }
+
+function binDir(t, ...names) {
+  const dir = tmpdir(t)
+  for (const name of names) {
+    fs.writeFileSync(path.join(dir, name), '#!/bin/sh\n')
+    fs.chmodSync(path.join(dir, name), 0o755)
+  }
+  return dir
+}
+
+test('declaredServers lists servers with their required env vars', () => {
+  const servers = mcp.declaredServers(plugin, requirements)
+  assert.deepEqual(servers.map(s => s.name), ['context7', 'github', 'custom'])
+  assert.deepEqual(servers[1].requiredEnv, ['GITHUB_PERSONAL_ACCESS_TOKEN'])
+  assert.deepEqual(servers[2].requiredEnv, ['CUSTOM_URL', 'CUSTOM_TOKEN'])
+  assert.deepEqual(mcp.declaredServers(plugin)[1].requiredEnv, [])
+})
+
+test('readRequirements reads mcp-requirements.json next to plugin.json', t => {
+  const dir = tmpdir(t)
+  assert.deepEqual(mcp.readRequirements(dir), {})
+  fs.writeFileSync(path.join(dir, mcp.REQUIREMENTS_FILE), JSON.stringify(requirements))
+  assert.deepEqual(mcp.readRequirements(dir), requirements)
+})
+
+test('findExecutable searches PATH without running anything', { skip: process.platform === 'win32' }, t => {
+  const dir = binDir(t, 'npx')
+  fs.writeFileSync(path.join(dir, 'not-exec'), '')
+  const env = { PATH: [path.join(dir, 'missing'), dir].join(path.delimiter) }
+  assert.equal(mcp.findExecutable('npx', { env }), path.join(dir, 'npx'))
+  assert.equal(mcp.findExecutable('not-exec', { env }), null)
+  assert.equal(mcp.findExecutable('my-server', { env }), null)
+})
+
+test('checkServer reports unresolvable commands and missing env vars', { skip: process.platform === 'win32' }, t => {
+  const [context7, github, custom] = mcp.declaredServers(plugin, requirements)
+  const env = { PATH: binDir(t, 'npx') }
+  assert.equal(mcp.checkServer(context7, { env }).ok, true)
+  assert.deepEqual(mcp.checkServer(github, { env }).missingEnv, ['GITHUB_PERSONAL_ACCESS_TOKEN'])
+  const fromSettings = mcp.checkServer(github, { env, settings: { env: { GITHUB_PERSONAL_ACCESS_TOKEN: 't' } } })
+  assert.equal(fromSettings.ok, true)
+  const result = mcp.checkServer(custom, { env })
+  assert.equal(result.resolved, null)
+  assert.equal(result.ok, false)
+})
@@ -0,0 +1,87 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { merge3, matchLines, splitLines, unifiedDiff } = require('../scripts/lib/merge')
+
+const base = 'a\nb\nc\nd\ne\n'
+
+test('splitLines keeps line endings so joining is lossless', () => {
+  assert.deepEqual(splitLines('a\nb'), ['a\n', 'b'])
+  assert.deepEqual(splitLines(''), [])
+  assert.equal(splitLines('x\r\ny\n').join(''), 'x\r\ny\n')
+})
+
+test('matchLines maps each line to its LCS partner or -1', () => {
+  assert.deepEqual(matchLines(['a', 'b', 'c'], ['a', 'x', 'c']), [0, -1, 2])
+  assert.deepEqual(matchLines(['a', 'b'], ['b', 'a', 'b']), [1, 2])
+})
+
+test('merge3 combines non-overlapping edits from both sides', () => {
+  const out = merge3(base, 'a\nB\nc\nd\ne\n', 'a\nb\nc\nD\ne\nf\n')
+  assert.deepEqual(out, { text: 'a\nB\nc\nD\ne\nf\n', conflicts: 0 })
+})
+
+test('merge3 takes an identical change once', () => {
+  const out = merge3(base, 'a\nX\nc\nd\ne\n', 'a\nX\nc\nd\ne\n')
+  assert.deepEqual(out, { text: 'a\nX\nc\nd\ne\n', conflicts: 0 })
+})
+
+test('merge3 returns ours when theirs is unchanged and vice versa', () => {
+  assert.equal(merge3(base, 'a\nc\n', base).text, 'a\nc\n')
+  assert.equal(merge3(base, base, 'z\n').text, 'z\n')
+})
+
+test('merge3 writes labelled conflict markers for overlapping edits', () => {
+  const out = merge3(base, 'a\nX\nc\nd\ne\n', 'a\nY\nc\nd\ne\n', { ours: 'local', base: 'installed v1', theirs: 'v2' })
+  assert.equal(out.conflicts, 1)
+  assert.equal(out.text, [
+    'a',
+    '<<<<<<< local',
+    'X',
+    '||||||| installed v1',
+    'b',
+    '=======',
+    'Y',
+    '>>>>>>> v2',
+    'c',
+    'd',
+    'e',
+    '',
+  ].join('\n'))
+})
+
+test('merge3 keeps markers on their own line when a side lacks a final newline', () => {
+  const out = merge3('x\n', 'y', 'z')
+  assert.equal(out.conflicts, 1)
+  assert.match(out.text, /^<<<<<<< ours\ny\n\|\|\|\|\|\|\| base\nx\n=======\nz\n>>>>>>> theirs\n$/)
+})
+
+test('unifiedDiff matches diff -u output with context and hunk headers', () => {
+  const before = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\nk\n'
+  const after = 'a\nB\nc\nd\ne\nf\ng\nh\ni\nj\nk\nl\n'
+  assert.equal(unifiedDiff(before, after, { fromFile: 'a/x.md', toFile: 'b/x.md' }), [
+    '--- a/x.md',
+    '+++ b/x.md',
+    '@@ -1,5 +1,5 @@',
+    ' a',
+    '-b',
+    '+B',
+    ' c',
+    ' d',
+    ' e',
+    '@@ -9,3 +9,4 @@',
+    ' i',
+    ' j',
+    ' k',
+    '+l',
+    '',
+  ].join('\n'))
+})
+
+test('unifiedDiff is empty for identical input and handles new files', () => {
+  assert.equal(unifiedDiff('same\n', 'same\n'), '')
+  assert.match(unifiedDiff('', 'new\n'), /@@ -0,0 \+1,1 @@\n\+new\n$/)
+})
+
+test('unifiedDiff flags a missing newline at end of file', () => {
+  assert.match(unifiedDiff('a\n', 'a\nb'), /\+b\n\\ No newline at end of file\n$/)
+})
@@ -0,0 +1,168 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const ownership = require('../scripts/lib/ownership')
+const { tmpdir, write } = require('./helpers')
+
+function release(root, files) {
+  for (const [rel, content] of Object.entries(files)) write(path.join(root, rel), content)
+  return ownership.collectSourceFiles([{ dest: 'commands', src: path.join(root, 'commands') }])
+}
+function install(claudeDir, sourceFiles, previous, version = '1.0.0') {
+  const actions = ownership.planInstall({ claudeDir, sourceFiles, previous, version })
+  const manifest = ownership.applyInstall({ claudeDir, actions, previous, version })
+  return { actions, manifest }
+}
+function typeOf(actions, key) {
+  return actions.find(a => a.key === key).type
+}
+
+test('collectSourceFiles keys files by destination with forward slashes', t => {
+  const src = tmpdir(t)
+  const files = release(src, { 'commands/api/api-new.md': 'a' })
+  assert.deepEqual([...files.keys()], ['commands/api/api-new.md'])
+  assert.equal(files.get('commands/api/api-new.md'), path.join(src, 'commands', 'api', 'api-new.md'))
+})
+
+test('fresh install records sha256 and version for every copied file', t => {
+  const claudeDir = tmpdir(t)
+  const files = release(tmpdir(t), { 'commands/a.md': 'A', 'commands/ui/b.md': 'B' })
+  const { actions, manifest } = install(claudeDir, files, null)
+  assert.deepEqual(actions.map(a => a.type), ['create', 'create'])
+  assert.equal(fs.readFileSync(path.join(claudeDir, 'commands/ui/b.md'), 'utf8'), 'B')
+  assert.deepEqual(manifest.files['commands/a.md'], { sha256: ownership.sha256('A'), version: '1.0.0' })
+})
+
+test('fresh install leaves a colliding user-authored file untouched', t => {
+  const claudeDir = tmpdir(t)
+  write(path.join(claudeDir, 'commands/a.md'), 'mine')
+  const files = release(tmpdir(t), { 'commands/a.md': 'A' })
+  const { actions, manifest } = install(claudeDir, files, null)
+  assert.equal(typeOf(actions, 'commands/a.md'), 'skip')
+  assert.equal(fs.readFileSync(path.join(claudeDir, 'commands/a.md'), 'utf8'), 'mine')
+  assert.equal(manifest.files['commands/a.md'], undefined)
+})
+
+test('update replaces unmodified owned files and side-files edits without a merge base', t => {
+  const claudeDir = tmpdir(t)
+  const v1 = release(tmpdir(t), { 'commands/a.md': 'A1', 'commands/b.md': 'B1' })
+  const first = install(claudeDir, v1, null).manifest
+  write(path.join(claudeDir, 'commands/b.md'), 'B1 + my tweak')
+
+  const v2 = release(tmpdir(t), { 'commands/a.md': 'A2', 'commands/b.md': 'B2' })
+  const { actions, manifest } = install(claudeDir, v2, first, '2.0.0')
+  assert.equal(typeOf(actions, 'commands/a.md'), 'update')
+  assert.equal(typeOf(actions, 'commands/b.md'), 'conflict')
+  assert.equal(fs.readFileSync(path.join(claudeDir, 'commands/a.md'), 'utf8'), 'A2')
+  assert.equal(fs.readFileSync(path.join(claudeDir, 'commands/b.md'), 'utf8'), 'B1 + my tweak')
+  assert.equal(fs.readFileSync(path.join(claudeDir, 'commands/b.md.new'), 'utf8'), 'B2')
+  assert.equal(manifest.files['commands/a.md'].version, '2.0.0')
+  assert.deepEqual(manifest.files['commands/b.md'], first.files['commands/b.md'])
+})
+
+test('update removes owned files dropped from the release unless edited', t => {
+  const claudeDir = tmpdir(t)
+  const v1 = release(tmpdir(t), { 'commands/old/gone.md': 'G', 'commands/edited.md': 'E', 'commands/a.md': 'A' })
+  const first = install(claudeDir, v1, null).manifest
+  write(path.join(claudeDir, 'commands/edited.md'), 'E edited')
+
+  const v2 = release(tmpdir(t), { 'commands/a.md': 'A' })
+  const { actions, manifest } = install(claudeDir, v2, first, '2.0.0')
+  assert.equal(typeOf(actions, 'commands/old/gone.md'), 'remove')
+  assert.equal(typeOf(actions, 'commands/edited.md'), 'orphan')
+  assert.equal(fs.existsSync(path.join(claudeDir, 'commands/old')), false)
+  assert.equal(fs.existsSync(path.join(claudeDir, 'commands/edited.md')), true)
+  assert.deepEqual(Object.keys(manifest.files), ['commands/a.md'])
+})
+
+test('legacy installs without a manifest are overwritten like before', t => {
+  const claudeDir = tmpdir(t)
+  write(path.join(claudeDir, 'commands/a.md'), 'old release copy')
+  const files = release(tmpdir(t), { 'commands/a.md': 'A' })
+  const legacy = ownership.legacyManifest(files, '2.0.0')
+  const { actions } = install(claudeDir, files, legacy, '2.0.0')
+  assert.equal(typeOf(actions, 'commands/a.md'), 'update')
+  assert.equal(fs.readFileSync(path.join(claudeDir, 'commands/a.md'), 'utf8'), 'A')
+})
+
+test('uninstall removes owned files, keeps edited ones and never touches user files', t => {
+  const claudeDir = tmpdir(t)
+  const files = release(tmpdir(t), { 'commands/a.md': 'A', 'commands/b.md': 'B' })
+  const manifest = install(claudeDir, files, null).manifest
+  write(path.join(claudeDir, 'commands/b.md'), 'B edited')
+  write(path.join(claudeDir, 'commands/personal.md'), 'my own command')
+
+  const actions = ownership.planUninstall({ claudeDir, previous: manifest })
+  ownership.applyUninstall({ claudeDir, actions })
+  assert.deepEqual(ownership.summarize(actions), { remove: 1, keep: 1 })
+  assert.equal(fs.existsSync(path.join(claudeDir, 'commands/a.md')), false)
+  assert.equal(fs.readFileSync(path.join(claudeDir, 'commands/b.md'), 'utf8'), 'B edited')
+  assert.equal(fs.readFileSync(path.join(claudeDir, 'commands/personal.md'), 'utf8'), 'my own command')
+})
+
+test('readManifest returns null when absent and round-trips writeManifest', t => {
+  const dir = tmpdir(t)
+  assert.equal(ownership.readManifest(dir), null)
+  ownership.writeManifest(dir, { version: '1.0.0', files: {} })
+  assert.deepEqual(ownership.readManifest(dir), { version: '1.0.0', files: {} })
+})
+
+function installWithPristine(claudeDir, sourceFiles, previous, version) {
+  const pristineDir = path.join(claudeDir, 'plugins', 'p', ownership.PRISTINE_DIR)
+  const actions = ownership.planInstall({ claudeDir, sourceFiles, previous, version, pristineDir })
+  const manifest = ownership.applyInstall({ claudeDir, actions, previous, version, pristineDir })
+  return { actions, manifest }
+}
+
+test('update three-way merges local edits with release changes', t => {
+  const claudeDir = tmpdir(t)
+  const v1 = release(tmpdir(t), { 'commands/a.md': '# A\n\nintro\n\nbody\n' })
+  const first = installWithPristine(claudeDir, v1, null, '1.0.0').manifest
+  write(path.join(claudeDir, 'commands/a.md'), '# A (team)\n\nintro\n\nbody\n')
+
+  const v2 = release(tmpdir(t), { 'commands/a.md': '# A\n\nintro\n\nbody v2\n' })
+  const { actions, manifest } = installWithPristine(claudeDir, v2, first, '2.0.0')
+  assert.equal(typeOf(actions, 'commands/a.md'), 'merge')
+  assert.equal(fs.readFileSync(path.join(claudeDir, 'commands/a.md'), 'utf8'), '# A (team)\n\nintro\n\nbody v2\n')
+  assert.equal(manifest.files['commands/a.md'].version, '2.0.0')
+})
+
+test('update keeps local edits when the release did not change the file', t => {
+  const claudeDir = tmpdir(t)
+  const v1 = release(tmpdir(t), { 'commands/a.md': 'A\n' })
+  const first = installWithPristine(claudeDir, v1, null, '1.0.0').manifest
+  write(path.join(claudeDir, 'commands/a.md'), 'A mine\n')
+  const { actions } = installWithPristine(claudeDir, v1, first, '2.0.0')
+  assert.equal(typeOf(actions, 'commands/a.md'), 'keep')
+})
+
+test('overlapping markdown edits get conflict markers in place', t => {
+  const claudeDir = tmpdir(t)
+  const v1 = release(tmpdir(t), { 'commands/a.md': 'line\n' })
+  const first = installWithPristine(claudeDir, v1, null, '1.0.0').manifest
+  write(path.join(claudeDir, 'commands/a.md'), 'mine\n')
+  const v2 = release(tmpdir(t), { 'commands/a.md': 'theirs\n' })
+  const { actions } = installWithPristine(claudeDir, v2, first, '2.0.0')
+  assert.equal(typeOf(actions, 'commands/a.md'), 'conflict')
+  const text = fs.readFileSync(path.join(claudeDir, 'commands/a.md'), 'utf8')
+  assert.match(text, /<<<<<<< local\nmine\n\|\|\|\|\|\|\| installed v1\.0\.0\nline\n=======\ntheirs\n>>>>>>> v2\.0\.0\n/)
+})
+
+test('overlapping JSON edits keep the local file and write .orig/.new side files', t => {
+  const claudeDir = tmpdir(t)
+  const src = tmpdir(t)
+  write(path.join(src, 'hooks/hooks.json'), '{"v":1}\n')
+  const files = () => ownership.collectSourceFiles([{ dest: 'hooks', src: path.join(src, 'hooks') }])
+  const first = installWithPristine(claudeDir, files(), null, '1.0.0').manifest
+  const dest = path.join(claudeDir, 'hooks/hooks.json')
+  write(dest, '{"v":"mine"}\n')
+  write(path.join(src, 'hooks/hooks.json'), '{"v":2}\n')
+
+  const { actions, manifest } = installWithPristine(claudeDir, files(), first, '2.0.0')
+  assert.equal(typeOf(actions, 'hooks/hooks.json'), 'conflict')
+  assert.equal(fs.readFileSync(dest, 'utf8'), '{"v":"mine"}\n')
+  assert.equal(fs.readFileSync(dest + '.new', 'utf8'), '{"v":2}\n')
+  assert.equal(fs.readFileSync(dest + '.orig', 'utf8'), '{"v":1}\n')
+  assert.deepEqual(manifest.files['hooks/hooks.json'], first.files['hooks/hooks.json'])
+})
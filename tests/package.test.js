@@ -0,0 +1,84 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const { spawnSync } = require('node:child_process')
+const lcc = require('..')
+const { tmpdir } = require('./helpers')
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'plugin')
+const SYNC = path.join(__dirname, '..', 'scripts', 'sync-manifest.js')
+
+function copyFixture(t) {
+  const root = path.join(tmpdir(t), 'plugin')
+  fs.cpSync(FIXTURE, root, { recursive: true })
+  return root
+}
+function sync(...args) {
+  return spawnSync(process.execPath, [SYNC, ...args], { encoding: 'utf8' })
+}
+
+test('the package entry point exports the validators and sync', () => {
+  assert.equal(require.resolve('..'), path.join(__dirname, '..', 'index.js'))
+  for (const name of ['validate', 'syncManifest', 'loadConfig', 'runValidation', 'validateTree']) {
+    assert.equal(typeof lcc[name], 'function', name)
+  }
+  assert.deepEqual(Object.keys(lcc.reporters).sort(), ['FORMATS', 'formatJson', 'formatJunit', 'formatSarif'])
+  const { name } = require('../package.json')
+  const walk = path.join(__dirname, '..', 'scripts', 'lib', 'walk.js')
+  assert.equal(require.resolve(`${name}/scripts/lib/walk`), walk)
+  assert.equal(require.resolve(`${name}/scripts/lib/walk.js`), walk)
+})
+
+test('syncManifest defaults to the current directory', t => {
+  const root = copyFixture(t)
+  const cwd = process.cwd()
+  process.chdir(root)
+  t.after(() => process.chdir(cwd))
+  assert.deepEqual(lcc.syncManifest({ check: true }).results.filter(r => r.drift), [])
+  assert.ok(Array.isArray(lcc.syncManifest().results))
+})
+
+test('the fixture plugin validates cleanly and is in sync', () => {
+  const result = lcc.validate(FIXTURE)
+  assert.deepEqual(result.findings, [])
+  assert.deepEqual(result.files.map(f => path.relative(FIXTURE, f)), [
+    path.join('.claude-plugin', 'plugin.json'),
+    path.join('.claude', 'commands', 'api', 'api-new.md'),
+    path.join('.claude', 'agents', 'code-reviewer.md'),
+    path.join('.claude', 'skills', 'api-development', 'SKILL.md'),
+    path.join('.claude', 'hooks', 'auto-format.js'),
+  ])
+  const { results } = lcc.syncManifest({ root: path.relative(process.cwd(), FIXTURE), check: true })
+  assert.deepEqual(results.filter(r => r.drift), [])
+})
+
+test('sync-manifest.js --root checks and regenerates another plugin', t => {
+  const root = copyFixture(t)
+  assert.equal(sync('--check', '--root', root).status, 0)
+
+  fs.writeFileSync(path.join(root, '.claude/commands/api/api-list.md'),
+    '---\ndescription: List API routes\n---\n\n# API routes\n\nList every route under app/api with its methods and handler file.\n')
+  const drift = sync('--check', `--root=${root}`)
+  assert.equal(drift.status, 1)
+  assert.match(drift.stderr, /Manifest drift detected\. Run `node scripts\/sync-manifest\.js --root .*plugin` to update/)
+  assert.match(drift.stderr, /- \.claude-plugin[/\\]plugin\.json/)
+  assert.match(drift.stderr, /- README\.md/)
+
+  const write = sync('--root', root)
+  assert.equal(write.status, 0)
+  assert.match(write.stdout, /updated README\.md/)
+  assert.match(fs.readFileSync(path.join(root, 'README.md'), 'utf8'), /\*\*2 commands\*\*/)
+  assert.equal(lcc.validate(root).counts.error, 0)
+
+  assert.equal(sync('--nope').status, 1)
+})
+
+test('lcc validate finds errors in a broken copy', t => {
+  const root = copyFixture(t)
+  fs.writeFileSync(path.join(root, '.claude/hooks/hooks.json'), '{ "hooks": [] }\n')
+  const { findings } = lcc.validate(root)
+  assert.deepEqual(findings.map(f => [f.rule, path.relative(root, f.file)]), [
+    ['hook-wiring', path.join('.claude', 'hooks', 'auto-format.js')],
+  ])
+})
@@ -0,0 +1,66 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const path = require('node:path')
+const reporters = require('../scripts/lib/reporters')
+
+const root = path.join(path.sep, 'work', 'plugin')
+const file = rel => path.join(root, ...rel.split('/'))
+const result = {
+  root,
+  config: null,
+  rules: [
+    { id: 'schema', description: 'Frontmatter matches schemas/', severity: 'error' },
+    { id: 'placeholders', description: 'No TODO markers', severity: 'warning' },
+  ],
+  files: [file('.claude-plugin/plugin.json'), file('.claude/commands/a.md'), file('.claude/commands/b.md')],
+  findings: [
+    { rule: 'schema', severity: 'error', file: file('.claude/commands/a.md'), line: 3, column: 8, message: 'model must be one of <opus> & "sonnet"' },
+    ...Array.from({ length: 12 }, (_, i) => ({
+      rule: 'placeholders', severity: 'warning', file: file('.claude/commands/a.md'), line: 10 + i, column: 1, message: 'contains TODO',
+    })),
+    { rule: 'plugin-json', severity: 'info', file: file('.claude-plugin/plugin.json'), message: 'note' },
+  ],
+  counts: { error: 1, warning: 12, info: 1 },
+}
+
+test('sarif lists every finding with rule ids and line regions', () => {
+  const sarif = JSON.parse(reporters.formatSarif(result, { version: '1.2.3' }))
+  const run = sarif.runs[0]
+  assert.equal(sarif.version, '2.1.0')
+  assert.equal(run.tool.driver.version, '1.2.3')
+  assert.deepEqual(run.tool.driver.rules.map(r => [r.id, r.defaultConfiguration.level]), [['schema', 'error'], ['placeholders', 'warning']])
+  assert.equal(run.results.length, 14)
+  assert.deepEqual(run.results[0], {
+    ruleId: 'schema',
+    ruleIndex: 0,
+    level: 'error',
+    message: { text: 'model must be one of <opus> & "sonnet"' },
+    locations: [{
+      physicalLocation: {
+        artifactLocation: { uri: '.claude/commands/a.md', uriBaseId: '%SRCROOT%' },
+        region: { startLine: 3, startColumn: 8 },
+      },
+    }],
+  })
+  const last = run.results[13]
+  assert.equal(last.level, 'note')
+  assert.equal(last.ruleIndex, undefined)
+  assert.equal(last.locations[0].physicalLocation.region, undefined)
+})
+
+test('junit has a suite per file, failures for errors and a passing case for clean files', () => {
+  const xml = reporters.formatJunit(result)
+  assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<testsuites name="lcc validate" tests="15" failures="1" errors="0">/)
+  assert.match(xml, /<testsuite name="\.claude\/commands\/a\.md" tests="13" failures="1"/)
+  assert.match(xml, /<testcase classname="\.claude\/commands\/b\.md" name="valid" file="\.claude\/commands\/b\.md"\/>/)
+  assert.match(xml, /name="schema:3:8" file="\.claude\/commands\/a\.md" line="3">\n {6}<failure type="schema" message="model must be one of &lt;opus&gt; &amp; &quot;sonnet&quot;">/)
+  assert.equal(xml.match(/<system-out>/g).length, 13)
+  assert.match(xml, /line="21">/)
+})
+
+test('json makes finding paths relative to the root', () => {
+  const doc = JSON.parse(reporters.formatJson(result))
+  assert.equal(doc.findings.length, 14)
+  assert.equal(doc.findings[0].file, '.claude/commands/a.md')
+  assert.deepEqual(doc.counts, result.counts)
+})
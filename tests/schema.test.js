@@ -0,0 +1,106 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const schema = require('../scripts/lib/schema')
+const { tmpdir, write } = require('./helpers')
+
+function frontmatter(name, lines) {
+  return schema.validateFrontmatter('/c/x.md', `---\n${lines.join('\n')}\n---\nBody\n`, name)
+}
+function found(issues) {
+  return issues.map(i => [i.line, i.path])
+}
+
+test('valid frontmatter for each component type passes', () => {
+  assert.deepEqual(frontmatter('command', [
+    'description: Create a new API route',
+    'argument-hint: "[route-path] [method]"',
+    'allowed-tools: Read, Write, Bash(git diff:*), mcp__supabase__query',
+    'model: claude-opus-4-8',
+  ]), [])
+  assert.deepEqual(frontmatter('agent', [
+    'name: code-reviewer',
+    'description: Review changes',
+    'tools: [Read, Grep]',
+    'model: inherit',
+    'color: blue',
+  ]), [])
+  assert.deepEqual(frontmatter('skill', ['name: api-development', 'description: |', '  WHEN: APIs.']), [])
+})
+
+test('every violation is reported with its line', () => {
+  const issues = frontmatter('command', [
+    'name: API_new',
+    'description:',
+    'model: claude-opus-4-5',
+    'allowed-tools: Read, write',
+    'desription: typo',
+  ])
+  assert.deepEqual(found(issues), [[2, '/name'], [3, '/description'], [4, '/model'], [5, '/allowed-tools'], [6, '/desription']])
+  assert.match(issues[2].message, /^model must be one of claude-opus-4-8, .* \(got "claude-opus-4-5"\)$/)
+  assert.match(issues[3].message, /^allowed-tools must list tool names/)
+  assert.equal(issues[4].message, 'unknown key "desription" (did you mean "description"?)')
+})
+
+test('nested values point at their own line and column', () => {
+  const issues = frontmatter('agent', ['name: a', 'description: x', 'tools:', '  - Read', '  - bash', 'color: teal'])
+  assert.deepEqual(issues.map(i => [i.line, i.column, i.message.split(' must')[0]]), [[6, 3, 'tools[1]'], [7, 1, 'color']])
+})
+
+test('missing required keys and YAML errors are issues, not exceptions', () => {
+  assert.deepEqual(frontmatter('skill', ['description: x']).map(i => [i.line, i.message]), [[2, 'missing required key "name"']])
+  assert.deepEqual(frontmatter('skill', []).map(i => i.message), ['missing required key "name"', 'missing required key "description"'])
+  assert.deepEqual(found(frontmatter('agent', ['name: a', 'description: "open'])), [[3, '']])
+  assert.match(schema.validateFrontmatter('/c/x.md', 'no frontmatter', 'command')[0].message, /missing YAML frontmatter/)
+})
+
+test('hooks.json accepts both layouts and locates problems in the JSON', () => {
+  const flat = { hooks: [{ event: 'PostToolUse', matcher: 'Edit', command: 'node ./.claude/hooks/auto-format.js' }] }
+  const nested = { hooks: { Stop: [{ hooks: [{ type: 'command', command: 'node notify.js', timeout: 30 }] }] } }
+  assert.deepEqual(schema.validateJsonFile('/h.json', JSON.stringify(flat), 'hooks'), [])
+  assert.deepEqual(schema.validateJsonFile('/h.json', JSON.stringify(nested), 'hooks'), [])
+
+  const bad = JSON.stringify({ hooks: [{ event: 'PostTool', command: 'x' }, { event: 'Stop' }] }, null, 2)
+  const issues = schema.validateJsonFile('/h.json', bad, 'hooks')
+  assert.deepEqual(issues.map(i => [i.line, i.message.split(' ')[0]]), [[4, 'hooks[0].event'], [7, 'hooks[1]']])
+  assert.match(issues[1].message, /is missing required key "command"/)
+  assert.equal(schema.validateJsonFile('/h.json', '{\n  "hooks": [\n', 'hooks')[0].line, 3)
+})
+
+test('validateTree checks components, skill entry points and config files', t => {
+  const root = tmpdir(t)
+  write(path.join(root, 'commands/api/api-new.md'), '---\ndescription: ok\nmodel: gpt-4\n---\n')
+  write(path.join(root, 'agents/reviewer.md'), '---\nname: reviewer\ndescription: ok\n---\n')
+  write(path.join(root, 'skills/api/SKILL.md'), '---\nname: api\n---\n')
+  write(path.join(root, 'skills/api/reference.md'), '# Not a skill\n')
+  write(path.join(root, 'monitors/monitors.json'), '[{ "name": "tsc" }]')
+  const issues = schema.validateTree(root)
+  assert.deepEqual(issues.map(i => [path.relative(root, i.file), i.line]), [
+    ['commands/api/api-new.md', 3],
+    ['skills/api/SKILL.md', 2],
+    ['monitors/monitors.json', 1],
+  ])
+  assert.equal(schema.formatIssue(issues[0], root), 'commands/api/api-new.md:3:1: ' + issues[0].message)
+})
+
+test('hook script headers are validated like frontmatter', () => {
+  const script = body => `#!/usr/bin/env node\n// ---\n${body.map(l => `// ${l}`).join('\n')}\n// ---\n`
+  assert.deepEqual(schema.validateHookHeader('/h.js', script(['event: PostToolUse', 'matcher: Write', 'description: Formats'])), [])
+  assert.deepEqual(schema.validateHookHeader('/h.js', script(['description: Status line'])), [])
+  const issues = schema.validateHookHeader('/h.js', script(['event: [Stop, OnSave]', 'descripton: x']))
+  assert.deepEqual(issues.map(i => [i.line, i.path]), [[3, ''], [3, '/event/1'], [4, '/descripton']])
+  assert.deepEqual(schema.validateHookHeader('/h.js', 'main()\n'), [])
+  assert.deepEqual(schema.validateHookHeader('/h.js', '// ---\nmain()\n').map(i => [i.line, i.path]), [[1, '']])
+})
+
+test('the shipped schemas resolve and accept the test fixtures', () => {
+  for (const file of fs.readdirSync(schema.SCHEMA_DIR)) assert.equal(schema.loadSchema(file).$id, file)
+  const fixtures = path.join(__dirname, 'fixtures/manifest')
+  const hooks = path.join(fixtures, 'hooks/hooks.json')
+  assert.deepEqual(schema.validateJsonFile(hooks, fs.readFileSync(hooks, 'utf8'), 'hooks'), [])
+  const script = path.join(fixtures, 'hooks/auto-format.js')
+  assert.deepEqual(schema.validateHookHeader(script, fs.readFileSync(script, 'utf8')), [])
+  const skill = path.join(fixtures, 'skills/api-development.md')
+  assert.deepEqual(schema.validateFrontmatter(skill, fs.readFileSync(skill, 'utf8'), 'skill'), [])
+})
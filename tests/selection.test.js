@@ -0,0 +1,68 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const selection = require('../scripts/lib/selection')
+
+const files = new Map([
+  'commands/api/api-new.md',
+  'commands/workflow/babysit.md',
+  'agents/code-reviewer.md',
+  'hooks/hooks.json',
+  'hooks/status-line.js',
+  'plugins/lorenzos-claude-code/plugin.json',
+].map(key => [key, `/src/${key}`]))
+
+const profiles = {
+  minimal: { mcp: '.claude/profiles/mcp-minimal.json', only: ['commands'], exclude: ['commands/workflow'] },
+  legacy: '.claude/profiles/mcp-legacy.json',
+}
+
+function keys(sel) {
+  return [...selection.filterSourceFiles(files, sel, { always: ['plugins/lorenzos-claude-code'] }).files.keys()]
+}
+
+test('parseList splits comma lists and trims slashes', () => {
+  assert.deepEqual(selection.parseList(' commands/, hooks/status-line.js ,,'), ['commands', 'hooks/status-line.js'])
+  assert.deepEqual(selection.parseList(undefined), [])
+})
+
+test('matches a component, a directory or a single file but not a name prefix', () => {
+  assert.equal(selection.matches('commands/api/api-new.md', 'commands'), true)
+  assert.equal(selection.matches('commands/api/api-new.md', 'commands/api'), true)
+  assert.equal(selection.matches('hooks/status-line.js', 'hooks/status-line.js'), true)
+  assert.equal(selection.matches('commands-extra/a.md', 'commands'), false)
+})
+
+test('no flags means no selection and every file', () => {
+  assert.equal(selection.resolveSelection({ profiles }), null)
+  assert.equal(keys(null).length, files.size)
+})
+
+test('--only and --exclude filter files but always keep the plugin manifest', () => {
+  assert.deepEqual(keys(selection.resolveSelection({ only: 'commands,agents', exclude: 'commands/workflow/babysit.md' })), [
+    'commands/api/api-new.md',
+    'agents/code-reviewer.md',
+    'plugins/lorenzos-claude-code/plugin.json',
+  ])
+  assert.equal(keys(selection.resolveSelection({ exclude: 'hooks/status-line.js' })).includes('hooks/status-line.js'), false)
+})
+
+test('profiles bundle a selection that --only replaces and --exclude extends', () => {
+  const sel = selection.resolveSelection({ profiles, profile: 'minimal' })
+  assert.deepEqual(sel, { profile: 'minimal', only: ['commands'], exclude: ['commands/workflow'] })
+  assert.deepEqual(keys(sel), ['commands/api/api-new.md', 'plugins/lorenzos-claude-code/plugin.json'])
+
+  const widened = selection.resolveSelection({ profiles, profile: 'minimal', only: 'commands,hooks', exclude: 'hooks/status-line.js' })
+  assert.deepEqual(widened.only, ['commands', 'hooks'])
+  assert.deepEqual(widened.exclude, ['commands/workflow', 'hooks/status-line.js'])
+})
+
+test('string profiles are MCP-only and select everything', () => {
+  assert.deepEqual(selection.readProfile(profiles, 'legacy'), { mcp: '.claude/profiles/mcp-legacy.json', only: [], exclude: [] })
+  assert.equal(keys(selection.resolveSelection({ profiles, profile: 'legacy' })).length, files.size)
+})
+
+test('unknown profiles throw and unmatched patterns are reported', () => {
+  assert.throws(() => selection.resolveSelection({ profiles, profile: 'full' }), /Unknown profile "full" \(available: minimal, legacy\)/)
+  const { unmatched } = selection.filterSourceFiles(files, selection.resolveSelection({ exclude: 'hooks/statusline.js' }))
+  assert.deepEqual(unmatched, ['hooks/statusline.js'])
+})
@@ -0,0 +1,37 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const { CLAUDE_DIR, findProjectRoot, resolveClaudeDir } = require('../scripts/lib/utils')
+const { tmpdir } = require('./helpers')
+
+function tmpRepo(t) {
+  const root = tmpdir(t)
+  fs.mkdirSync(path.join(root, '.git'))
+  fs.mkdirSync(path.join(root, 'src', 'app'), { recursive: true })
+  return root
+}
+
+test('findProjectRoot walks up to the directory holding .git', t => {
+  const root = tmpRepo(t)
+  assert.equal(findProjectRoot(path.join(root, 'src', 'app')), root)
+})
+
+test('resolveClaudeDir defaults to the user directory', () => {
+  assert.equal(resolveClaudeDir({}), CLAUDE_DIR)
+  assert.equal(resolveClaudeDir({ scope: 'user' }), CLAUDE_DIR)
+})
+
+test('project scope resolves to <repo>/.claude from anywhere inside the repo', t => {
+  const root = tmpRepo(t)
+  const cwd = path.join(root, 'src', 'app')
+  assert.equal(resolveClaudeDir({ scope: 'project', cwd }), path.join(root, '.claude'))
+  assert.equal(resolveClaudeDir({ project: true, cwd }), path.join(root, '.claude'))
+  assert.equal(resolveClaudeDir({ project: '../..', cwd }), path.join(root, '.claude'))
+})
+
+test('target overrides scope, and bad input throws', () => {
+  assert.equal(resolveClaudeDir({ scope: 'project', target: 'x/.claude', cwd: '/tmp' }), path.join('/tmp', 'x', '.claude'))
+  assert.throws(() => resolveClaudeDir({ scope: 'global' }), /Invalid scope/)
+  assert.throws(() => resolveClaudeDir({ target: true }), /requires a path/)
+})
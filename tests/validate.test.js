@@ -0,0 +1,185 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const { spawnSync } = require('node:child_process')
+const validate = require('../scripts/lib/validate')
+const { write, tree } = require('./helpers')
+
+const CLI = path.join(__dirname, '..', 'bin', 'cli.js')
+
+function findings(root, config) {
+  return validate.runValidation(root, config).findings.map(f => [f.rule, f.severity, path.relative(root, f.file), f.line])
+}
+
+const PLUGIN_JSON = JSON.stringify({ name: 'p', version: '1.0.0', description: 'P', author: { name: 'A' } })
+const COMMAND = '---\ndescription: Create a route\nargument-hint: "[path]"\n---\n\n# Route\n\nCreate the route at $ARGUMENTS with a handler, input validation,\nerror responses in the project shape and a test.\n'
+
+test('a clean plugin has no findings', t => {
+  const root = tree(t, {
+    '.claude-plugin/plugin.json': PLUGIN_JSON,
+    'commands/route.md': COMMAND,
+  })
+  assert.deepEqual(findings(root), [])
+})
+
+test('rules report with file, line and their default severity', t => {
+  const root = tree(t, {
+    '.claude-plugin/plugin.json': PLUGIN_JSON,
+    'commands/route.md': COMMAND.replace('$ARGUMENTS', 'the given path'),
+    'commands/bad.md': '---\nmodel: gpt-4\n---\n# Bad\nTODO\n',
+    'skills/empty/notes.md': 'x',
+  })
+  assert.deepEqual(findings(root), [
+    ['schema', 'error', 'commands/bad.md', 2],
+    ['schema', 'error', 'commands/bad.md', 2],
+    ['command-content', 'warning', 'commands/bad.md', 4],
+    ['placeholders', 'warning', 'commands/bad.md', 5],
+    ['command-arguments', 'warning', 'commands/route.md', 3],
+    ['skill-entry', 'error', 'skills/empty', undefined],
+  ])
+})
+
+test('MCP env requirements live in mcp-requirements.json, not plugin.json', t => {
+  const mcpServers = { github: { command: 'npx', args: [], requiredEnv: ['TOKEN'] } }
+  const root = tree(t, {
+    '.claude-plugin/plugin.json': JSON.stringify({ ...JSON.parse(PLUGIN_JSON), mcpServers }),
+    '.claude-plugin/mcp-requirements.json': JSON.stringify({ github: { requiredEnv: 'TOKEN' }, gitlab: { requiredEnv: [] } }),
+  })
+  assert.deepEqual(validate.runValidation(root).findings.map(f => [path.relative(root, f.file), f.message]), [
+    ['.claude-plugin/mcp-requirements.json', '"github" requiredEnv must be an array of variable names'],
+    ['.claude-plugin/mcp-requirements.json', '"gitlab" is not an MCP server plugin.json declares'],
+    ['.claude-plugin/plugin.json', 'MCP server "github" has requiredEnv, which is not a plugin.json field; list it in mcp-requirements.json'],
+  ])
+})
+
+test('hook scripts without a header are a warning, not a failure', t => {
+  const root = tree(t, {
+    '.claude-plugin/plugin.json': PLUGIN_JSON,
+    'hooks/legacy.js': '#!/usr/bin/env node\nmain()\n',
+    'hooks/notify.js': '// ---\n// event: Stop\n// description: Notifies when work ends\n// ---\n',
+    'hooks/hooks.json': JSON.stringify({ hooks: [{ event: 'Stop', command: 'node hooks/notify.js' }, { event: 'Stop', command: 'node hooks/legacy.js' }] }),
+  })
+  assert.deepEqual(findings(root), [['hook-header', 'warning', 'hooks/legacy.js', 1]])
+})
+
+test('config files set severities, disable rules and pass options', t => {
+  const root = tree(t, {
+    '.claude-plugin/plugin.json': PLUGIN_JSON,
+    'commands/bad.md': '---\ndescription: Bad\n---\n# Bad\nFIXME and TODO\n',
+    'lcc.config.json': JSON.stringify({
+      validate: { rules: { 'command-content': 'off', placeholders: ['error', { markers: ['FIXME'] }] } },
+    }),
+  })
+  const config = validate.loadConfig(root)
+  assert.equal(config.file, path.join(root, 'lcc.config.json'))
+  assert.deepEqual(findings(root, config), [['placeholders', 'error', 'commands/bad.md', 5]])
+  assert.equal(validate.runValidation(root, config).rules.some(r => r.id === 'command-content'), false)
+})
+
+test('plugins add rules, and bad config is rejected with the file name', t => {
+  const root = tree(t, {
+    '.claude-plugin/plugin.json': PLUGIN_JSON,
+    'commands/route.md': COMMAND,
+    'tools/rules.js': `module.exports = [{
+      id: 'has-license',
+      check(plugin, report) { if (!plugin.plugin.license) report({ message: 'no license' }) },
+    }]`,
+    'lcc.config.json': JSON.stringify({ validate: { plugins: ['./tools/rules.js'] } }),
+  })
+  assert.throws(() => validate.loadConfig(root), /loads rule plugins \(\.\/tools\/rules\.js\), which run as code: pass --allow-plugins/)
+  assert.deepEqual(findings(root, validate.loadConfig(root, undefined, { allowPlugins: true })), [['has-license', 'warning', '.claude-plugin/plugin.json', undefined]])
+  const refused = spawnSync(process.execPath, [CLI, 'validate', root], { encoding: 'utf8' })
+  assert.equal(refused.status, 2)
+  assert.match(refused.stdout + refused.stderr, /--allow-plugins/)
+  assert.equal(spawnSync(process.execPath, [CLI, 'validate', root, '--allow-plugins'], { encoding: 'utf8' }).status, 0)
+
+  const bad = (section, pattern) => {
+    write(path.join(root, 'bad.json'), JSON.stringify({ validate: section }))
+    assert.throws(() => validate.loadConfig(root, path.join(root, 'bad.json'), { allowPlugins: true }), pattern)
+  }
+  bad({ rules: { nope: 'off' } }, /bad\.json: unknown rule "nope"/)
+  bad({ rules: { schema: 'fatal' } }, /rule "schema" must be off, error, warning, info/)
+  bad({ plugins: ['./tools/rules.js', './tools/rules.js'] }, /redefines rule "has-license"/)
+})
+
+test('this repository\'s lcc.config.json adds its own rules', t => {
+  const agent = name => `---\nname: ${name}\ndescription: The ${name} agent\n---\n\n# ${name}\n\n## Triggers\n\n- x\n\n## Will:\n\n## Will Not:\n`
+  const root = tree(t, {
+    '.claude-plugin/plugin.json': PLUGIN_JSON,
+    '.claude/commands/api/api-new.md': COMMAND.replace('argument-hint', 'model: sonnet\nargument-hint') + '\n```ts\n```\n',
+    '.claude/agents/code-reviewer.md': agent('code-reviewer'),
+  })
+  fs.symlinkSync('.claude/commands', path.join(root, 'commands'))
+  fs.symlinkSync('.claude/gone', path.join(root, 'agents'))
+  const config = validate.loadConfig(root, path.join(__dirname, '..', validate.CONFIG_FILE), { allowPlugins: true })
+  const result = validate.runValidation(root, config)
+  const repoRules = ['root-symlinks', 'agent-roster', 'api-command-model', 'agent-structure', 'agent-names', 'command-examples']
+  assert.deepEqual(result.findings.filter(f => repoRules.includes(f.rule)).map(f => [f.rule, path.relative(root, f.file), f.message]), [
+    ['root-symlinks', '', 'no skills directory or symlink at the root'],
+    ['agent-roster', '.claude/agents', 'architecture agents missing: backend-architect, frontend-architect'],
+    ['agent-roster', '.claude/agents', 'quality agents missing: build-error-resolver, test-strategist'],
+    ['agent-roster', '.claude/agents', 'operations agents missing: devops-engineer'],
+    ['api-command-model', '.claude/commands/api/api-new.md', 'model is sonnet; API commands should use claude-opus-4-8 or opus'],
+    ['root-symlinks', 'agents', 'agents links to .claude/gone, not .claude/agents'],
+  ])
+})
+
+test('lcc validate exits 1 on errors and reports every finding with --json', t => {
+  const root = tree(t, {
+    '.claude-plugin/plugin.json': '{ "name": "p", ',
+    'commands/route.md': COMMAND,
+  })
+  const result = spawnSync(process.execPath, [CLI, 'validate', root, '--json'], { encoding: 'utf8' })
+  assert.equal(result.status, 1)
+  const doc = JSON.parse(result.stdout)
+  assert.deepEqual(doc.counts, { error: 1, warning: 0, info: 0 })
+  assert.deepEqual(doc.findings.map(f => [f.rule, f.file]), [['plugin-json', '.claude-plugin/plugin.json']])
+
+  const missing = spawnSync(process.execPath, [CLI, 'validate', path.join(root, 'nope')], { encoding: 'utf8' })
+  assert.equal(missing.status, 4)
+})
+
+test('links and cross-references resolve against the components on disk', t => {
+  const root = tree(t, {
+    '.claude-plugin/plugin.json': PLUGIN_JSON,
+    'docs/guide.md': '# Guide\n\n## Setup steps\n',
+    'commands/route.md': COMMAND + [
+      '',
+      '## Usage',
+      '',
+      'Read [the guide](../docs/guide.md#setup-steps), [usage](#usage) and [gone](../docs/old.md).',
+      'Then run `/route`, /rout or /help, ask the `reviewer` agent, and use `superpowers:brainstorming`,',
+      '`p:route`, `p:nope`, `acme:lint` or `node:fs`.',
+      '',
+      '```bash',
+      'ls /tmp && echo [x](nowhere.md)',
+      '```',
+    ].join('\n'),
+  })
+  const line = n => 10 + n
+  assert.deepEqual(findings(root).map(f => f.slice(0, 2).concat(f[3])), [
+    ['links', 'error', line(3)],
+    ['references', 'warning', line(4)],
+    ['references', 'warning', line(4)],
+    ['references', 'warning', line(5)],
+    ['references', 'warning', line(5)],
+  ])
+  const messages = validate.runValidation(root).findings.map(f => f.message)
+  assert.deepEqual(messages, [
+    'links to ../docs/old.md, which does not exist',
+    'mentions /rout, which is not a command (did you mean "/route"?)',
+    'refers to agent "reviewer", which does not exist',
+    'refers to p:nope: no skill or command "nope" in this plugin',
+    'refers to acme:lint: "acme" is neither this plugin nor an allowed external plugin',
+  ])
+
+  write(path.join(root, 'lcc.config.json'), JSON.stringify({
+    validate: { rules: { references: ['error', { external: ['acme', 'superpowers:writing-plans'], ignore: ['reviewer'] }] } },
+  }))
+  assert.deepEqual(validate.runValidation(root, validate.loadConfig(root)).findings.filter(f => f.rule === 'references').map(f => f.message), [
+    'mentions /rout, which is not a command (did you mean "/route"?)',
+    'refers to superpowers:brainstorming: not in the allowed superpowers references',
+    'refers to p:nope: no skill or command "nope" in this plugin',
+  ])
+})
@@ -0,0 +1,55 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const versions = require('../scripts/lib/versions')
+const { tmpdir, write } = require('./helpers')
+
+function pkg(t, version, files = {}) {
+  const root = tmpdir(t)
+  write(path.join(root, 'package.json'), JSON.stringify({ version }))
+  for (const [rel, content] of Object.entries(files)) write(path.join(root, rel), content)
+  return root
+}
+
+test('compareVersions follows semver precedence', () => {
+  const sorted = ['1.10.0', '1.2.0', '1.2.0-rc.1', '0.9.9', '1.2.0-beta'].sort(versions.compareVersions)
+  assert.deepEqual(sorted, ['0.9.9', '1.2.0-beta', '1.2.0-rc.1', '1.2.0', '1.10.0'])
+})
+
+test('storeSnapshot copies the package layout and replaces an older copy', t => {
+  const pluginDir = tmpdir(t)
+  const source = pkg(t, '1.0.0', {
+    '.claude/commands/a.md': 'A',
+    '.claude-plugin/plugin.json': '{}',
+    'README.md': 'not copied',
+  })
+  const dir = versions.storeSnapshot(pluginDir, source, '1.0.0')
+  assert.equal(dir, path.join(pluginDir, 'versions', '1.0.0'))
+  assert.equal(fs.readFileSync(path.join(dir, '.claude/commands/a.md'), 'utf8'), 'A')
+  assert.equal(fs.existsSync(path.join(dir, 'README.md')), false)
+
+  fs.rmSync(path.join(source, '.claude/commands/a.md'))
+  write(path.join(source, '.claude/commands/b.md'), 'B')
+  versions.storeSnapshot(pluginDir, source, '1.0.0')
+  assert.deepEqual(fs.readdirSync(path.join(dir, '.claude/commands')), ['b.md'])
+  assert.equal(versions.storeSnapshot(pluginDir, dir, '1.0.0'), dir)
+  assert.deepEqual(fs.readdirSync(path.join(pluginDir, 'versions')), ['1.0.0'])
+})
+
+test('listSnapshots is newest first and skips incomplete or foreign entries', t => {
+  const pluginDir = tmpdir(t)
+  versions.storeSnapshot(pluginDir, pkg(t, '1.2.0'), '1.2.0')
+  versions.storeSnapshot(pluginDir, pkg(t, '1.10.0'), '1.10.0')
+  fs.mkdirSync(path.join(pluginDir, 'versions', '2.0.0'))
+  fs.mkdirSync(path.join(pluginDir, 'versions', 'notes'))
+  assert.deepEqual(versions.listSnapshots(pluginDir).map(s => s.version), ['1.10.0', '1.2.0'])
+  assert.equal(versions.findSnapshot(pluginDir, '1.2.0').path, path.join(pluginDir, 'versions', '1.2.0'))
+  assert.equal(versions.findSnapshot(pluginDir, '2.0.0'), null)
+  assert.deepEqual(versions.listSnapshots(tmpdir(t)), [])
+})
+
+test('version names that are not versions are rejected', () => {
+  assert.throws(() => versions.snapshotDir('/p', '../../etc'), /Invalid version/)
+  assert.throws(() => versions.findSnapshot('/p', 'latest'), /Invalid version/)
+})
@@ -0,0 +1,58 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const path = require('node:path')
+const { globToRegExp, createBudget, walkFiles, matchFiles } = require('../scripts/lib/walk')
+const { tree } = require('./helpers')
+
+test('globs match names at any depth unless they contain a slash', () => {
+  const cases = [
+    ['*.module.css', 'src/ui/Button.module.css', true],
+    ['*.module.css', 'Button.module.scss', false],
+    ['*.stories.{ts,tsx,mdx}', 'src/Button.stories.tsx', true],
+    ['e2e/**/*.spec.ts', 'e2e/login.spec.ts', true],
+    ['e2e/**/*.spec.ts', 'e2e/auth/login.spec.ts', true],
+    ['e2e/**/*.spec.ts', 'src/e2e/login.spec.ts', false],
+    ['/dist', 'dist', true],
+    ['/dist', 'packages/a/dist', false],
+    ['src/*', 'src/a/b.ts', false],
+    ['*.[jt]s', 'index.ts', true],
+    ['file?.md', 'file1.md', true],
+  ]
+  for (const [glob, file, expected] of cases) assert.equal(globToRegExp(glob).test(file), expected, `${glob} ~ ${file}`)
+})
+
+test('the walk honours .gitignore files, nested ones and negations, and the default ignores', t => {
+  const root = tree(t, {
+    '.gitignore': '# build output\n*.log\n/generated/\n!keep.log\n',
+    'app.log': '',
+    'keep.log': '',
+    'generated/types.ts': '',
+    'src/generated/types.ts': '',
+    'src/.gitignore': 'fixtures/\n',
+    'src/fixtures/a.ts': '',
+    'src/index.ts': '',
+    'node_modules/react/index.js': '',
+    '.next/server/page.js': '',
+  })
+  assert.deepEqual(walkFiles(root).files, ['.gitignore', 'keep.log', 'src/.gitignore', 'src/generated/types.ts', 'src/index.ts'])
+  assert.ok(walkFiles(root, { gitignore: false }).files.includes('src/fixtures/a.ts'))
+  assert.ok(walkFiles(root, { ignore: [] }).files.includes('node_modules/react/index.js'))
+})
+
+test('the walk stops at the file limit or the time budget', t => {
+  const root = tree(t, { 'a.ts': '', 'b.ts': '', 'c.ts': '', 'lib/d.ts': '' })
+  assert.deepEqual(walkFiles(root, { maxFiles: 2 }), { files: ['a.ts', 'b.ts'], truncated: true, reason: 'files' })
+  assert.deepEqual(walkFiles(root, { timeBudget: -1 }), { files: ['a.ts', 'b.ts', 'c.ts'], truncated: true, reason: 'time' })
+  assert.deepEqual(walkFiles(root), { files: ['a.ts', 'b.ts', 'c.ts', 'lib/d.ts'], truncated: false })
+  assert.deepEqual(matchFiles(walkFiles(root).files, 'lib/*.ts'), ['lib/d.ts'])
+})
+
+test('walks sharing a budget stop together, and excluded directories are skipped', t => {
+  const root = tree(t, { 'a.ts': '', 'apps/web/b.ts': '', 'apps/web/c.ts': '', 'apps/docs/d.ts': '' })
+  assert.deepEqual(walkFiles(root, { exclude: ['apps/web/'] }).files, ['a.ts', 'apps/docs/d.ts'])
+  const budget = createBudget({ maxFiles: 3 })
+  assert.deepEqual(walkFiles(root, { exclude: ['apps'], budget }), { files: ['a.ts'], truncated: false })
+  assert.deepEqual(walkFiles(path.join(root, 'apps/web'), { budget }), { files: ['b.ts', 'c.ts'], truncated: false })
+  assert.deepEqual(walkFiles(path.join(root, 'apps/docs'), { budget }), { files: [], truncated: true, reason: 'files' })
+  assert.equal(budget.files, 0)
+})
@@ -0,0 +1,53 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const workspaces = require('../scripts/lib/workspaces')
+const { tree } = require('./helpers')
+
+function list(root) {
+  return workspaces.listWorkspaces(root).map(ws => [ws.name, ws.path, ws.source])
+}
+
+test('package.json workspaces expand globs and honour negations', t => {
+  const root = tree(t, {
+    'package.json': { workspaces: { packages: ['apps/*', 'packages/**', '!packages/internal/*'] } },
+    'apps/web/package.json': { name: 'web' },
+    'apps/notes/README.md': 'no package.json',
+    'packages/ui/package.json': { name: '@acme/ui' },
+    'packages/tools/cli/package.json': {},
+    'packages/internal/secret/package.json': { name: 'secret' },
+    'packages/ui/node_modules/dep/package.json': { name: 'dep' },
+  })
+  assert.deepEqual(list(root), [
+    ['web', 'apps/web', 'package.json'],
+    ['packages/tools/cli', 'packages/tools/cli', 'package.json'],
+    ['@acme/ui', 'packages/ui', 'package.json'],
+  ])
+})
+
+test('pnpm-workspace.yaml, lerna, nx and turbo layouts are recognised', t => {
+  assert.deepEqual(list(tree(t, {
+    'package.json': {},
+    'pnpm-workspace.yaml': "packages:\n  - 'apps/*'\n  - tools/cli\n",
+    'apps/site/package.json': { name: 'site' },
+    'tools/cli/package.json': { name: 'cli' },
+  })), [['site', 'apps/site', 'pnpm-workspace.yaml'], ['cli', 'tools/cli', 'pnpm-workspace.yaml']])
+
+  assert.deepEqual(list(tree(t, {
+    'nx.json': { workspaceLayout: { appsDir: 'projects' } },
+    'projects/shop/project.json': { name: 'shop' },
+    'libs/data/project.json': { name: 'data' },
+  })), [['data', 'libs/data', 'nx.json'], ['shop', 'projects/shop', 'nx.json']])
+
+  assert.deepEqual(list(tree(t, { 'turbo.json': {}, 'apps/web/package.json': { name: 'web' } })), [['web', 'apps/web', 'turbo.json']])
+  assert.deepEqual(list(tree(t, { 'lerna.json': {}, 'packages/a/package.json': { name: 'a' } })), [['a', 'packages/a', 'lerna.json']])
+  assert.deepEqual(list(tree(t, { 'package.json': {} })), [])
+})
+
+test('workspaceFor picks the deepest workspace containing a file', () => {
+  const root = '/repo'
+  const all = [{ name: 'web', path: 'apps/web' }, { name: 'web-e2e', path: 'apps/web/e2e' }, { name: 'api', path: 'apps/api' }]
+  assert.equal(workspaces.workspaceFor(all, root, 'apps/web/app/page.tsx').name, 'web')
+  assert.equal(workspaces.workspaceFor(all, root, '/repo/apps/web/e2e/home.spec.ts').name, 'web-e2e')
+  assert.equal(workspaces.workspaceFor(all, root, 'apps/website/index.ts'), null)
+  assert.equal(workspaces.workspaceFor(all, root, '/elsewhere/apps/web/x.ts'), null)
+})
@@ -0,0 +1,142 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { parseYaml } = require('../scripts/lib/yaml')
+
+function errorAt(text, line, column, pattern) {
+  assert.throws(() => parseYaml(text), err => {
+    assert.equal(err.line, line)
+    assert.equal(err.column, column)
+    if (pattern) assert.match(err.message, pattern)
+    return true
+  })
+}
+
+test('scalars resolve with the core schema', () => {
+  assert.deepEqual(parseYaml([
+    'name: api-new',
+    'count: 3',
+    'ratio: 1.5',
+    'hex: 0x1F',
+    'on: true',
+    'off: False',
+    'none: ~',
+    'empty:',
+    'quoted: "3"',
+    'version: 4.1.0',
+  ].join('\n')), {
+    name: 'api-new',
+    count: 3,
+    ratio: 1.5,
+    hex: 31,
+    on: true,
+    off: false,
+    none: null,
+    empty: null,
+    quoted: '3',
+    version: '4.1.0',
+  })
+})
+
+test('comments are ignored, but # inside a word is not a comment', () => {
+  assert.deepEqual(parseYaml('# heading\na: b # note\nc: issue#12\n  # trailing'), { a: 'b', c: 'issue#12' })
+})
+
+test('literal block scalars keep line breaks and honour chomping', () => {
+  const doc = 'clip: |\n  one\n  two\n\nstrip: |-\n  one\n\nkeep: |+\n  one\n\nlast: x'
+  assert.deepEqual(parseYaml(doc), { clip: 'one\ntwo\n', strip: 'one', keep: 'one\n\n', last: 'x' })
+})
+
+test('folded block scalars join lines but keep blank and more-indented lines', () => {
+  const doc = 'text: >\n  WHEN to auto-invoke: APIs,\n  routes.\n\n  WHEN NOT: UI.\n    - literal line\n  end\n'
+  assert.equal(parseYaml(doc).text, 'WHEN to auto-invoke: APIs, routes.\nWHEN NOT: UI.\n  - literal line\nend\n')
+})
+
+test('block scalars accept an indentation indicator', () => {
+  assert.equal(parseYaml('code: |2\n    indented\n  base\n').code, '  indented\nbase\n')
+})
+
+test('quoted strings support escapes and fold across lines', () => {
+  assert.deepEqual(parseYaml([
+    'dq: "tab\\there \\"q\\" \\u00e9 \\x41"',
+    "sq: 'it''s # not a comment'",
+    'multi: "first',
+    '  second',
+    '',
+    '  third"',
+    'joined: "ab\\',
+    '  cd"',
+  ].join('\n')), {
+    dq: 'tab\there "q" é A',
+    sq: "it's # not a comment",
+    multi: 'first second\nthird',
+    joined: 'abcd',
+  })
+})
+
+test('plain scalars continue onto more-indented lines', () => {
+  assert.deepEqual(parseYaml('description: Create a new\n  API route\nnext: 1'), {
+    description: 'Create a new API route',
+    next: 1,
+  })
+})
+
+test('block and flow collections nest', () => {
+  assert.deepEqual(parseYaml([
+    'tools: [Read, "Write", { name: Bash, safe: false }]',
+    'triggers:',
+    '- keywords: [api, route]',
+    '  weight: 2',
+    '- - nested',
+    '  - list',
+    'meta:',
+    '  owner:',
+    '    name: lorenzo',
+    '  tags:',
+    '    - a',
+    '    -',
+    '  empty: {}',
+  ].join('\n')), {
+    tools: ['Read', 'Write', { name: 'Bash', safe: false }],
+    triggers: [{ keywords: ['api', 'route'], weight: 2 }, ['nested', 'list']],
+    meta: { owner: { name: 'lorenzo' }, tags: ['a', null], empty: {} },
+  })
+})
+
+test('flow collections may span lines', () => {
+  assert.deepEqual(parseYaml('allowed: [\n  one,\n  two,\n]\n'), { allowed: ['one', 'two'] })
+})
+
+test('errors report the line and column', () => {
+  errorAt('name: x\ndescription: Use when: building', 2, 22, /Mapping values are not allowed/)
+  errorAt('a: 1\na: 2', 2, 1, /Duplicate key "a"/)
+  errorAt('a:\n\t- x', 2, 1, /Tabs/)
+  errorAt('a: "open\n', 1, 4, /Unterminated double-quoted/)
+  errorAt('a: [1, 2', 1, 4, /Unterminated flow sequence/)
+  errorAt('a: [[1] 2]', 1, 9, /Expected "," or "\]"/)
+  errorAt('a: "\\q"', 1, 5, /Unknown escape/)
+  errorAt('a: *ref', 1, 4, /aliases are not supported/)
+  errorAt('a: !!str x', 1, 4, /Tags/)
+  errorAt('a: |x\n  y', 1, 5, /block scalar header/)
+  errorAt('a:\n    b: 1\n  c: 2', 3, 3, /indentation/)
+  errorAt('a: "x" y', 1, 8, /Unexpected "y"/)
+})
+
+test('firstLine offsets error lines', () => {
+  assert.throws(() => parseYaml('a: 1\na: 2', { firstLine: 2 }), err => err.line === 3)
+})
+
+test('locations records where each key and item starts', () => {
+  const locations = new Map()
+  parseYaml('name: x\ntools:\n  - Read\n  - [Write, "a/b"]\nmeta: {owner: me}', { firstLine: 2, locations })
+  assert.deepEqual(Object.fromEntries(locations), {
+    '': { line: 2, column: 1 },
+    '/name': { line: 2, column: 1 },
+    '/tools': { line: 3, column: 1 },
+    '/tools/0': { line: 4, column: 3 },
+    '/tools/1': { line: 5, column: 3 },
+    '/tools/1/0': { line: 5, column: 6 },
+    '/tools/1/1': { line: 5, column: 13 },
+    '/meta': { line: 6, column: 1 },
+    '/meta/owner': { line: 6, column: 8 },
+  })
+})